@@ -1,9 +1,12 @@
 const vscode = require('vscode');
 const NyxnWebviewProvider = require('./src/webviewProvider');
+const ToolAuditTreeProvider = require('./src/toolAuditTreeProvider');
+const { createExtensionApi } = require('./src/extensionApi');
 
 /**
  * Called when the extension is activated
  * @param {vscode.ExtensionContext} context Extension context
+ * @returns {Object|undefined} API for other extensions, see src/extensionApi.js; undefined if activation failed
  */
 function activate(context) {
     console.log('Nyxn AI Assistant extension is now active');
@@ -11,6 +14,8 @@ function activate(context) {
 
     // Declare provider at the top level so it's accessible to all commands
     let provider;
+    let auditTreeProvider = null;
+    let api;
 
     try {
         // Register Webview provider
@@ -22,6 +27,13 @@ function activate(context) {
         context.subscriptions.push(registration);
         console.log('Webview provider registered successfully');
 
+        // Tool audit log view
+        auditTreeProvider = new ToolAuditTreeProvider(provider.auditLog);
+        context.subscriptions.push(vscode.window.registerTreeDataProvider('nyxn-ai-assistant.toolAudit', auditTreeProvider));
+
+        // API for other extensions: tool registration, conversation events and prompts
+        api = createExtensionApi(provider);
+
         // Show information message to confirm activation
         vscode.window.showInformationMessage('Nyxn AI Assistant has been activated');
     } catch (error) {
@@ -30,6 +42,16 @@ function activate(context) {
         // Create a dummy provider if the real one failed
         provider = {
             clearChatHistory: () => console.log('Dummy clearChatHistory called'),
+            compactConversation: async () => console.log('Dummy compactConversation called'),
+            switchModel: async () => console.log('Dummy switchModel called'),
+            exportUsage: async () => console.log('Dummy exportUsage called'),
+            switchProfile: async () => console.log('Dummy switchProfile called'),
+            resetToolApprovals: async () => console.log('Dummy resetToolApprovals called'),
+            browseToolAudit: async () => console.log('Dummy browseToolAudit called'),
+            showToolCall: async () => console.log('Dummy showToolCall called'),
+            rerunToolCall: async () => console.log('Dummy rerunToolCall called'),
+            showMcpServers: async () => console.log('Dummy showMcpServers called'),
+            toggleDryRun: () => console.log('Dummy toggleDryRun called'),
             getFullContext: async () => ({})
         };
     }
@@ -54,6 +76,75 @@ function activate(context) {
         }
     });
 
+    // Compact conversation
+    let compactConversationCommand = vscode.commands.registerCommand('nyxn-ai-assistant.compactConversation', async function () {
+        console.log('Compact conversation command executed');
+        await provider.compactConversation();
+    });
+
+    // Switch model
+    let switchModelCommand = vscode.commands.registerCommand('nyxn-ai-assistant.switchModel', async function () {
+        console.log('Switch model command executed');
+        await provider.switchModel();
+    });
+
+    // Export usage report
+    let exportUsageCommand = vscode.commands.registerCommand('nyxn-ai-assistant.exportUsage', async function () {
+        console.log('Export usage command executed');
+        await provider.exportUsage();
+    });
+
+    // Switch agent profile
+    let switchProfileCommand = vscode.commands.registerCommand('nyxn-ai-assistant.switchProfile', async function () {
+        console.log('Switch profile command executed');
+        await provider.switchProfile();
+    });
+
+    // Forget "always allow" answers for tools
+    let resetToolApprovalsCommand = vscode.commands.registerCommand('nyxn-ai-assistant.resetToolApprovals', async function () {
+        console.log('Reset tool approvals command executed');
+        await provider.resetToolApprovals();
+    });
+
+    // Tool audit log
+    let browseToolAuditCommand = vscode.commands.registerCommand('nyxn-ai-assistant.browseToolAudit', async function () {
+        console.log('Browse tool audit command executed');
+        await provider.browseToolAudit();
+    });
+
+    let filterToolAuditCommand = vscode.commands.registerCommand('nyxn-ai-assistant.filterToolAudit', async function () {
+        if (auditTreeProvider) {
+            await auditTreeProvider.promptFilter();
+        }
+    });
+
+    let refreshToolAuditCommand = vscode.commands.registerCommand('nyxn-ai-assistant.refreshToolAudit', function () {
+        if (auditTreeProvider) {
+            auditTreeProvider.refresh();
+        }
+    });
+
+    let showToolCallCommand = vscode.commands.registerCommand('nyxn-ai-assistant.showToolCall', async function (entry) {
+        await provider.showToolCall(entry);
+    });
+
+    let rerunToolCallCommand = vscode.commands.registerCommand('nyxn-ai-assistant.rerunToolCall', async function (entry) {
+        console.log('Re-run tool call command executed');
+        await provider.rerunToolCall(entry);
+    });
+
+    // MCP servers
+    let showMcpServersCommand = vscode.commands.registerCommand('nyxn-ai-assistant.showMcpServers', async function () {
+        console.log('Show MCP servers command executed');
+        await provider.showMcpServers();
+    });
+
+    // Simulate mutating tools instead of running them
+    let toggleDryRunCommand = vscode.commands.registerCommand('nyxn-ai-assistant.toggleDryRun', function () {
+        console.log('Toggle dry run command executed');
+        provider.toggleDryRun();
+    });
+
     // Get context
     let getContextCommand = vscode.commands.registerCommand('nyxn-ai-assistant.getContext', async function () {
         console.log('Get context command executed');
@@ -70,6 +161,18 @@ function activate(context) {
 
     context.subscriptions.push(startCommand);
     context.subscriptions.push(clearHistoryCommand);
+    context.subscriptions.push(compactConversationCommand);
+    context.subscriptions.push(switchModelCommand);
+    context.subscriptions.push(exportUsageCommand);
+    context.subscriptions.push(switchProfileCommand);
+    context.subscriptions.push(resetToolApprovalsCommand);
+    context.subscriptions.push(browseToolAuditCommand);
+    context.subscriptions.push(filterToolAuditCommand);
+    context.subscriptions.push(refreshToolAuditCommand);
+    context.subscriptions.push(showToolCallCommand);
+    context.subscriptions.push(rerunToolCallCommand);
+    context.subscriptions.push(showMcpServersCommand);
+    context.subscriptions.push(toggleDryRunCommand);
     context.subscriptions.push(getContextCommand);
 
     // Listen for configuration changes
@@ -80,6 +183,8 @@ function activate(context) {
             }
         })
     );
+
+    return api;
 }
 
 /**
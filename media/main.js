@@ -28,8 +28,20 @@
         const chatContainer = document.getElementById('chat-container');
         const userInput = document.getElementById('user-input');
         const sendButton = document.getElementById('send-button');
+        const stopButton = document.getElementById('stop-button');
         const clearButton = document.getElementById('clear-button');
         const contextButton = document.getElementById('context-button');
+        const compactButton = document.getElementById('compact-button');
+        const summaryPanel = document.getElementById('summary-panel');
+        const summaryInput = document.getElementById('summary-input');
+        const saveSummaryButton = document.getElementById('save-summary-button');
+        const generationOptions = document.getElementById('generation-options');
+        const usageSummary = document.getElementById('usage-summary');
+        const profileSelect = document.getElementById('profile-select');
+        const dryRunToggle = document.getElementById('dry-run-toggle');
+        const planButton = document.getElementById('plan-button');
+        const planPanel = document.getElementById('plan-panel');
+        const approvalContainer = document.getElementById('approval-container');
         const toolResults = document.getElementById('tool-results');
         const toolContent = document.getElementById('tool-content');
         const closeToolResults = document.getElementById('close-tool-results');
@@ -51,6 +63,7 @@
 
         // Initialize
         let isLoading = false;
+        let streamingMessage = null;
 
         // Enhanced send message function with better error handling
         function sendMessage() {
@@ -80,7 +93,8 @@
                     // Send message to extension
                     vscode.postMessage({
                         command: 'sendMessage',
-                        text: text
+                        text: text,
+                        generationConfig: getGenerationOverrides()
                     });
                     console.log('Message posted to extension');
 
@@ -111,6 +125,51 @@
             }
         }
 
+        // Ask for a plan for the task in the input instead of answering it directly
+        function requestPlan() {
+            const text = userInput.value.trim();
+            if (!text) {
+                showError('Describe the task to plan');
+                return;
+            }
+            if (isLoading) {
+                showError('Loading in progress, please try again later');
+                return;
+            }
+
+            vscode.postMessage({
+                command: 'createPlan',
+                text: text
+            });
+            userInput.value = '';
+        }
+
+        // Read the generation options set in the chat; empty fields use the settings
+        function getGenerationOverrides() {
+            const overrides = {};
+
+            ['temperature', 'topP', 'topK', 'maxOutputTokens'].forEach(parameter => {
+                const input = document.getElementById(`option-${parameter}`);
+                if (input && input.value !== '') {
+                    overrides[parameter] = Number(input.value);
+                }
+            });
+
+            const stopInput = document.getElementById('option-stopSequences');
+            if (stopInput && stopInput.value.trim()) {
+                overrides.stopSequences = stopInput.value.split(',').map(sequence => sequence.trim()).filter(sequence => sequence);
+            }
+
+            return Object.keys(overrides).length > 0 ? overrides : null;
+        }
+
+        // Mark the options panel while overrides are set
+        if (generationOptions) {
+            generationOptions.addEventListener('input', () => {
+                generationOptions.classList.toggle('active', getGenerationOverrides() !== null);
+            });
+        }
+
         // Listen for Send button click
         console.log('Adding click event listener to send button');
         console.log('Send button element:', sendButton);
@@ -169,6 +228,20 @@
             }
         });
 
+        // Plan the task first
+        if (planButton) {
+            planButton.addEventListener('click', requestPlan);
+        }
+
+        // Stop the current request
+        stopButton.addEventListener('click', () => {
+            vscode.postMessage({
+                command: 'cancelRequest'
+            });
+            stopButton.disabled = true;
+            stopButton.textContent = 'Stopping...';
+        });
+
         // Clear History
         clearButton.addEventListener('click', () => {
             if (confirm('Are you sure you want to clear all chat history?')) {
@@ -178,6 +251,45 @@
             }
         });
 
+        // Compact conversation
+        compactButton.addEventListener('click', () => {
+            vscode.postMessage({
+                command: 'compactConversation'
+            });
+        });
+
+        // Switch agent profile
+        if (profileSelect) {
+            profileSelect.addEventListener('change', () => {
+                vscode.postMessage({
+                    command: 'switchProfile',
+                    profile: profileSelect.value
+                });
+            });
+        }
+
+        // Simulate mutating tools instead of running them
+        if (dryRunToggle) {
+            dryRunToggle.addEventListener('change', () => {
+                vscode.postMessage({
+                    command: 'setDryRun',
+                    enabled: dryRunToggle.checked
+                });
+            });
+        }
+
+        // Save edited conversation summary
+        saveSummaryButton.addEventListener('click', () => {
+            vscode.postMessage({
+                command: 'updateSummary',
+                summary: summaryInput.value
+            });
+            saveSummaryButton.textContent = 'Saved';
+            setTimeout(() => {
+                saveSummaryButton.textContent = 'Save';
+            }, 1000);
+        });
+
         // Get Context
         contextButton.addEventListener('click', () => {
             vscode.postMessage({
@@ -232,35 +344,19 @@
 
         // Process markdown
         function processMarkdown(text) {
-            // Process tool calls
-            const toolCallRegex = /<tool>\s*<n>(.*?)<\/name>\s*<parameters>([\s\S]*?)<\/parameters>\s*<\/tool>/g;
-            let processedText = text.replace(toolCallRegex, (match, toolName, parametersContent) => {
-                // Parse parameters
-                const paramRegex = /<param\s+name="([^"]+)">([\s\S]*?)<\/param>/g;
-                let paramMatch;
-                const params = {};
-                let paramHtml = '';
-
-                while ((paramMatch = paramRegex.exec(parametersContent)) !== null) {
-                    const paramName = paramMatch[1];
-                    const paramValue = paramMatch[2].trim();
-                    params[paramName] = paramValue;
-                    paramHtml += `<div class="tool-param"><span class="param-name">${escapeHtml(paramName)}</span>: <span class="param-value">${escapeHtml(paramValue)}</span></div>`;
+            // Process tool calls, with the parser the extension uses
+            let processedText = '';
+            let position = 0;
+            for (const call of window.NyxnToolCallParser.parseToolCalls(text)) {
+                const index = text.indexOf(call.originalText, position);
+                // Incomplete calls are still streaming; leave them as text
+                if (index === -1 || call.incomplete) {
+                    continue;
                 }
-
-                // Serialize parameters to JSON string
-                const paramsJson = JSON.stringify(params);
-
-                return `<div class="tool-call">
-                    <div class="tool-call-header">
-                        <span class="tool-name">Tool: ${escapeHtml(toolName)}</span>
-                        <button class="tool-call-button" data-tool="${escapeHtml(toolName)}" data-parameters='${escapeHtml(paramsJson)}'>Execute</button>
-                    </div>
-                    <div class="tool-call-params">
-                        ${paramHtml}
-                    </div>
-                </div>`;
-            });
+                processedText += text.substring(position, index) + renderToolCall(call);
+                position = index + call.originalText.length;
+            }
+            processedText += text.substring(position);
 
             // Process tool results
             const toolResultRegex = /<tool-result\s+name="([^"]+)">\s*([\s\S]*?)\s*<\/tool-result>/g;
@@ -307,6 +403,39 @@
             return processedText;
         }
 
+        // Render a parsed tool call, or why it could not be parsed
+        function renderToolCall(call) {
+            if (call.error) {
+                return `<div class="tool-error">
+                    <div class="tool-error-header">
+                        <span class="tool-name">Malformed tool call${call.name ? `: ${escapeHtml(call.name)}` : ''}</span>
+                    </div>
+                    <div class="tool-error-content">
+                        <pre>${escapeHtml(call.error)}</pre>
+                    </div>
+                </div>`;
+            }
+
+            let paramHtml = '';
+            for (const [paramName, paramValue] of Object.entries(call.parameters)) {
+                const valueText = typeof paramValue === 'string' ? paramValue : JSON.stringify(paramValue);
+                paramHtml += `<div class="tool-param"><span class="param-name">${escapeHtml(paramName)}</span>: <span class="param-value">${escapeHtml(valueText)}</span></div>`;
+            }
+
+            // Serialize parameters to JSON string
+            const paramsJson = JSON.stringify(call.parameters);
+
+            return `<div class="tool-call">
+                    <div class="tool-call-header">
+                        <span class="tool-name">Tool: ${escapeHtml(call.name)}</span>
+                        <button class="tool-call-button" data-tool="${escapeHtml(call.name)}" data-parameters='${escapeHtml(paramsJson)}'>Execute</button>
+                    </div>
+                    <div class="tool-call-params">
+                        ${paramHtml}
+                    </div>
+                </div>`;
+        }
+
         // HTML escape
         function escapeHtml(unsafe) {
             return unsafe
@@ -317,13 +446,47 @@
                 .replace(/'/g, "&#039;");
         }
 
+        // Attach code block and tool call button handlers to a rendered message
+        function attachMessageHandlers(messageDiv) {
+            // Code block buttons
+            const copyButtons = messageDiv.querySelectorAll('.copy-button');
+            const insertButtons = messageDiv.querySelectorAll('.insert-button');
+
+            copyButtons.forEach(button => {
+                button.addEventListener('click', (e) => {
+                    const codeBlock = e.target.closest('.code-block');
+                    const code = codeBlock.querySelector('code').textContent;
+                    navigator.clipboard.writeText(code);
+                    button.textContent = 'Copied';
+                    setTimeout(() => {
+                        button.textContent = 'Copy';
+                    }, 2000);
+                });
+            });
+
+            insertButtons.forEach(button => {
+                button.addEventListener('click', (e) => {
+                    const codeBlock = e.target.closest('.code-block');
+                    const code = codeBlock.querySelector('code').textContent;
+                    vscode.postMessage({
+                        command: 'insertCode',
+                        code: code
+                    });
+                });
+            });
+
+            // Tool call buttons
+            handleToolCall(messageDiv);
+        }
+
         // Update chat interface
         function updateChat(history) {
+            streamingMessage = null;
             chatContainer.innerHTML = '';
 
             history.forEach(message => {
                 const messageDiv = document.createElement('div');
-                messageDiv.className = `message ${message.role}`;
+                messageDiv.className = `message ${message.role}${message.cancelled ? ' cancelled' : ''}${message.dryRun ? ' dry-run' : ''}`;
 
                 const contentDiv = document.createElement('div');
                 contentDiv.className = 'content';
@@ -331,40 +494,38 @@
                 if (message.role === 'assistant') {
                     contentDiv.innerHTML = processMarkdown(message.content);
 
+                    if (message.usage) {
+                        const usageDiv = document.createElement('div');
+                        usageDiv.className = 'message-usage';
+                        usageDiv.textContent = formatUsage(message.usage);
+                        contentDiv.appendChild(usageDiv);
+                    }
+
+                    if (message.cancelled) {
+                        const cancelledDiv = document.createElement('div');
+                        cancelledDiv.className = 'cancelled-notice';
+                        cancelledDiv.textContent = 'Cancelled';
+                        contentDiv.appendChild(cancelledDiv);
+                    }
+
+                    if (message.dryRun) {
+                        contentDiv.appendChild(createDryRunNotice(message));
+                    }
+
+                    if (message.changedFiles > 0) {
+                        contentDiv.appendChild(createUndoButton('undoTurn', message.turn,
+                            `Undo this turn (${message.changedFiles} file${message.changedFiles === 1 ? '' : 's'})`));
+                    }
+
                     // Add code block event listeners
-                    setTimeout(() => {
-                        // Code block buttons
-                        const copyButtons = messageDiv.querySelectorAll('.copy-button');
-                        const insertButtons = messageDiv.querySelectorAll('.insert-button');
-
-                        copyButtons.forEach(button => {
-                            button.addEventListener('click', (e) => {
-                                const codeBlock = e.target.closest('.code-block');
-                                const code = codeBlock.querySelector('code').textContent;
-                                navigator.clipboard.writeText(code);
-                                button.textContent = 'Copied';
-                                setTimeout(() => {
-                                    button.textContent = 'Copy';
-                                }, 2000);
-                            });
-                        });
-
-                        insertButtons.forEach(button => {
-                            button.addEventListener('click', (e) => {
-                                const codeBlock = e.target.closest('.code-block');
-                                const code = codeBlock.querySelector('code').textContent;
-                                vscode.postMessage({
-                                    command: 'insertCode',
-                                    code: code
-                                });
-                            });
-                        });
-
-                        // Tool call buttons
-                        handleToolCall(messageDiv);
-                    }, 0);
+                    setTimeout(() => attachMessageHandlers(messageDiv), 0);
                 } else {
                     contentDiv.textContent = message.content;
+
+                    if (message.role === 'user' && message.changedFilesSince > 0) {
+                        contentDiv.appendChild(createUndoButton('undoSince', message.turn,
+                            `Undo everything since this message (${message.changedFilesSince} file${message.changedFilesSince === 1 ? '' : 's'})`));
+                    }
                 }
 
                 messageDiv.appendChild(contentDiv);
@@ -375,6 +536,446 @@
             chatContainer.scrollTop = chatContainer.scrollHeight;
         }
 
+        // Mark a dry-run reply, with a button to run its simulated tool calls for real
+        function createDryRunNotice(message) {
+            const noticeDiv = document.createElement('div');
+            noticeDiv.className = 'dry-run-notice';
+            const calls = message.dryRunCalls || [];
+
+            const label = document.createElement('span');
+            label.textContent = calls.length === 0
+                ? 'Dry run: no tool calls were simulated'
+                : `Dry run: ${calls.length} tool call${calls.length === 1 ? ' was' : 's were'} simulated (${calls.map(call => call.toolName).join(', ')})`;
+            noticeDiv.appendChild(label);
+
+            if (calls.length > 0) {
+                const button = document.createElement('button');
+                button.className = 'dry-run-button';
+                button.textContent = message.dryRunReplayed ? 'Ran for real' : 'Run for real';
+                button.disabled = !!message.dryRunReplayed;
+                button.title = 'Run the same tool calls again without dry run, with the usual approvals';
+                button.addEventListener('click', () => {
+                    button.disabled = true;
+                    vscode.postMessage({ command: 'replayDryRun', turn: message.turn });
+                });
+                noticeDiv.appendChild(button);
+            }
+            return noticeDiv;
+        }
+
+        // Create a button that asks the extension to undo the file changes of a turn; it confirms with a diff first
+        function createUndoButton(command, turn, label) {
+            const undoDiv = document.createElement('div');
+            undoDiv.className = 'undo-actions';
+            const button = document.createElement('button');
+            button.className = 'undo-button';
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                vscode.postMessage({ command, turn });
+            });
+            undoDiv.appendChild(button);
+            return undoDiv;
+        }
+
+        // Format a token count, e.g. 12345 -> 12.3k
+        function formatTokens(tokens) {
+            return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+        }
+
+        // Format a cost in USD; null means the model has no price
+        function formatCost(cost) {
+            if (cost === null || cost === undefined) {
+                return 'no price';
+            }
+            return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+        }
+
+        // Format the usage of a single message
+        function formatUsage(usage) {
+            const estimated = usage.estimated ? '~' : '';
+            return `${estimated}${formatTokens(usage.totalTokens)} tokens · ${formatCost(usage.cost)}`;
+        }
+
+        // Show conversation and daily totals in the header
+        function updateUsage(conversation, today) {
+            if (!usageSummary) {
+                return;
+            }
+
+            const formatTotals = (totals) => {
+                const cost = totals.unpriced > 0 && totals.cost === 0 ? 'no price' : formatCost(totals.cost);
+                return `${formatTokens(totals.totalTokens)} tokens · ${cost}`;
+            };
+            usageSummary.textContent = `Chat: ${formatTotals(conversation)} | Today: ${formatTotals(today)}`;
+            usageSummary.title = `Conversation: ${conversation.requests} requests, ${conversation.promptTokens} input tokens ` +
+                `(${conversation.contextTokens} from editor context), ${conversation.outputTokens} output tokens\n` +
+                `Today: ${today.requests} requests, ${today.promptTokens} input tokens, ${today.outputTokens} output tokens`;
+        }
+
+        // Fill the profile picker and refresh the tools the active profile allows
+        function updateProfiles(message) {
+            window.availableTools = message.availableTools || [];
+            if (!profileSelect) {
+                return;
+            }
+
+            profileSelect.innerHTML = '';
+            message.profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = profile.name;
+                option.title = profile.description || '';
+                profileSelect.appendChild(option);
+            });
+            profileSelect.value = message.active;
+            profileSelect.title = `Agent profile (model: ${message.model || 'unknown'}, ${window.availableTools.length} tools)`;
+        }
+
+        // Current plan, as last sent by the extension
+        let currentPlan = null;
+
+        const PLAN_STEP_ICONS = {
+            pending: '☐',
+            running: '⏳',
+            done: '☑',
+            failed: '✗',
+            skipped: '⤼'
+        };
+
+        // Show the plan as a checklist; pending steps are editable until they run
+        function renderPlan(plan) {
+            currentPlan = plan;
+            if (!planPanel) {
+                return;
+            }
+
+            planPanel.innerHTML = '';
+            planPanel.classList.toggle('hidden', !plan);
+            if (!plan) {
+                return;
+            }
+
+            const editable = ['draft', 'waiting', 'paused'].includes(plan.status) && !isLoading;
+
+            const header = document.createElement('div');
+            header.className = 'plan-header';
+            header.textContent = `Plan (${plan.status})`;
+            planPanel.appendChild(header);
+
+            if (plan.summary) {
+                const summary = document.createElement('div');
+                summary.className = 'plan-summary';
+                summary.textContent = plan.summary;
+                planPanel.appendChild(summary);
+            }
+
+            const list = document.createElement('ol');
+            list.className = 'plan-steps';
+            plan.steps.forEach((step, index) => {
+                const item = document.createElement('li');
+                item.className = `plan-step ${step.status}${index === plan.currentStep ? ' current' : ''}`;
+                item.dataset.stepId = step.id;
+
+                const icon = document.createElement('span');
+                icon.className = 'plan-step-icon';
+                icon.textContent = PLAN_STEP_ICONS[step.status] || '';
+                item.appendChild(icon);
+
+                const body = document.createElement('div');
+                body.className = 'plan-step-body';
+                if (editable && step.status === 'pending') {
+                    const titleInput = document.createElement('input');
+                    titleInput.type = 'text';
+                    titleInput.className = 'plan-step-title';
+                    titleInput.value = step.title;
+                    body.appendChild(titleInput);
+
+                    const outcomeInput = document.createElement('input');
+                    outcomeInput.type = 'text';
+                    outcomeInput.className = 'plan-step-outcome';
+                    outcomeInput.placeholder = 'Expected outcome';
+                    outcomeInput.value = step.expectedOutcome || '';
+                    body.appendChild(outcomeInput);
+
+                    const removeButton = document.createElement('button');
+                    removeButton.className = 'plan-step-remove';
+                    removeButton.title = 'Remove step';
+                    removeButton.textContent = '×';
+                    removeButton.addEventListener('click', () => item.remove());
+                    item.appendChild(removeButton);
+                } else {
+                    const title = document.createElement('div');
+                    title.className = 'plan-step-title';
+                    title.textContent = step.title;
+                    body.appendChild(title);
+                    if (step.expectedOutcome) {
+                        const outcome = document.createElement('div');
+                        outcome.className = 'plan-step-outcome';
+                        outcome.textContent = step.expectedOutcome;
+                        body.appendChild(outcome);
+                    }
+                }
+
+                const details = [];
+                if (step.files && step.files.length > 0) {
+                    details.push(`Files: ${step.files.join(', ')}`);
+                }
+                if (step.tools && step.tools.length > 0) {
+                    details.push(`Tools: ${step.tools.join(', ')}`);
+                }
+                if (details.length > 0) {
+                    const detailsDiv = document.createElement('div');
+                    detailsDiv.className = 'plan-step-details';
+                    detailsDiv.textContent = details.join(' · ');
+                    body.appendChild(detailsDiv);
+                }
+                if (step.error) {
+                    const errorDiv = document.createElement('div');
+                    errorDiv.className = 'plan-step-error';
+                    errorDiv.textContent = step.error;
+                    body.appendChild(errorDiv);
+                }
+
+                item.insertBefore(body, item.children[1] || null);
+                list.appendChild(item);
+            });
+            planPanel.appendChild(list);
+
+            const actions = document.createElement('div');
+            actions.className = 'plan-actions';
+            const addAction = (label, onClick, title) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                if (title) {
+                    button.title = title;
+                }
+                button.disabled = isLoading;
+                button.addEventListener('click', onClick);
+                actions.appendChild(button);
+            };
+            const postAction = (action) => vscode.postMessage({ command: 'planAction', action, plan: readPlanEdits() });
+
+            if (plan.status === 'draft') {
+                addAction('Add step', () => {
+                    const edits = readPlanEdits();
+                    currentPlan.confirmEachStep = edits.confirmEachStep;
+                    currentPlan.steps = currentPlan.steps.filter(step => step.status !== 'pending')
+                        .concat(edits.steps.map(step => ({ ...step, status: 'pending' })))
+                        .concat({ id: null, title: 'New step', files: [], tools: [], expectedOutcome: '', status: 'pending' });
+                    renderPlan(currentPlan);
+                });
+
+                const confirmLabel = document.createElement('label');
+                confirmLabel.className = 'plan-confirm';
+                const confirmInput = document.createElement('input');
+                confirmInput.type = 'checkbox';
+                confirmInput.id = 'plan-confirm-each-step';
+                confirmInput.checked = !!plan.confirmEachStep;
+                confirmLabel.appendChild(confirmInput);
+                confirmLabel.appendChild(document.createTextNode(' Approve each step'));
+                actions.appendChild(confirmLabel);
+
+                addAction('Approve and run', () => {
+                    vscode.postMessage({ command: 'runPlan', plan: readPlanEdits() });
+                }, 'Run the steps one at a time');
+                addAction('Discard', () => postAction('discard'));
+            } else if (plan.status === 'waiting') {
+                addAction(`Run step ${plan.currentStep + 1}`, () => postAction('approveStep'));
+                addAction('Skip', () => postAction('skip'));
+                addAction('Stop plan', () => postAction('cancel'));
+            } else if (plan.status === 'paused') {
+                addAction('Retry', () => postAction('retry'), 'Run the failed step again');
+                addAction('Skip', () => postAction('skip'), 'Continue with the next step');
+                addAction('Re-plan', () => postAction('replan'), 'Plan the remaining work again, taking the failure into account');
+                addAction('Stop plan', () => postAction('cancel'));
+            } else if (plan.status !== 'running') {
+                addAction('Dismiss', () => postAction('discard'));
+            }
+            planPanel.appendChild(actions);
+        }
+
+        // Read the edited pending steps from the checklist
+        function readPlanEdits() {
+            const steps = [];
+            planPanel.querySelectorAll('.plan-step.pending').forEach(item => {
+                const titleInput = item.querySelector('input.plan-step-title');
+                if (!titleInput) {
+                    return;
+                }
+                const original = currentPlan.steps.find(step => String(step.id) === item.dataset.stepId) || {};
+                steps.push({
+                    id: original.id || null,
+                    title: titleInput.value,
+                    expectedOutcome: item.querySelector('input.plan-step-outcome').value,
+                    files: original.files || [],
+                    tools: original.tools || []
+                });
+            });
+
+            const confirmInput = document.getElementById('plan-confirm-each-step');
+            return {
+                steps,
+                confirmEachStep: confirmInput ? confirmInput.checked : undefined
+            };
+        }
+
+        // Ask the user to approve a tool call, showing its parameters and the change it would make
+        function showApprovalRequest(request) {
+            if (!approvalContainer) {
+                vscode.postMessage({ command: 'approvalResponse', id: request.id, decision: 'deny' });
+                return;
+            }
+
+            const card = document.createElement('div');
+            card.className = `approval-card ${request.risk}`;
+            card.dataset.approvalId = request.id;
+
+            const header = document.createElement('div');
+            header.className = 'approval-header';
+            header.textContent = `Run ${request.toolName}? (${request.risk})`;
+            card.appendChild(header);
+
+            const parameters = document.createElement('pre');
+            parameters.className = 'approval-parameters';
+            parameters.textContent = JSON.stringify(request.parameters, null, 2);
+            card.appendChild(parameters);
+
+            if (request.preview) {
+                const previewTitle = document.createElement('div');
+                previewTitle.className = 'approval-preview-title';
+                previewTitle.textContent = request.preview.title;
+                card.appendChild(previewTitle);
+
+                const diff = document.createElement('pre');
+                diff.className = 'approval-diff';
+                request.preview.diff.split('\n').forEach(line => {
+                    const lineSpan = document.createElement('span');
+                    if (line.startsWith('+') && !line.startsWith('+++')) {
+                        lineSpan.className = 'diff-added';
+                    } else if (line.startsWith('-') && !line.startsWith('---')) {
+                        lineSpan.className = 'diff-removed';
+                    } else if (line.startsWith('@@')) {
+                        lineSpan.className = 'diff-hunk';
+                    }
+                    lineSpan.textContent = `${line}\n`;
+                    diff.appendChild(lineSpan);
+                });
+                card.appendChild(diff);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'approval-actions';
+            const addAction = (label, decision, title) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                if (title) {
+                    button.title = title;
+                }
+                button.addEventListener('click', () => {
+                    actions.querySelectorAll('button').forEach(actionButton => actionButton.disabled = true);
+                    vscode.postMessage({ command: 'approvalResponse', id: request.id, decision });
+                });
+                actions.appendChild(button);
+            };
+            addAction('Allow', 'allow');
+            addAction('Always allow', 'alwaysAllow', `Run ${request.toolName} without asking in this workspace`);
+            addAction('Deny', 'deny');
+            card.appendChild(actions);
+
+            approvalContainer.appendChild(card);
+            card.scrollIntoView({ block: 'nearest' });
+        }
+
+        // Remove an answered or cancelled approval prompt
+        function closeApprovalRequest(id) {
+            if (!approvalContainer) {
+                return;
+            }
+            const card = approvalContainer.querySelector(`[data-approval-id="${id}"]`);
+            if (card) {
+                card.remove();
+            }
+        }
+
+        // Show the conversation summary, unless the user is editing it
+        function updateSummary(summary) {
+            summaryPanel.classList.toggle('hidden', !summary);
+            if (document.activeElement !== summaryInput) {
+                summaryInput.value = summary || '';
+            }
+        }
+
+        // Close an unterminated code block so partial code renders while streaming
+        function closeOpenCodeBlock(text) {
+            const fenceCount = (text.match(/```/g) || []).length;
+            if (fenceCount % 2 === 0) {
+                return text;
+            }
+            // A ```tool block still streaming stays open, so it is not shown as a malformed call
+            const openFence = text.substring(text.lastIndexOf('```'));
+            return /^```(tool|tool_call|tool-call)[ \t]*\r?\n/.test(openFence) ? text : `${text}\n\`\`\``;
+        }
+
+        // Append a streamed chunk to the reply being streamed
+        function appendStreamChunk(iteration, text) {
+            if (!streamingMessage || streamingMessage.iteration !== iteration) {
+                const messageDiv = document.createElement('div');
+                messageDiv.className = 'message assistant streaming';
+
+                const contentDiv = document.createElement('div');
+                contentDiv.className = 'content';
+                messageDiv.appendChild(contentDiv);
+
+                // Keep the loading indicator below the streamed reply
+                chatContainer.insertBefore(messageDiv, chatContainer.querySelector('.loading'));
+                streamingMessage = { iteration, text: '', messageDiv, contentDiv };
+            }
+
+            streamingMessage.text += text;
+            streamingMessage.contentDiv.innerHTML = processMarkdown(closeOpenCodeBlock(streamingMessage.text));
+            chatContainer.scrollTop = chatContainer.scrollHeight;
+        }
+
+        // Render the complete streamed reply, including its tool cards
+        function finishStream(iteration, text) {
+            if (!streamingMessage || streamingMessage.iteration !== iteration) {
+                return;
+            }
+
+            streamingMessage.text = text;
+            streamingMessage.contentDiv.innerHTML = processMarkdown(text);
+            streamingMessage.messageDiv.classList.remove('streaming');
+            attachMessageHandlers(streamingMessage.messageDiv);
+        }
+
+        // Append an agent step while the agent loop is running
+        function appendAgentStep(step) {
+            const stepDiv = document.createElement('div');
+            stepDiv.className = 'message assistant agent-step';
+
+            const headerDiv = document.createElement('div');
+            headerDiv.className = 'agent-step-header';
+            headerDiv.textContent = `Step ${step.iteration}: ${step.toolResults.map(result => result.name).join(', ')}`;
+            stepDiv.appendChild(headerDiv);
+
+            const contentDiv = document.createElement('div');
+            contentDiv.className = 'content';
+            contentDiv.innerHTML = processMarkdown(step.text || '');
+            stepDiv.appendChild(contentDiv);
+
+            if (streamingMessage && streamingMessage.iteration === step.iteration) {
+                // Replace the streamed reply with the step and its tool results
+                chatContainer.replaceChild(stepDiv, streamingMessage.messageDiv);
+                streamingMessage = null;
+            } else {
+                // Keep the loading indicator below the steps
+                const loadingDiv = chatContainer.querySelector('.loading');
+                chatContainer.insertBefore(stepDiv, loadingDiv);
+            }
+            attachMessageHandlers(stepDiv);
+            chatContainer.scrollTop = chatContainer.scrollHeight;
+        }
+
         // Show tool results
         function showToolResults(results) {
             toolContent.innerHTML = '';
@@ -429,6 +1030,13 @@
             isLoading = true;
             sendButton.disabled = true;
             sendButton.textContent = 'Thinking...';
+            sendButton.classList.add('hidden');
+            if (planButton) {
+                planButton.disabled = true;
+            }
+            stopButton.disabled = false;
+            stopButton.textContent = 'Stop';
+            stopButton.classList.remove('hidden');
 
             const loadingDiv = document.createElement('div');
             loadingDiv.className = 'message assistant loading';
@@ -442,6 +1050,11 @@
             isLoading = false;
             sendButton.disabled = false;
             sendButton.textContent = 'Send';
+            sendButton.classList.remove('hidden');
+            if (planButton) {
+                planButton.disabled = false;
+            }
+            stopButton.classList.add('hidden');
 
             const loadingDiv = chatContainer.querySelector('.loading');
             if (loadingDiv) {
@@ -449,6 +1062,23 @@
             }
         }
 
+        // Show that a failed request will be retried
+        function showRetry(message) {
+            const loadingDiv = chatContainer.querySelector('.loading');
+            if (!loadingDiv) {
+                return;
+            }
+
+            let statusDiv = loadingDiv.querySelector('.retry-status');
+            if (!statusDiv) {
+                statusDiv = document.createElement('div');
+                statusDiv.className = 'retry-status';
+                loadingDiv.appendChild(statusDiv);
+            }
+            const seconds = Math.ceil(message.delayMs / 1000);
+            statusDiv.textContent = `${message.message} Retrying in ${seconds}s (attempt ${message.attempt} of ${message.maxRetries})...`;
+        }
+
         // Show error message
         function showError(message) {
             const errorDiv = document.createElement('div');
@@ -474,6 +1104,7 @@
                         if (message.history) {
                             console.log(`Updating chat history, message count: ${message.history.length}`);
                             updateChat(message.history);
+                            updateSummary(message.summary);
                         } else {
                             console.error('Failed to update chat history: no history data');
                         }
@@ -489,6 +1120,38 @@
                         hideLoading();
                         break;
 
+                    case 'usage':
+                        updateUsage(message.conversation, message.today);
+                        break;
+
+                    case 'retrying':
+                        showRetry(message);
+                        break;
+
+                    case 'profiles':
+                        updateProfiles(message);
+                        break;
+
+                    case 'dryRun':
+                        if (dryRunToggle) {
+                            dryRunToggle.checked = message.enabled;
+                        }
+                        document.body.classList.toggle('dry-run-mode', message.enabled);
+                        break;
+
+                    case 'plan':
+                        renderPlan(message.plan);
+                        break;
+
+                    case 'approvalRequest':
+                        console.log(`Approval requested for tool: ${message.toolName}`);
+                        showApprovalRequest(message);
+                        break;
+
+                    case 'approvalClosed':
+                        closeApprovalRequest(message.id);
+                        break;
+
                     case 'toolResults':
                         if (message.results) {
                             console.log(`Showing tool results, count: ${message.results.length}`);
@@ -496,6 +1159,22 @@
                         }
                         break;
 
+                    case 'streamChunk':
+                        appendStreamChunk(message.iteration, message.text);
+                        break;
+
+                    case 'streamEnd':
+                        console.log(`Stream complete for step ${message.iteration}`);
+                        finishStream(message.iteration, message.text);
+                        break;
+
+                    case 'agentStep':
+                        if (message.step) {
+                            console.log(`Showing agent step ${message.step.iteration}`);
+                            appendAgentStep(message.step);
+                        }
+                        break;
+
                     case 'toolResult':
                         // Single tool execution result
                         console.log(`Showing single tool result: ${message.toolName}`);
@@ -531,6 +1210,21 @@
             command: 'getCodeContext'
         });
 
+        // Request usage totals for the header
+        vscode.postMessage({
+            command: 'getUsage'
+        });
+
+        // Request agent profiles for the picker
+        vscode.postMessage({
+            command: 'getProfiles'
+        });
+
+        // Request the dry-run state for the header toggle
+        vscode.postMessage({
+            command: 'getDryRun'
+        });
+
         // Global error handler
         window.onerror = function(message, source, lineno, colno, error) {
             console.error('Global error caught:', message);
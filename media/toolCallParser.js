@@ -0,0 +1,271 @@
+// @ts-nocheck
+/**
+ * Tool Call Parser
+ * Finds tool calls in model text, shared by the extension (ToolManager) and the chat webview.
+ * It lives in media/ because the webview can only load scripts from there.
+ *
+ * Accepted formats:
+ * - <tool><name>read-file</name><parameters><param name="file_path">a.js</param></parameters></tool>,
+ *   with <n> for <name>, mismatched <n>...</name> pairs, <tool name="..."> or <tool_call> tags
+ * - Parameters as <param name="...">, <parameter name="...">, <file_path>...</file_path> or a JSON object
+ * - Parameter values wrapped in <![CDATA[ ... ]]>, kept exactly, for multi-line code
+ * - JSON inside the tags: <tool>{"name": "read-file", "parameters": {...}}</tool>
+ * - Fenced blocks: ```tool (or tool_call, tool-call) holding JSON or the XML form
+ *
+ * Calls that cannot be parsed are returned with an error, so the model can be told what went wrong.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NyxnToolCallParser = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Start of a tool call: a ```tool fence or a <tool>/<tool_call> tag, but not <tool-result>
+    const CALL_START_REGEX = /```(tool|tool_call|tool-call)[ \t]*\r?\n|<(tool|tool_call)(\s[^>]*)?>/g;
+
+    const CDATA_REGEX = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+
+    // Placeholder for a CDATA section while the structure around it is parsed
+    const CDATA_TOKEN_REGEX = /\u0000(\d+)\u0000/g;
+
+    const NAME_REGEX = /<(?:name|n)>([\s\S]*?)<\/(?:name|n)>/;
+
+    const PARAMETERS_REGEX = /<parameters>([\s\S]*?)<\/parameters>/;
+
+    const PARAM_REGEX = /<(param|parameter)\s+name\s*=\s*["']([^"']+)["']\s*>([\s\S]*?)<\/\1>/g;
+
+    // Parameters written as their own tags, e.g. <file_path>a.js</file_path>
+    const TAG_PARAM_REGEX = /<([A-Za-z_][\w-]*)>([\s\S]*?)<\/\1>/g;
+
+    const FORMAT_HINT = 'Use <tool><name>tool_name</name><parameters><param name="parameter_name">value</param></parameters></tool>';
+
+    /**
+     * Find the tool calls in a text, in order
+     * @param {string} text Model text
+     * @returns {Array<Object>} Calls: { name, parameters, originalText, format } where format is 'xml', 'json' or
+     *   'fenced'. Malformed calls have an error instead of parameters, and incomplete: true when the block is not
+     *   closed (e.g. while a reply is still streaming)
+     */
+    function parseToolCalls(text) {
+        const calls = [];
+        if (!text) {
+            return calls;
+        }
+
+        const startRegex = new RegExp(CALL_START_REGEX.source, 'g');
+        let match;
+        while ((match = startRegex.exec(text)) !== null) {
+            const fenced = match[1] !== undefined;
+            const closing = fenced ? '```' : `</${match[2]}>`;
+            const bodyStart = match.index + match[0].length;
+            const bodyEnd = findClosing(text, closing, bodyStart);
+
+            if (bodyEnd === -1) {
+                const rest = text.substring(bodyStart);
+                // A tag merely mentioned in prose is not a call
+                if (fenced || /^\s*(<(name|n|parameters|param)\b|\{)/.test(rest)) {
+                    calls.push({
+                        name: extractName(rest, match[3]),
+                        originalText: text.substring(match.index),
+                        error: `The tool call is missing its closing ${closing}`,
+                        incomplete: true
+                    });
+                    break;
+                }
+                continue;
+            }
+
+            const originalText = text.substring(match.index, bodyEnd + closing.length);
+            const call = parseBody(text.substring(bodyStart, bodyEnd), match[3]);
+            call.originalText = originalText;
+            if (!call.error) {
+                call.format = fenced ? 'fenced' : call.format;
+            }
+            calls.push(call);
+            startRegex.lastIndex = bodyEnd + closing.length;
+        }
+
+        return calls;
+    }
+
+    /**
+     * Find the end of a tool call, skipping anything inside CDATA sections
+     * @param {string} text Text
+     * @param {string} closing Closing tag or fence
+     * @param {number} start Index of the call body
+     * @returns {number} Index of the closing tag or fence, or -1
+     */
+    function findClosing(text, closing, start) {
+        let position = start;
+        for (;;) {
+            const index = text.indexOf(closing, position);
+            const cdataStart = text.indexOf('<![CDATA[', position);
+            if (index === -1 || cdataStart === -1 || cdataStart > index) {
+                return index;
+            }
+            const cdataEnd = text.indexOf(']]>', cdataStart);
+            if (cdataEnd === -1) {
+                return -1;
+            }
+            position = cdataEnd + 3;
+        }
+    }
+
+    /**
+     * Parse the body of a tool call
+     * @param {string} body Text between the opening and closing tag or fence
+     * @param {string} [attributes] Attributes of the opening tag
+     * @returns {Object} Call: { name, parameters, format } or { name, error }
+     */
+    function parseBody(body, attributes) {
+        const trimmed = body.trim();
+        if (trimmed.startsWith('{')) {
+            return parseJsonCall(trimmed);
+        }
+        if (trimmed.startsWith('<![CDATA[') && trimmed.endsWith(']]>')) {
+            return parseBody(trimmed.slice(9, -3), attributes);
+        }
+        return parseXmlCall(body, attributes);
+    }
+
+    /**
+     * Parse a JSON tool call: { "name": ..., "parameters": {...} }, also with "arguments" or "args"
+     * @param {string} body JSON text
+     * @returns {Object} Call
+     */
+    function parseJsonCall(body) {
+        let value;
+        try {
+            value = JSON.parse(body);
+        } catch (error) {
+            return { name: null, error: `The tool call is not valid JSON: ${error.message}` };
+        }
+
+        const name = value && (value.name || value.tool || value.tool_name);
+        if (typeof name !== 'string' || !name.trim()) {
+            return { name: null, error: 'The JSON tool call has no "name"' };
+        }
+
+        let parameters = value.parameters !== undefined ? value.parameters
+            : value.arguments !== undefined ? value.arguments
+                : value.args !== undefined ? value.args : {};
+        if (typeof parameters === 'string') {
+            try {
+                parameters = parameters.trim() ? JSON.parse(parameters) : {};
+            } catch (error) {
+                return { name: name.trim(), error: `The arguments of the tool call are not valid JSON: ${error.message}` };
+            }
+        }
+        if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+            return { name: name.trim(), error: 'The parameters of the tool call must be a JSON object' };
+        }
+
+        return { name: name.trim(), parameters, format: 'json' };
+    }
+
+    /**
+     * Parse an XML tool call
+     * @param {string} body Text between <tool> and </tool>
+     * @param {string} [attributes] Attributes of the opening tag
+     * @returns {Object} Call
+     */
+    function parseXmlCall(body, attributes) {
+        // Set CDATA sections aside so their content cannot be mistaken for tags
+        const sections = [];
+        const masked = body.replace(CDATA_REGEX, (match, content) => {
+            sections.push(content);
+            return `\u0000${sections.length - 1}\u0000`;
+        });
+
+        const name = extractName(masked, attributes);
+        if (!name) {
+            return { name: null, error: `The tool call has no <name>. ${FORMAT_HINT}` };
+        }
+
+        const parametersMatch = PARAMETERS_REGEX.exec(masked);
+        const parametersText = parametersMatch ? parametersMatch[1] : masked.replace(NAME_REGEX, '');
+        if (!parametersMatch && /<parameters>/.test(masked)) {
+            return { name, error: `The <parameters> of the tool call are not closed. ${FORMAT_HINT}` };
+        }
+
+        // A JSON object instead of <param> tags
+        const parametersTrimmed = parametersText.trim();
+        if (parametersTrimmed.startsWith('{')) {
+            let value;
+            try {
+                value = JSON.parse(restore(parametersTrimmed, sections));
+            } catch (error) {
+                return { name, error: `The <parameters> of the tool call are not valid JSON: ${error.message}` };
+            }
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return { name, error: 'The <parameters> of the tool call must be a JSON object' };
+            }
+            return { name, parameters: value, format: 'xml' };
+        }
+
+        const parameters = {};
+        const paramRegex = new RegExp(PARAM_REGEX.source, 'g');
+        let paramMatch;
+        while ((paramMatch = paramRegex.exec(parametersText)) !== null) {
+            parameters[paramMatch[2]] = toValue(paramMatch[3], sections);
+        }
+
+        if (Object.keys(parameters).length === 0 && !/<(param|parameter)\b/.test(parametersText)) {
+            const tagRegex = new RegExp(TAG_PARAM_REGEX.source, 'g');
+            let tagMatch;
+            while ((tagMatch = tagRegex.exec(parametersText)) !== null) {
+                parameters[tagMatch[1]] = toValue(tagMatch[2], sections);
+            }
+        } else if (/<(param|parameter)\b/.test(parametersText.replace(paramRegex, ''))) {
+            return { name, error: `A <param> of the tool call is malformed or not closed. ${FORMAT_HINT}` };
+        }
+
+        return { name, parameters, format: 'xml' };
+    }
+
+    /**
+     * Find the tool name in a call body or the opening tag's name attribute
+     * @param {string} body Call body
+     * @param {string} [attributes] Attributes of the opening tag
+     * @returns {string|null} Tool name
+     */
+    function extractName(body, attributes) {
+        const nameMatch = NAME_REGEX.exec(body);
+        if (nameMatch && nameMatch[1].trim()) {
+            return nameMatch[1].trim();
+        }
+        const attributeMatch = attributes && /name\s*=\s*["']([^"']+)["']/.exec(attributes);
+        return attributeMatch ? attributeMatch[1].trim() : null;
+    }
+
+    /**
+     * Get a parameter value, keeping CDATA content exactly as written
+     * @param {string} raw Raw value with CDATA placeholders
+     * @param {Array<string>} sections CDATA contents
+     * @returns {string} Value
+     */
+    function toValue(raw, sections) {
+        const single = /^\s*\u0000(\d+)\u0000\s*$/.exec(raw);
+        if (single) {
+            // Only the line breaks right inside the CDATA markers are dropped
+            return sections[Number(single[1])].replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+        }
+        return restore(raw.trim(), sections);
+    }
+
+    /**
+     * Put CDATA contents back in place of their placeholders
+     * @param {string} text Text with placeholders
+     * @param {Array<string>} sections CDATA contents
+     * @returns {string} Text
+     */
+    function restore(text, sections) {
+        return text.replace(CDATA_TOKEN_REGEX, (match, index) => sections[Number(index)]);
+    }
+
+    return {
+        parseToolCalls,
+        FORMAT_HINT
+    };
+});
@@ -0,0 +1,227 @@
+const vscode = require('vscode');
+const { formatPreview } = require('./textDiff');
+
+// Risk levels a tool can declare, from least to most dangerous
+const RISK_LEVELS = ['read', 'write', 'destructive', 'external'];
+
+// Policy per risk level, used when the 'approval.*' settings are not set
+const DEFAULT_POLICY = {
+    read: 'allow',
+    write: 'ask',
+    destructive: 'ask',
+    external: 'ask'
+};
+
+// Policies from least to most strict; workspace settings may only move a tool's policy to the right
+const POLICY_ORDER = ['allow', 'ask', 'deny'];
+
+const ALWAYS_ALLOWED_KEY = 'nyxn-ai-assistant.alwaysAllowedTools';
+
+// Longest diff shown in an approval prompt, in characters
+const MAX_PREVIEW_LENGTH = 20000;
+
+/**
+ * Approval Manager
+ * Decides whether a tool call may run, based on the tool's risk level and the approval policy,
+ * and asks the user when the policy says so. "Always allow" answers are kept per workspace.
+ */
+class ApprovalManager {
+    /**
+     * Initialize approval manager
+     * @param {vscode.ExtensionContext} context Extension context, whose workspace state stores "always allow" answers
+     */
+    constructor(context) {
+        this.context = context;
+        // Asks the user about a tool call; replaced by the chat view, falls back to a modal dialog
+        this.prompt = (request) => this.promptWithDialog(request);
+    }
+
+    /**
+     * Set the function that asks the user to approve a tool call
+     * @param {Function} prompt Called with { toolName, risk, parameters, preview, signal };
+     *   resolves to 'allow', 'alwaysAllow' or 'deny'
+     */
+    setPrompt(prompt) {
+        this.prompt = prompt;
+    }
+
+    /**
+     * Get the policy that applies to a tool
+     * The user's settings decide: a per-tool setting wins over the risk level's policy. Workspace settings, which
+     * come with the repository, may only make that stricter; looser workspace values are ignored. An "always
+     * allow" answer turns a resulting 'ask' into 'allow'.
+     * @param {string} toolName Tool name
+     * @param {string} risk Tool risk level
+     * @returns {string} 'allow', 'ask' or 'deny'
+     */
+    getPolicy(toolName, risk) {
+        const config = vscode.workspace.getConfiguration('nyxn-ai-assistant');
+        const level = RISK_LEVELS.includes(risk) ? risk : 'write';
+
+        const levelSetting = config.inspect(`approval.${level}`) || {};
+        const toolsSetting = config.inspect('approval.tools') || {};
+        const userTools = toolsSetting.globalValue || {};
+        const userPolicy = userTools[toolName] || levelSetting.globalValue || DEFAULT_POLICY[level];
+
+        const workspaceTools = { ...(toolsSetting.workspaceValue || {}), ...(toolsSetting.workspaceFolderValue || {}) };
+        const workspacePolicies = [
+            levelSetting.workspaceFolderValue || levelSetting.workspaceValue,
+            workspaceTools[toolName]
+        ].filter(policy => POLICY_ORDER.includes(policy));
+
+        let policy = POLICY_ORDER.includes(userPolicy) ? userPolicy : DEFAULT_POLICY[level];
+        for (const workspacePolicy of workspacePolicies) {
+            if (POLICY_ORDER.indexOf(workspacePolicy) > POLICY_ORDER.indexOf(policy)) {
+                policy = workspacePolicy;
+            } else if (workspacePolicy !== policy) {
+                console.log(`Ignoring workspace approval policy '${workspacePolicy}' for '${toolName}': it is looser than '${policy}'`);
+            }
+        }
+
+        if (policy === 'ask' && this.isAlwaysAllowed(toolName)) {
+            return 'allow';
+        }
+        return policy;
+    }
+
+    /**
+     * Decide whether a tool call may run, asking the user if needed
+     * @param {Object} request Tool call
+     * @param {string} request.toolName Tool name
+     * @param {Object} request.parameters Validated parameters
+     * @param {string} request.risk Tool risk level
+     * @param {Function} [request.preview] Tool preview function, see ToolManager.registerTool
+     * @param {AbortSignal} [request.signal] Cancellation signal
+     * @returns {Promise<{approved: boolean, approver: string, reason: string|null}>}
+     *   Decision; approver is 'policy', 'workspace' or 'user'
+     */
+    async requestApproval(request) {
+        const { toolName, risk } = request;
+        const policy = this.getPolicy(toolName, risk);
+
+        if (policy === 'allow') {
+            return { approved: true, approver: this.isAlwaysAllowed(toolName) ? 'workspace' : 'policy', reason: null };
+        }
+        if (policy === 'deny') {
+            console.log(`Tool '${toolName}' denied by the approval policy`);
+            return { approved: false, approver: 'policy', reason: `The approval policy denies '${toolName}' (${risk})` };
+        }
+
+        const preview = await this._buildPreview(request);
+        const decision = await this.prompt({
+            toolName,
+            risk,
+            parameters: request.parameters,
+            preview,
+            signal: request.signal || null
+        });
+
+        if (decision === 'alwaysAllow') {
+            await this.setAlwaysAllowed(toolName, true);
+        }
+        if (decision === 'allow' || decision === 'alwaysAllow') {
+            console.log(`Tool '${toolName}' approved by the user`);
+            return { approved: true, approver: 'user', reason: null };
+        }
+
+        console.log(`Tool '${toolName}' denied by the user`);
+        return { approved: false, approver: 'user', reason: `The user denied running '${toolName}'` };
+    }
+
+    /**
+     * Check whether the user chose "always allow" for a tool in this workspace
+     * @param {string} toolName Tool name
+     * @returns {boolean} True if always allowed
+     */
+    isAlwaysAllowed(toolName) {
+        return this.getAlwaysAllowedTools().includes(toolName);
+    }
+
+    /**
+     * Get the tools always allowed in this workspace
+     * @returns {Array<string>} Tool names
+     */
+    getAlwaysAllowedTools() {
+        return this.context && this.context.workspaceState
+            ? this.context.workspaceState.get(ALWAYS_ALLOWED_KEY, [])
+            : [];
+    }
+
+    /**
+     * Remember or forget "always allow" for a tool in this workspace
+     * @param {string} toolName Tool name
+     * @param {boolean} allowed Whether the tool is always allowed
+     */
+    async setAlwaysAllowed(toolName, allowed) {
+        const tools = this.getAlwaysAllowedTools().filter(name => name !== toolName);
+        if (allowed) {
+            tools.push(toolName);
+        }
+        if (this.context && this.context.workspaceState) {
+            await this.context.workspaceState.update(ALWAYS_ALLOWED_KEY, tools);
+        }
+    }
+
+    /**
+     * Forget every "always allow" answer for this workspace
+     */
+    async resetAlwaysAllowed() {
+        if (this.context && this.context.workspaceState) {
+            await this.context.workspaceState.update(ALWAYS_ALLOWED_KEY, []);
+        }
+    }
+
+    /**
+     * Build the diff or summary shown with an approval prompt
+     * @param {Object} request Tool call, see requestApproval
+     * @returns {Promise<{title: string, diff: string}|null>} Preview, or null if the tool has none
+     * @private
+     */
+    async _buildPreview(request) {
+        if (typeof request.preview !== 'function') {
+            return null;
+        }
+
+        try {
+            const preview = await request.preview(request.parameters);
+            if (!preview) {
+                return null;
+            }
+
+            const { title, diff } = formatPreview(preview, request.toolName);
+            if (diff.length > MAX_PREVIEW_LENGTH) {
+                return { title, diff: `${diff.substring(0, MAX_PREVIEW_LENGTH)}\n... [diff truncated]` };
+            }
+            return { title, diff };
+        } catch (error) {
+            console.error(`Error building preview for '${request.toolName}':`, error);
+            return { title: request.toolName, diff: `(preview unavailable: ${error.message})` };
+        }
+    }
+
+    /**
+     * Ask for approval with a modal dialog, used when the chat view is not open
+     * @param {Object} request Approval request, see setPrompt
+     * @returns {Promise<string>} 'allow', 'alwaysAllow' or 'deny'
+     */
+    async promptWithDialog(request) {
+        const detail = [`Parameters:\n${JSON.stringify(request.parameters, null, 2)}`];
+        if (request.preview) {
+            detail.push(`${request.preview.title}:\n${request.preview.diff}`);
+        }
+
+        const answer = await vscode.window.showWarningMessage(
+            `Allow Nyxn AI to run '${request.toolName}' (${request.risk})?`,
+            { modal: true, detail: detail.join('\n\n') },
+            'Allow',
+            'Always Allow for Workspace'
+        );
+
+        if (answer === 'Allow') {
+            return 'allow';
+        }
+        return answer === 'Always Allow for Workspace' ? 'alwaysAllow' : 'deny';
+    }
+}
+
+module.exports = ApprovalManager;
@@ -0,0 +1,260 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { createUnifiedDiff } = require('./textDiff');
+
+// Convert fs functions to Promises
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Change Journal
+ * Records the content of every file before a tool changes it, grouped by conversation turn, so the
+ * changes of a turn, or of every turn since a message, can be undone. Only the first snapshot of a
+ * file in a turn is kept; a file that did not exist is recorded as null and deleted on undo.
+ * Tools record through the 'journal' execution option, see ToolManager.setChangeJournal. Tools run outside the
+ * agent loop record in a separate turn instead, see beginSeparateTurn.
+ */
+class ChangeJournal {
+    constructor() {
+        // Turns in order: { id, files: Map<path, string|null> }
+        this.turns = [];
+        this._currentTurn = null;
+        this._nextId = 1;
+    }
+
+    /**
+     * Start a turn; file changes are recorded in it until it ends
+     * @returns {number} Turn id
+     */
+    beginTurn() {
+        this._currentTurn = { id: this._nextId++, files: new Map() };
+        this.turns.push(this._currentTurn);
+        return this._currentTurn.id;
+    }
+
+    /**
+     * End the current turn
+     */
+    endTurn() {
+        this._currentTurn = null;
+    }
+
+    /**
+     * Start a turn for a tool run outside the agent loop, e.g. from the chat or the tool call log
+     * The turn is not the current one, so its changes stay apart from a request running at the same time.
+     * @returns {{id: number, recordBefore: Function}} Turn id, and a journal to pass to the tool that records in the turn
+     */
+    beginSeparateTurn() {
+        const turn = { id: this._nextId++, files: new Map() };
+        this.turns.push(turn);
+        return { id: turn.id, recordBefore: filePath => this._record(turn, filePath) };
+    }
+
+    /**
+     * Record the current content of a file a tool is about to change
+     * A change made while no turn is running gets a separate turn, so no turn is left open.
+     * @param {string} filePath Absolute file path
+     */
+    async recordBefore(filePath) {
+        if (!this._currentTurn) {
+            console.warn(`Recording ${filePath} outside a turn`);
+            await this.beginSeparateTurn().recordBefore(filePath);
+            return;
+        }
+        await this._record(this._currentTurn, filePath);
+    }
+
+    /**
+     * Record the current content of a file in a turn, unless the turn already has it
+     * @param {Object} turn Turn
+     * @param {string} filePath Absolute file path
+     * @private
+     */
+    async _record(turn, filePath) {
+        const key = path.resolve(filePath);
+        if (turn.files.has(key)) {
+            return;
+        }
+
+        turn.files.set(key, await readCurrentContent(key));
+        console.log(`Recorded ${key} before change (turn ${turn.id})`);
+    }
+
+    /**
+     * Count the files a turn changed
+     * @param {number} turnId Turn id
+     * @returns {number} Number of files
+     */
+    getFileCount(turnId) {
+        const turn = this.turns.find(entry => entry.id === turnId);
+        return turn ? turn.files.size : 0;
+    }
+
+    /**
+     * Count the files changed by a turn and every turn after it
+     * @param {number} turnId Turn id
+     * @returns {number} Number of files
+     */
+    getFileCountSince(turnId) {
+        return this._collect(this.turns.filter(turn => turn.id >= turnId)).size;
+    }
+
+    /**
+     * Undo the changes of one turn
+     * Files that later turns changed again are restored too, and dropped from those turns.
+     * @param {number} turnId Turn id
+     * @returns {Promise<number>} Number of files restored, 0 if the user cancelled
+     */
+    async undoTurn(turnId) {
+        const turn = this.turns.find(entry => entry.id === turnId);
+        if (!turn || turn.files.size === 0) {
+            throw new Error('This turn made no file changes to undo');
+        }
+        return await this._undo([turn], 'this turn');
+    }
+
+    /**
+     * Undo the changes of a turn and every turn after it
+     * @param {number} turnId Turn id
+     * @returns {Promise<number>} Number of files restored, 0 if the user cancelled
+     */
+    async undoSince(turnId) {
+        const turns = this.turns.filter(turn => turn.id >= turnId && turn.files.size > 0);
+        if (turns.length === 0) {
+            throw new Error('There are no file changes since this message to undo');
+        }
+        return await this._undo(turns, 'since this message');
+    }
+
+    /**
+     * Forget all recorded changes, e.g. when the conversation is cleared
+     */
+    clear() {
+        this.turns = [];
+        this._currentTurn = null;
+    }
+
+    /**
+     * Show what undoing the turns would do, ask for confirmation and restore the files
+     * @param {Array<Object>} turns Turns to undo
+     * @param {string} label Description of the turns, for the confirmation
+     * @returns {Promise<number>} Number of files restored, 0 if the user cancelled
+     * @private
+     */
+    async _undo(turns, label) {
+        const files = this._collect(turns);
+
+        const diffs = [];
+        for (const [filePath, before] of files.entries()) {
+            const current = await readCurrentContent(filePath);
+            const relativePath = vscode.workspace.asRelativePath(filePath);
+            const diff = createUnifiedDiff(current || '', before || '', {
+                fromFile: current === null ? '/dev/null' : `a/${relativePath}`,
+                toFile: before === null ? '/dev/null' : `b/${relativePath}`
+            });
+            diffs.push(diff || `(no changes to ${relativePath})\n`);
+        }
+
+        // Show the diff of the undo, then ask
+        const diffDocument = await vscode.workspace.openTextDocument({ language: 'diff', content: diffs.join('\n') });
+        await vscode.window.showTextDocument(diffDocument, { preview: true, viewColumn: vscode.ViewColumn.Beside });
+        const fileNames = [...files.keys()].map(filePath => vscode.workspace.asRelativePath(filePath));
+        const choice = await vscode.window.showWarningMessage(
+            `Undo the assistant's changes to ${files.size} file${files.size === 1 ? '' : 's'} ${label}?`,
+            { modal: true, detail: `${fileNames.join('\n')}\n\nThe diff shows the result. Created files are deleted.` },
+            'Undo'
+        );
+        if (choice !== 'Undo') {
+            return 0;
+        }
+
+        await restoreFiles(files);
+
+        // Restored files have no changes left to undo in the undone turn and later ones; earlier turns keep theirs
+        for (const turn of this.turns.filter(entry => entry.id >= turns[0].id)) {
+            for (const filePath of files.keys()) {
+                turn.files.delete(filePath);
+            }
+        }
+        console.log(`Restored ${files.size} files ${label}`);
+        return files.size;
+    }
+
+    /**
+     * Get the content each file had before the first of the given turns changed it
+     * The earliest snapshot wins, so a file changed in several of the turns returns to its state before the first
+     * @param {Array<Object>} turns Turns, in order
+     * @returns {Map<string, string|null>} Content by file path
+     * @private
+     */
+    _collect(turns) {
+        const files = new Map();
+        for (const turn of turns) {
+            for (const [filePath, before] of turn.files.entries()) {
+                if (!files.has(filePath)) {
+                    files.set(filePath, before);
+                }
+            }
+        }
+        return files;
+    }
+}
+
+/**
+ * Read the content of a file as VS Code sees it, including unsaved editor changes
+ * @param {string} filePath Absolute file path
+ * @returns {Promise<string|null>} Content, or null if the file does not exist
+ */
+async function readCurrentContent(filePath) {
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.scheme === 'file' && path.resolve(doc.uri.fsPath) === filePath);
+    if (document) {
+        return document.getText();
+    }
+    try {
+        return await readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Restore files to recorded content with one workspace edit, then save them
+ * @param {Map<string, string|null>} files Content by file path; null deletes the file
+ */
+async function restoreFiles(files) {
+    const edit = new vscode.WorkspaceEdit();
+    const saved = [];
+
+    for (const [filePath, before] of files.entries()) {
+        const uri = vscode.Uri.file(filePath);
+        const current = await readCurrentContent(filePath);
+        if (before === null) {
+            if (current !== null) {
+                edit.deleteFile(uri, { ignoreIfNotExists: true });
+            }
+        } else if (current === null) {
+            edit.createFile(uri, { overwrite: true });
+            edit.insert(uri, new vscode.Position(0, 0), before);
+            saved.push(uri);
+        } else {
+            const document = await vscode.workspace.openTextDocument(uri);
+            const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+            edit.replace(uri, fullRange, before);
+            saved.push(uri);
+        }
+    }
+
+    if (!(await vscode.workspace.applyEdit(edit))) {
+        throw new Error('Failed to restore files: the edit was not applied');
+    }
+    for (const uri of saved) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        await document.save();
+    }
+}
+
+module.exports = ChangeJournal;
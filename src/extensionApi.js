@@ -0,0 +1,113 @@
+const vscode = require('vscode');
+
+// Bumped when the API changes in a way that breaks callers
+const API_VERSION = 1;
+
+const RISK_LEVELS = ['read', 'write', 'destructive', 'external'];
+
+// Function names the Gemini API accepts
+const TOOL_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+
+/**
+ * Create the API that activate() returns to other extensions
+ * Other extensions get it with vscode.extensions.getExtension('nyxn-ai.nyxn-ai-assistant').activate().
+ * Tools they register are offered to the model like built-in ones and go through the same
+ * profile, approval, timeout and audit handling.
+ * @param {NyxnWebviewProvider} provider Webview provider
+ * @returns {Object} Extension API
+ */
+function createExtensionApi(provider) {
+    const toolManager = provider.toolManager;
+    // Tools registered through the API; only these can be unregistered through it
+    const apiTools = new Set();
+
+    return {
+        version: API_VERSION,
+
+        /**
+         * Register a tool
+         * @param {string} name Tool name: letters, digits, '_', '.' or '-'
+         * @param {Function} handler Runs the tool: (params, { signal }) => result or Promise of a result
+         * @param {Object} [metadata={}] Tool metadata, see ToolManager.registerTool; risk defaults to 'write'
+         * @returns {vscode.Disposable} Disposable that unregisters the tool
+         */
+        registerTool(name, handler, metadata = {}) {
+            if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+                throw new Error(`Invalid tool name: ${name}`);
+            }
+            if (typeof handler !== 'function') {
+                throw new Error(`The handler of tool '${name}' must be a function`);
+            }
+            if (metadata.risk !== undefined && !RISK_LEVELS.includes(metadata.risk)) {
+                throw new Error(`Invalid risk level for tool '${name}': ${metadata.risk} (expected ${RISK_LEVELS.join(', ')})`);
+            }
+            if (toolManager.hasTool(name)) {
+                throw new Error(`Tool '${name}' is already registered`);
+            }
+
+            toolManager.registerTool(name, handler, metadata);
+            apiTools.add(name);
+            console.log(`Tool '${name}' registered through the extension API`);
+
+            return new vscode.Disposable(() => {
+                if (apiTools.has(name)) {
+                    apiTools.delete(name);
+                    toolManager.unregisterTool(name);
+                }
+            });
+        },
+
+        /**
+         * Unregister a tool registered through the API
+         * @param {string} name Tool name
+         * @returns {boolean} True if the tool was registered through the API
+         */
+        unregisterTool(name) {
+            if (!apiTools.has(name)) {
+                return false;
+            }
+            apiTools.delete(name);
+            return toolManager.unregisterTool(name);
+        },
+
+        /**
+         * Get the tools the model may use with the active profile
+         * @returns {Array<Object>} Tool descriptions: { name, description, parameters, required, risk, parallel }
+         */
+        getAvailableTools() {
+            return toolManager.getAvailableTools();
+        },
+
+        /**
+         * Subscribe to conversation events
+         * @param {Function} listener Called with { type, conversationId, timestamp, ... }, see NyxnWebviewProvider.onConversationEvent
+         * @returns {vscode.Disposable} Disposable that unsubscribes
+         */
+        onConversationEvent(listener) {
+            return provider.onConversationEvent(listener);
+        },
+
+        /**
+         * Send a prompt to the assistant; it is shown in the chat like a message the user typed
+         * @param {string} text Prompt
+         * @param {Object} [options={}] Options
+         * @param {Object} [options.generationConfig] Generation parameters for this request
+         * @returns {Promise<Object>} Reply: { text, toolResults, cancelled, error }
+         */
+        sendPrompt(text, options = {}) {
+            return provider.sendPrompt(text, options.generationConfig || null);
+        },
+
+        /**
+         * Get the current conversation
+         * @returns {{id: string, messages: Array<Object>}} Conversation id and chat messages
+         */
+        getConversation() {
+            return provider.getConversation();
+        }
+    };
+}
+
+module.exports = {
+    createExtensionApi
+};
@@ -1,10 +1,27 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const vscode = require('vscode');
+const { createProvider, classifyError, withRetry } = require('./providers');
+const TokenBudgetManager = require('./tokenBudgetManager');
 require('dotenv').config();
 
+// Generation parameters read from the 'generation.*' settings and accepted as per-request overrides
+const GENERATION_PARAMETERS = ['temperature', 'topP', 'topK', 'maxOutputTokens'];
+
+// Markers the model ends a plan step's reply with
+const PLAN_STEP_COMPLETE = 'STEP COMPLETE';
+const PLAN_STEP_FAILED = 'STEP FAILED';
+
+// 'safety.*' settings and the Gemini harm categories they control
+const SAFETY_CATEGORIES = {
+    harassment: 'HARM_CATEGORY_HARASSMENT',
+    hateSpeech: 'HARM_CATEGORY_HATE_SPEECH',
+    sexuallyExplicit: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    dangerousContent: 'HARM_CATEGORY_DANGEROUS_CONTENT'
+};
+
 /**
  * Gemini Service
- * Handles interaction with Gemini API, supports tool usage and context management
+ * Handles conversations with the configured LLM provider (Gemini by default),
+ * supports tool usage and context management
  */
 class GeminiService {
     /**
@@ -16,37 +33,60 @@ class GeminiService {
         this.toolManager = toolManager;
         this.contextManager = contextManager;
         this.chatHistory = [];
+        // Model-written summary of turns removed by compaction, editable from the chat view
+        this.conversationSummary = '';
+        // Active agent profile: its system prompt, model and tool allowlist take precedence over settings
+        this.profile = null;
         this.initialize();
     }
 
     /**
-     * Initialize Gemini API
+     * Apply an agent profile and re-initialize the provider with its model
+     * @param {Object|null} profile Profile from ProfileManager, or null to use the settings only
+     */
+    setProfile(profile) {
+        this.profile = profile || null;
+        if (this.toolManager) {
+            this.toolManager.setAllowedTools(this.profile ? this.profile.tools : null, this.profile ? this.profile.name : null);
+        }
+        console.log(`Using profile: ${this.profile ? this.profile.name : 'none'}`);
+        this.initialize();
+    }
+
+    /**
+     * Initialize the LLM provider selected in settings
      */
     initialize() {
+        this.provider = null;
+
         try {
-            // Prioritize API key from configuration, fallback to environment variable
             const config = vscode.workspace.getConfiguration('nyxn-ai-assistant');
-            const apiKey = config.get('apiKey') || process.env.GEMINI_API_KEY;
 
-            if (!apiKey) {
-                vscode.window.showErrorMessage('Please set Gemini API key');
-                console.error('Gemini API key not set');
-                return;
-            }
-
-            console.log('Initializing Gemini API...');
-            this.genAI = new GoogleGenerativeAI(apiKey);
-
-            // Use correct model name - ensure using a valid model
-            this.modelName = config.get('model') || process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-            console.log(`Using model: ${this.modelName}`);
+            console.log(`Initializing ${config.get('provider') || 'gemini'} provider...`);
+            const workspaceFolders = vscode.workspace.workspaceFolders;
+            this.provider = createProvider(config, {
+                workspaceRoot: workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : undefined,
+                model: this.profile && this.profile.model ? this.profile.model : undefined
+            });
+            this.modelName = this.provider.modelName;
+            this.tokenBudget = new TokenBudgetManager(this.provider);
+            console.log(`Using model: ${this.modelName} (token budget ${this.tokenBudget.getBudget()})`);
 
-            this.model = this.genAI.getGenerativeModel({ model: this.modelName });
-            this.systemPrompt = config.get('systemPrompt') || this.getDefaultSystemPrompt();
-            console.log('Gemini API initialized successfully');
+            this.systemPrompt = (this.profile && this.profile.systemPrompt) || config.get('systemPrompt') || this.getDefaultSystemPrompt();
+            this.maxToolIterations = Math.max(1, config.get('maxToolIterations') || 10);
+            if (this.toolManager) {
+                this.toolManager.setMaxConcurrency(config.get('toolConcurrency') || 4);
+                this.toolManager.setLimits(this._readToolLimits(config));
+            }
+            this.toolCallingMode = config.get('toolCallingMode') || 'native';
+            this.autoCompact = config.get('autoCompact') !== false;
+            this.maxRetries = Math.max(0, config.get('maxRetries') !== undefined ? config.get('maxRetries') : 3);
+            this.generationConfig = this._readGenerationConfig(config);
+            this.safetySettings = this._readSafetySettings(config);
+            console.log(`${this.provider.displayName} provider initialized successfully`);
         } catch (error) {
-            console.error('Error initializing Gemini API:', error);
-            vscode.window.showErrorMessage(`Error initializing Gemini API: ${error.message}`);
+            console.error('Error initializing LLM provider:', error);
+            this._showProviderError(classifyError(error), 'Error initializing Nyxn AI Assistant');
         }
     }
 
@@ -55,7 +95,7 @@ class GeminiService {
      * @returns {string} Default system prompt
      */
     getDefaultSystemPrompt() {
-        return `You are Nyxn AI Assistant, an advanced AI coding assistant in a VS Code extension, based on the Gemini model.
+        return `You are Nyxn AI Assistant, an advanced AI coding assistant in a VS Code extension, powered by a large language model (Gemini by default).
 You specialize in helping users write code, explain code, answer questions, and perform various programming tasks.
 You're designed to be similar to Claude and Augment, with powerful code generation and analysis capabilities.
 
@@ -67,21 +107,8 @@ You can use tools to perform various operations, such as:
 - Analyzing project structure
 - Git version control operations (status, branches, commits, push/pull)
 
-When using tools, please use the following format:
-<tool>
-<n>tool_name</n>
-<parameters>
-<param name="parameter_name">parameter_value</param>
-</parameters>
-</tool>
-
-For example, to read a file, you can use:
-<tool>
-<n>read-file</n>
-<parameters>
-<param name="file_path">path/to/file.js</param>
-</parameters>
-</tool>
+After your tools run, their results are sent back to you in the next message.
+Use them to continue the task, calling further tools as needed, and answer without tool calls once you are done.
 
 For code generation and editing:
 1. Use the 'insert-code' tool to add code at the cursor position
@@ -109,105 +136,265 @@ When generating code:
 Please keep your answers concise, professional, and provide useful information as much as possible.`;
     }
 
+    /**
+     * Get tool call format instructions for the XML fallback mode
+     * @returns {string} Tool call format instructions
+     */
+    getXmlToolInstructions() {
+        return `When using tools, please use the following format:
+<tool>
+<name>tool_name</name>
+<parameters>
+<param name="parameter_name">parameter_value</param>
+</parameters>
+</tool>
+
+For example, to read a file, you can use:
+<tool>
+<name>read-file</name>
+<parameters>
+<param name="file_path">path/to/file.js</param>
+</parameters>
+</tool>
+
+Wrap values that span several lines, such as code, in <![CDATA[ ... ]]> so they are passed exactly:
+<param name="code"><![CDATA[
+if (a < b) {
+    return a;
+}
+]]></param>
+
+Tool results are returned to you as <tool-result> or <tool-error> blocks.`;
+    }
+
     /**
      * Generate content
+     * Runs the agent loop: tool results are sent back to the model as a follow-up turn
+     * until it answers without tool calls or the iteration cap is reached
      * @param {string} prompt User prompt
      * @param {Object} [context=null] Context
      * @param {boolean} [useTools=true] Whether to use tools
+     * @param {Object} [options={}] Generation options
+     * @param {Function} [options.onStep] Called with each agent step as it completes
+     * @param {Function} [options.onChunk] Called with each streamed text chunk; enables streaming
+     * @param {Function} [options.onStreamEnd] Called when a streamed reply is complete, before its tools run
+     * @param {Function} [options.onRetry] Called with { attempt, maxRetries, delayMs, error } before a failed call is retried
+     * @param {Object} [options.generationConfig] Generation parameters overriding the settings for this request
+     * @param {AbortSignal} [options.signal] Signal that cancels the request and any running tools
      * @returns {Promise<Object>} Generation result
      */
-    async generateContent(prompt, context = null, useTools = true) {
+    async generateContent(prompt, context = null, useTools = true, options = {}) {
+        const signal = options.signal || null;
+        const steps = [];
+        // Token usage of every provider call made for this request
+        const usage = this._createUsage();
+        // Text of the current step that is not yet in steps, kept for the cancelled transcript
+        let pendingText = '';
+        // Results of tools that ran but are not in history yet, recorded if the request fails before sending them
+        let unsentResults = null;
+
         try {
             console.log('Starting content generation...');
-            if (!this.model) {
-                console.log('Model not initialized, attempting to initialize...');
+            if (!this.provider) {
+                console.log('Provider not initialized, attempting to initialize...');
                 this.initialize();
-                if (!this.model) {
+                if (!this.provider) {
                     console.error('Initialization failed, API key not set or initialization failed');
                     return { error: 'API key not set or initialization failed' };
                 }
             }
 
-            // Build complete prompt, including context (if available)
-            let fullPrompt = prompt;
-
-            // Add code context
-            if (context) {
-                if (typeof context === 'string') {
-                    // Simple string context
-                    fullPrompt = `Here is the current code context:
-\`\`\`
-${context}
-\`\`\`
-
-${prompt}`;
-                } else {
-                    // Structured context
-                    fullPrompt = this._buildStructuredPrompt(prompt, context);
-                }
-            }
-
             // Add system prompt and available tools information
             let systemContext = this.systemPrompt;
+            const toolsEnabled = useTools && this.toolManager;
+            const nativeTools = toolsEnabled && this.toolCallingMode === 'native' && this.provider.supportsFunctionCalling();
+            const tools = nativeTools ? this.toolManager.getFunctionDeclarations() : [];
 
-            // If tools are enabled, add tools information
-            if (useTools && this.toolManager) {
+            if (toolsEnabled && !nativeTools) {
+                // Fall back to describing tools in the system prompt
                 const availableTools = this.toolManager.getAvailableTools();
+                systemContext += `\n\n${this.getXmlToolInstructions()}`;
                 systemContext += `\n\nAvailable tools:\n${JSON.stringify(availableTools, null, 2)}`;
             }
 
-            // Add chat history
+            // Summarise older turns when the conversation gets close to the token budget
+            let compaction = null;
+            const requestTokens = this.tokenBudget.estimateTokens(this.chatHistory) +
+                this.tokenBudget.estimateTokens(systemContext) +
+                this.tokenBudget.estimateTokens(JSON.stringify(tools)) +
+                this.tokenBudget.estimateTokens(prompt);
+            if (this.autoCompact && this.tokenBudget.shouldCompact(requestTokens)) {
+                try {
+                    compaction = await this.compactHistory({ signal });
+                } catch (error) {
+                    this._throwIfCancelled(signal);
+                    console.warn('Automatic compaction failed, older turns will be trimmed instead:', error.message);
+                }
+            }
+
+            if (this.conversationSummary) {
+                systemContext += `\n\n${this._buildSummaryInstruction()}`;
+            }
+
+            // Build complete prompt, including context (if available), using at most half of the remaining budget
+            const fixedTokens = this.tokenBudget.estimateTokens(systemContext) +
+                this.tokenBudget.estimateTokens(JSON.stringify(tools));
+            const maxPromptTokens = Math.floor((this.tokenBudget.getAvailableTokens() - fixedTokens) / 2);
+            const fullPrompt = this._buildPrompt(prompt, context, maxPromptTokens);
+            const contextTokens = Math.max(0,
+                this.tokenBudget.estimateTokens(fullPrompt) - this.tokenBudget.estimateTokens(prompt));
+
+            // Add chat history; turns of this request are appended as the loop runs
             const history = this._buildChatHistory();
+            const requestStart = history.length;
+            const generationConfig = {
+                ...this.generationConfig,
+                ...this._readGenerationOverrides(options.generationConfig)
+            };
+            let droppedTurns = 0;
 
-            // Create chat session
-            console.log('Creating chat session...');
-            const chat = this.model.startChat({
-                history: history,
-                systemInstruction: systemContext,
-            });
+            const onStep = typeof options.onStep === 'function' ? options.onStep : () => {};
+            const onChunk = typeof options.onChunk === 'function'
+                ? (chunk) => {
+                    pendingText += chunk.text;
+                    options.onChunk(chunk);
+                }
+                : null;
+            const maxIterations = this.maxToolIterations;
+            let toolResults = [];
+            let message = fullPrompt;
+            let response;
+            let responseText = '';
+            let iterationLimitReached = false;
 
-            // Send message
-            console.log('Sending message to Gemini API...');
-            const result = await chat.sendMessage(fullPrompt);
-            const response = result.response;
-            const responseText = response.text();
-            console.log('Successfully received Gemini API response');
+            for (let iteration = 1; ; iteration++) {
+                // Send message
+                console.log(`Sending message to ${this.provider.displayName} (step ${iteration})...`);
+                pendingText = '';
 
-            // Log the first 100 characters of the response (for debugging)
-            if (responseText) {
-                console.log(`Response preview: ${responseText.substring(0, 100)}...`);
-            }
+                // Drop the oldest turns that no longer fit the token budget
+                const messageTokens = this.tokenBudget.estimateTokens([this._toHistoryContent(message)]);
+                const fitted = await this.tokenBudget.fitHistory(history, {
+                    fixedTokens: fixedTokens + messageTokens,
+                    keepFrom: requestStart
+                });
+                droppedTurns = Math.max(droppedTurns, fitted.droppedTurns);
 
-            // Add to chat history
-            this.chatHistory.push({ role: 'user', parts: [{ text: fullPrompt }] });
-            this.chatHistory.push({ role: 'model', parts: [{ text: responseText }] });
+                response = await this._sendMessage({
+                    history: fitted.history,
+                    message,
+                    systemInstruction: systemContext,
+                    tools,
+                    generationConfig,
+                    safetySettings: this.safetySettings,
+                    signal
+                }, iteration, { ...options, onChunk });
+                responseText = response.text;
+                pendingText = responseText;
+                console.log(`Successfully received ${this.provider.displayName} response`);
+                this._addUsage(usage, response, fixedTokens + fitted.tokens + messageTokens, contextTokens);
 
-            // If tools are enabled, process tool calls
-            let processedResponse = responseText;
-            let toolResults = [];
+                // Log the first 100 characters of the response (for debugging)
+                if (responseText) {
+                    console.log(`Response preview: ${responseText.substring(0, 100)}...`);
+                }
+
+                if (response.blocked) {
+                    console.warn(`Response blocked by safety filters (${response.blocked.stage}: ${response.blocked.reason})`);
+                    // A blocked prompt stays out of history so it does not block later requests;
+                    // mid-loop, a placeholder reply keeps the pending function responses answered
+                    if (iteration > 1) {
+                        const turn = [
+                            this._toHistoryContent(message),
+                            { role: 'model', parts: [{ text: '(This reply was blocked by the safety filters.)' }] }
+                        ];
+                        history.push(...turn);
+                        this.chatHistory.push(...turn);
+                        unsentResults = null;
+                    }
+                    steps.push({ iteration, text: this._explainBlockedResponse(response.blocked), toolResults: [] });
+                    break;
+                }
+
+                // Add to chat history
+                const turn = [this._toHistoryContent(message), response.content];
+                history.push(...turn);
+                this.chatHistory.push(...turn);
+                unsentResults = null;
+                this._throwIfCancelled(signal);
+
+                // Stop when tools are disabled or the model answered without calling any
+                if (!toolsEnabled) {
+                    steps.push({ iteration, text: responseText, toolResults: [] });
+                    break;
+                }
+
+                const toolResponse = nativeTools
+                    ? await this._executeFunctionCalls(response, signal)
+                    : await this.toolManager.executeToolCalls(responseText, { signal });
+                const step = { iteration, text: toolResponse.text, toolResults: toolResponse.results };
+                steps.push(step);
+                pendingText = '';
+                this._throwIfCancelled(signal);
+
+                if (toolResponse.results.length === 0) {
+                    break;
+                }
+
+                toolResults = toolResults.concat(toolResponse.results);
+                onStep(step);
 
-            if (useTools && this.toolManager) {
-                const toolResponse = await this.toolManager.executeToolCalls(responseText);
-                processedResponse = toolResponse.text;
-                toolResults = toolResponse.results;
+                // Feed tool results back to the model as the next turn
+                message = nativeTools
+                    ? this.toolManager.toFunctionResponseParts(toolResponse.results)
+                    : this._buildToolResultsMessage(toolResponse.results);
+                unsentResults = message;
 
-                // If there are tool call results, add the results to chat history
-                if (toolResults.length > 0) {
-                    this.chatHistory.push({ role: 'model', parts: [{ text: processedResponse }] });
+                if (iteration >= maxIterations) {
+                    console.warn(`Agent loop stopped after ${iteration} steps (maxToolIterations)`);
+                    // The tools ran, so the next request must tell the model their results
+                    this.chatHistory.push(this._toHistoryContent(message));
+                    iterationLimitReached = true;
+                    break;
                 }
             }
 
+            let processedResponse = steps.map(step => step.text).filter(text => text).join('\n\n');
+            if (iterationLimitReached) {
+                processedResponse += `\n\n_Stopped after ${maxIterations} tool steps. Send a follow-up message to let the assistant continue._`;
+            }
+
             return {
                 text: processedResponse,
                 originalText: responseText,
                 promptFeedback: response.promptFeedback,
-                toolResults: toolResults
+                blocked: response.blocked || null,
+                toolResults: toolResults,
+                steps: steps,
+                usage: usage,
+                iterationLimitReached: iterationLimitReached,
+                droppedTurns: droppedTurns,
+                compaction: compaction && compaction.compactedTurns > 0 ? compaction : null
             };
         } catch (error) {
-            console.error('Gemini API error:', error);
+            if (signal && signal.aborted) {
+                console.log('Content generation cancelled');
+                return { ...this._buildCancelledResult(steps, pendingText), usage };
+            }
+
+            const providerName = this.provider ? this.provider.displayName : 'LLM';
+            const providerError = classifyError(error);
+            console.error(`${providerName} API error (${providerError.kind}):`, error);
+            this._closePendingCalls(unsentResults, { error: `Not completed: ${error.message}` });
             // Display more detailed error information
-            vscode.window.showErrorMessage(`Gemini API error: ${error.message}`);
-            return { error: `Error calling Gemini API: ${error.message}` };
+            this._showProviderError(providerError, `${providerName} API error`);
+            return {
+                error: `Error calling ${providerName} API: ${error.message}`,
+                errorKind: providerError.kind,
+                usage,
+                userMessage: providerError.userMessage,
+                suggestion: providerError.suggestion
+            };
         }
     }
 
@@ -261,16 +448,257 @@ ${prompt}`;
      */
     clearChatHistory() {
         this.chatHistory = [];
+        this.conversationSummary = '';
+    }
+
+    /**
+     * Compact the conversation
+     * Replaces older turns with a model-written summary that keeps decisions, files touched and open tasks
+     * @param {Object} [options={}] Compaction options
+     * @param {number} [options.keepTurns=2] Number of most recent user turns kept verbatim
+     * @param {AbortSignal} [options.signal] Cancellation signal
+     * @returns {Promise<{compactedTurns: number, summary: string, usage: Object}>} Number of summarised turns,
+     *   the new summary and the tokens spent writing it
+     */
+    async compactHistory(options = {}) {
+        const keepTurns = typeof options.keepTurns === 'number' ? options.keepTurns : 2;
+
+        if (!this.provider) {
+            this.initialize();
+            if (!this.provider) {
+                throw new Error('API key not set or initialization failed');
+            }
+        }
+
+        const originalLength = this.chatHistory.length;
+        const history = this._buildChatHistory();
+        const turnStarts = [];
+        history.forEach((entry, index) => {
+            if (entry.role === 'user') {
+                turnStarts.push(index);
+            }
+        });
+
+        if (turnStarts.length <= keepTurns) {
+            return { compactedTurns: 0, summary: this.conversationSummary, usage: this._createUsage() };
+        }
+
+        const splitIndex = keepTurns > 0 ? turnStarts[turnStarts.length - keepTurns] : history.length;
+        const olderTurns = history.slice(0, splitIndex);
+
+        console.log(`Compacting ${turnStarts.length - keepTurns} turns into a summary...`);
+        const response = await withRetry(() => this.provider.chat({
+            history: [],
+            message: this._buildCompactionPrompt(olderTurns),
+            systemInstruction: 'You summarise coding assistant conversations so they can be continued later. Reply with the summary only.',
+            tools: [],
+            safetySettings: this.safetySettings,
+            signal: options.signal || null
+        }), { maxRetries: this.maxRetries, signal: options.signal });
+
+        const usage = this._createUsage();
+        this._addUsage(usage, response, 0, 0);
+        const summary = (response.text || '').trim();
+        if (!summary) {
+            throw new Error('The model returned an empty summary');
+        }
+
+        if (this.chatHistory.length < originalLength) {
+            throw new Error('Chat history was cleared while compacting');
+        }
+
+        // Turns added while the summary was being written are kept as well
+        this.chatHistory = history.slice(splitIndex).concat(this.chatHistory.slice(originalLength));
+        this.conversationSummary = summary;
+        console.log(`Conversation compacted, summary is ${summary.length} characters`);
+
+        return { compactedTurns: turnStarts.length - keepTurns, summary, usage };
+    }
+
+    /**
+     * Ask the model for a numbered plan for a larger task, without running any tools
+     * @param {string} task Task described by the user
+     * @param {Object|string} [context=null] Editor context
+     * @param {Object} [options={}] Options
+     * @param {Object} [options.revision] Plan to revise: { plan, failedStep, error }; finished steps are kept
+     * @param {AbortSignal} [options.signal] Cancellation signal
+     * @returns {Promise<{summary: string, steps: Array<Object>, usage: Object}>}
+     *   Plan; each step has title, files, tools and expectedOutcome
+     */
+    async generatePlan(task, context = null, options = {}) {
+        if (!this.provider) {
+            this.initialize();
+            if (!this.provider) {
+                throw new Error('API key not set or initialization failed');
+            }
+        }
+
+        const tools = this.toolManager ? this.toolManager.getAvailableTools() : [];
+        const prompt = this._buildPrompt(this._buildPlanPrompt(task, tools, options.revision), context,
+            Math.floor(this.tokenBudget.getAvailableTokens() / 2));
+
+        console.log(`${options.revision ? 'Revising' : 'Generating'} plan...`);
+        const response = await withRetry(() => this.provider.chat({
+            history: this._buildChatHistory(),
+            message: prompt,
+            systemInstruction: `${this.systemPrompt}\n\nYou are planning a task before carrying it out. Reply with the plan as JSON only.`,
+            tools: [],
+            generationConfig: this.generationConfig,
+            safetySettings: this.safetySettings,
+            signal: options.signal || null
+        }), { maxRetries: this.maxRetries, signal: options.signal });
+
+        const usage = this._createUsage();
+        this._addUsage(usage, response, 0, 0);
+        if (response.blocked) {
+            throw new Error(this._explainBlockedResponse(response.blocked));
+        }
+
+        const plan = this._parsePlan(response.text || '');
+        console.log(`Plan has ${plan.steps.length} steps`);
+        return { ...plan, usage };
+    }
+
+    /**
+     * Build the prompt that carries out one step of an approved plan
+     * @param {Object} plan Plan: { task, summary, steps }
+     * @param {number} index Index of the step to carry out
+     * @returns {string} Prompt
+     */
+    buildPlanStepPrompt(plan, index) {
+        const step = plan.steps[index];
+        const overview = plan.steps.map((planStep, i) => {
+            const status = planStep.status && planStep.status !== 'pending' ? ` [${planStep.status}]` : '';
+            return `${i + 1}. ${planStep.title}${status}`;
+        }).join('\n');
+
+        const details = [];
+        if (step.files && step.files.length > 0) {
+            details.push(`Files: ${step.files.join(', ')}`);
+        }
+        if (step.tools && step.tools.length > 0) {
+            details.push(`Suggested tools: ${step.tools.join(', ')}`);
+        }
+        if (step.expectedOutcome) {
+            details.push(`Expected outcome: ${step.expectedOutcome}`);
+        }
+
+        return `We are carrying out an approved plan for this task:
+${plan.task}
+
+Plan:
+${overview}
+
+Carry out step ${index + 1} only: ${step.title}
+${details.join('\n')}
+
+Do not start later steps. When you are done, end your reply with a line "${PLAN_STEP_COMPLETE}".
+If the step cannot be completed, end your reply with a line "${PLAN_STEP_FAILED}: <reason>" instead.`;
+    }
+
+    /**
+     * Work out whether a plan step succeeded from its response
+     * @param {Object} response Result of generateContent
+     * @returns {{success: boolean, error: string|null, text: string}}
+     *   Outcome; error explains a failure, text is the reply without the completion marker
+     */
+    getPlanStepOutcome(response) {
+        const text = (response.text || '').replace(new RegExp(`[ \\t]*${PLAN_STEP_COMPLETE}\\.?[ \\t]*$`, 'gim'), '').trim();
+
+        if (response.cancelled) {
+            return { success: false, error: 'Cancelled', text };
+        }
+        if (response.error) {
+            return { success: false, error: response.userMessage || response.error, text };
+        }
+        if (response.blocked) {
+            return { success: false, error: 'The reply was blocked by the safety filters', text };
+        }
+
+        const failure = text.match(new RegExp(`^\\s*${PLAN_STEP_FAILED}:?\\s*(.*)$`, 'im'));
+        if (failure) {
+            return { success: false, error: failure[1].trim() || 'The assistant reported that the step failed', text };
+        }
+        if (response.iterationLimitReached) {
+            return { success: false, error: 'The step needed more tool calls than maxToolIterations allows', text };
+        }
+        return { success: true, error: null, text };
+    }
+
+    /**
+     * Replace the conversation summary, e.g. after the user corrected it
+     * @param {string} summary Summary text
+     */
+    setConversationSummary(summary) {
+        this.conversationSummary = (summary || '').trim();
+    }
+
+    /**
+     * Build complete prompt, including context (if available)
+     * Code in the context is truncated when the prompt would exceed its token limit
+     * @param {string} prompt User prompt
+     * @param {Object|string} [context=null] Context
+     * @param {number} [maxTokens=Infinity] Token limit for the prompt
+     * @returns {string} Complete prompt
+     * @private
+     */
+    _buildPrompt(prompt, context = null, maxTokens = Infinity) {
+        if (!context) {
+            return prompt;
+        }
+
+        const buildPrompt = (maxCodeTokens) => {
+            if (typeof context === 'string') {
+                // Simple string context
+                return `Here is the current code context:
+\`\`\`
+${this.tokenBudget.truncateText(context, maxCodeTokens)}
+\`\`\`
+
+${prompt}`;
+            }
+            // Structured context
+            return this._buildStructuredPrompt(prompt, context, maxCodeTokens);
+        };
+
+        const fullPrompt = buildPrompt(Infinity);
+        const promptTokens = this.tokenBudget.estimateTokens(fullPrompt);
+        if (promptTokens <= maxTokens) {
+            return fullPrompt;
+        }
+
+        // Only the code is shortened; the request itself and the surrounding details are kept
+        const codeTokens = this.tokenBudget.estimateTokens(this._getContextCode(context));
+        console.warn(`Context exceeds the token budget (${promptTokens} > ${maxTokens} tokens), truncating code`);
+        return buildPrompt(codeTokens - (promptTokens - maxTokens));
+    }
+
+    /**
+     * Get the code included in a context
+     * @param {Object|string} context Context
+     * @returns {string} Code text
+     * @private
+     */
+    _getContextCode(context) {
+        if (typeof context === 'string') {
+            return context;
+        }
+        const currentFile = context.currentFile;
+        if (!currentFile) {
+            return '';
+        }
+        return currentFile.selection ? currentFile.selection.text : (currentFile.content || '');
     }
 
     /**
      * Build structured prompt
      * @param {string} prompt User prompt
      * @param {Object} context Context object
+     * @param {number} [maxCodeTokens=Infinity] Token limit for the file content or selection
      * @returns {string} Structured prompt
      * @private
      */
-    _buildStructuredPrompt(prompt, context) {
+    _buildStructuredPrompt(prompt, context, maxCodeTokens = Infinity) {
         let structuredPrompt = '';
 
         // Add current file context
@@ -278,9 +706,11 @@ ${prompt}`;
             structuredPrompt += `Current file: ${context.currentFile.filePath || 'unknown'}\n`;
 
             if (context.currentFile.selection) {
-                structuredPrompt += `Selected code (lines ${context.currentFile.selection.startLine}-${context.currentFile.selection.endLine}):\n\`\`\`\n${context.currentFile.selection.text}\n\`\`\`\n\n`;
+                const selectedText = this.tokenBudget.truncateText(context.currentFile.selection.text, maxCodeTokens);
+                structuredPrompt += `Selected code (lines ${context.currentFile.selection.startLine}-${context.currentFile.selection.endLine}):\n\`\`\`\n${selectedText}\n\`\`\`\n\n`;
             } else if (context.currentFile.content) {
-                structuredPrompt += `File content:\n\`\`\`\n${context.currentFile.content}\n\`\`\`\n\n`;
+                const content = this.tokenBudget.truncateText(context.currentFile.content, maxCodeTokens);
+                structuredPrompt += `File content:\n\`\`\`\n${content}\n\`\`\`\n\n`;
             }
         }
 
@@ -309,19 +739,480 @@ ${prompt}`;
         return structuredPrompt;
     }
 
+    /**
+     * Send a message through the provider, streaming the reply when a chunk handler is given
+     * @param {Object} request Provider chat request
+     * @param {number} iteration Agent loop iteration
+     * @param {Object} options Generation options
+     * @returns {Promise<Object>} Complete provider chat response
+     * @private
+     */
+    async _sendMessage(request, iteration, options) {
+        let streamStarted = false;
+        const retryOptions = {
+            maxRetries: this.maxRetries,
+            signal: request.signal,
+            // Retrying after part of a reply was streamed would show that part twice
+            shouldRetry: () => !streamStarted,
+            onRetry: options.onRetry
+        };
+
+        if (typeof options.onChunk !== 'function') {
+            return await withRetry(() => this.provider.chat(request), retryOptions);
+        }
+
+        const response = await withRetry(() => this.provider.chatStream({
+            ...request,
+            onChunk: (chunkText) => {
+                streamStarted = true;
+                options.onChunk({ iteration, text: chunkText });
+            }
+        }), retryOptions);
+
+        if (typeof options.onStreamEnd === 'function') {
+            options.onStreamEnd({ iteration, text: response.text });
+        }
+
+        return response;
+    }
+
+    /**
+     * Execute native function calls from a provider response
+     * @param {Object} response Provider chat response
+     * @param {AbortSignal} [signal] Cancellation signal
+     * @returns {Promise<{text: string, results: Array}>} Display text and tool execution results
+     * @private
+     */
+    async _executeFunctionCalls(response, signal = null) {
+        const results = await this.toolManager.executeFunctionCalls(response.functionCalls, { signal });
+
+        // Render results as <tool-result> blocks so the webview shows them like XML tool calls
+        const formattedResults = results.map(result => this.toolManager.formatToolResult(result));
+        const text = [response.text, ...formattedResults].filter(part => part).join('\n\n');
+
+        return { text, results };
+    }
+
+    /**
+     * Create an empty usage record
+     * @returns {Object} Usage: { calls, promptTokens, outputTokens, totalTokens, contextTokens, estimated }
+     * @private
+     */
+    _createUsage() {
+        return { calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, contextTokens: 0, estimated: false };
+    }
+
+    /**
+     * Add the usage of a provider response
+     * Uses the provider's usageMetadata, falling back to local estimates when it reports none
+     * @param {Object} usage Usage to add to
+     * @param {Object} response Provider chat response
+     * @param {number} requestTokens Estimated tokens sent with the request
+     * @param {number} contextTokens Estimated tokens of injected editor context sent with the request
+     * @private
+     */
+    _addUsage(usage, response, requestTokens, contextTokens) {
+        const metadata = response.usageMetadata;
+        let promptTokens;
+        let outputTokens;
+
+        if (metadata && typeof metadata.promptTokenCount === 'number') {
+            promptTokens = metadata.promptTokenCount;
+            outputTokens = metadata.candidatesTokenCount || 0;
+        } else {
+            promptTokens = requestTokens;
+            outputTokens = response.content ? this.tokenBudget.estimateTokens([response.content]) : 0;
+            usage.estimated = true;
+        }
+
+        usage.calls++;
+        usage.promptTokens += promptTokens;
+        usage.outputTokens += outputTokens;
+        usage.totalTokens += metadata && metadata.totalTokenCount ? metadata.totalTokenCount : promptTokens + outputTokens;
+        usage.contextTokens += contextTokens;
+    }
+
+    /**
+     * Read tool time and size limits from settings
+     * Timeouts are set in seconds and converted to ms
+     * @param {vscode.WorkspaceConfiguration} config 'nyxn-ai-assistant' configuration
+     * @returns {Object} Limits for ToolManager.setLimits
+     * @private
+     */
+    _readToolLimits(config) {
+        const timeout = config.get('toolTimeout');
+        const timeouts = {};
+        for (const [toolName, seconds] of Object.entries(config.get('toolTimeouts') || {})) {
+            if (typeof seconds === 'number' && seconds >= 0) {
+                timeouts[toolName] = seconds * 1000;
+            }
+        }
+        const maxResultSize = config.get('maxToolResultSize');
+
+        return {
+            timeout: typeof timeout === 'number' ? timeout * 1000 : 60000,
+            timeouts,
+            maxResultSize: typeof maxResultSize === 'number' ? maxResultSize : 20000
+        };
+    }
+
+    /**
+     * Read generation parameters from settings
+     * Unset parameters are left out so the provider's defaults apply
+     * @param {vscode.WorkspaceConfiguration} config 'nyxn-ai-assistant' configuration
+     * @returns {Object} Generation config
+     * @private
+     */
+    _readGenerationConfig(config) {
+        const generationConfig = {};
+
+        GENERATION_PARAMETERS.forEach(parameter => {
+            const value = config.get(`generation.${parameter}`);
+            if (typeof value === 'number') {
+                generationConfig[parameter] = value;
+            }
+        });
+
+        const stopSequences = config.get('generation.stopSequences');
+        if (Array.isArray(stopSequences) && stopSequences.length > 0) {
+            generationConfig.stopSequences = stopSequences;
+        }
+
+        return generationConfig;
+    }
+
+    /**
+     * Pick the valid generation parameters from a per-request override
+     * @param {Object} [overrides] Overrides sent from the chat
+     * @returns {Object} Generation config overrides
+     * @private
+     */
+    _readGenerationOverrides(overrides) {
+        const generationConfig = {};
+        if (!overrides) {
+            return generationConfig;
+        }
+
+        GENERATION_PARAMETERS.forEach(parameter => {
+            const value = overrides[parameter];
+            if (typeof value === 'number' && !isNaN(value)) {
+                generationConfig[parameter] = value;
+            }
+        });
+
+        if (Array.isArray(overrides.stopSequences) && overrides.stopSequences.length > 0) {
+            generationConfig.stopSequences = overrides.stopSequences.filter(sequence => typeof sequence === 'string' && sequence);
+        }
+
+        return generationConfig;
+    }
+
+    /**
+     * Read safety thresholds from settings
+     * @param {vscode.WorkspaceConfiguration} config 'nyxn-ai-assistant' configuration
+     * @returns {Array<{category: string, threshold: string}>} Safety settings; categories left at 'default' are omitted
+     * @private
+     */
+    _readSafetySettings(config) {
+        return Object.keys(SAFETY_CATEGORIES)
+            .map(setting => ({
+                category: SAFETY_CATEGORIES[setting],
+                threshold: config.get(`safety.${setting}`)
+            }))
+            .filter(safetySetting => safetySetting.threshold && safetySetting.threshold !== 'default');
+    }
+
+    /**
+     * Explain a response that was blocked by safety filters
+     * @param {Object} blocked Block information from the provider response
+     * @returns {string} Explanation shown in place of the answer
+     * @private
+     */
+    _explainBlockedResponse(blocked) {
+        const subject = blocked.stage === 'prompt' ? 'Your request was blocked' : 'The reply was blocked';
+        let explanation = `${subject} by the ${this.provider.displayName} safety filters (reason: ${blocked.reason}).`;
+        if (blocked.message) {
+            explanation += ` ${blocked.message}`;
+        }
+
+        const flaggedRatings = (blocked.safetyRatings || []).filter(rating =>
+            rating.blocked || (rating.probability && !['NEGLIGIBLE', 'LOW'].includes(rating.probability)));
+        if (flaggedRatings.length > 0) {
+            const categories = flaggedRatings.map(rating => {
+                const category = (rating.category || 'unknown').replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase();
+                return `- ${category}: ${(rating.probability || 'unknown').toLowerCase()} probability`;
+            });
+            explanation += `\n\nFlagged categories:\n${categories.join('\n')}`;
+        }
+
+        if (blocked.reason === 'RECITATION') {
+            explanation += '\n\nThe reply matched existing content too closely. Ask for an explanation or your own variant instead of verbatim text.';
+        } else {
+            explanation += '\n\nRephrase the request, or if this content is expected, adjust the nyxn-ai-assistant.safety settings.';
+        }
+
+        return explanation;
+    }
+
+    /**
+     * Show a classified provider error with a button for its suggested action
+     * @param {ProviderError} providerError Classified error
+     * @param {string} title Message prefix
+     * @private
+     */
+    _showProviderError(providerError, title) {
+        const actionLabels = {
+            openSettings: 'Open Settings',
+            switchModel: 'Switch Model'
+        };
+        const actionLabel = actionLabels[providerError.action];
+        const actions = actionLabel ? [actionLabel] : [];
+
+        vscode.window.showErrorMessage(
+            `${title}: ${providerError.userMessage} ${providerError.suggestion}`,
+            ...actions
+        ).then(selection => {
+            if (selection === 'Open Settings') {
+                vscode.commands.executeCommand('workbench.action.openSettings', 'nyxn-ai-assistant');
+            } else if (selection === 'Switch Model') {
+                vscode.commands.executeCommand('nyxn-ai-assistant.switchModel');
+            }
+        });
+    }
+
+    /**
+     * Throw if the request has been cancelled
+     * @param {AbortSignal} [signal] Cancellation signal
+     * @private
+     */
+    _throwIfCancelled(signal) {
+        if (signal && signal.aborted) {
+            throw new Error('Request cancelled');
+        }
+    }
+
+    /**
+     * Build the result returned for a cancelled request
+     * Keeps the partial transcript and closes any function calls left without a response
+     * @param {Array} steps Completed agent steps
+     * @param {string} pendingText Text of the step in progress
+     * @returns {Object} Cancelled generation result
+     * @private
+     */
+    _buildCancelledResult(steps, pendingText) {
+        this._closePendingCalls(null, { error: 'Cancelled by user' });
+
+        const partialText = [...steps.map(step => step.text), pendingText].filter(text => text).join('\n\n');
+
+        return {
+            cancelled: true,
+            text: partialText,
+            toolResults: steps.reduce((results, step) => results.concat(step.toolResults), []),
+            steps: steps
+        };
+    }
+
+    /**
+     * Answer the function calls of the last model turn in chat history, if it ended with calls
+     * Providers expect every function call in history to be followed by its response
+     * @param {Array|string|null} results Results of the calls that ran, as sent to the model, or null if they did not run
+     * @param {Object} response Response given to each call when there are no results
+     * @private
+     */
+    _closePendingCalls(results, response) {
+        const lastEntry = this.chatHistory[this.chatHistory.length - 1];
+        const pendingCalls = lastEntry && lastEntry.role === 'model'
+            ? lastEntry.parts.filter(part => part.functionCall)
+            : [];
+        if (pendingCalls.length === 0) {
+            return;
+        }
+
+        this.chatHistory.push(results ? this._toHistoryContent(results) : {
+            role: 'function',
+            parts: pendingCalls.map(part => ({
+                functionResponse: {
+                    name: part.functionCall.name,
+                    response
+                }
+            }))
+        });
+    }
+
+    /**
+     * Convert an outgoing message to a chat history entry
+     * @param {string|Array} message Message text or function response parts
+     * @returns {Object} Chat history entry
+     * @private
+     */
+    _toHistoryContent(message) {
+        if (typeof message === 'string') {
+            return { role: 'user', parts: [{ text: message }] };
+        }
+        return { role: 'function', parts: message };
+    }
+
+    /**
+     * Build the follow-up message that returns tool results to the model
+     * @param {Array} results Tool execution results
+     * @returns {string} Follow-up message
+     * @private
+     */
+    _buildToolResultsMessage(results) {
+        const formattedResults = results.map(result => this.toolManager.formatToolResult(result)).join('\n\n');
+
+        return `Tool execution results:
+${formattedResults}
+
+Continue with the task using these results. Call more tools if needed, otherwise give your final answer.`;
+    }
+
+    /**
+     * Build the request that asks the model for a plan
+     * @param {string} task Task described by the user
+     * @param {Array} tools Available tools
+     * @param {Object} [revision] Plan to revise: { plan, failedStep, error }
+     * @returns {string} Planning request
+     * @private
+     */
+    _buildPlanPrompt(task, tools, revision = null) {
+        const toolNames = tools.map(tool => tool.name).join(', ') || 'none';
+        let prompt = `Make a numbered plan for this task. Do not carry it out yet.
+
+Task:
+${task}
+
+Available tools: ${toolNames}
+
+Reply with JSON only, in this form:
+{"summary": "One sentence describing the approach", "steps": [{"title": "What this step does", "files": ["path/to/file"], "tools": ["tool-name"], "expectedOutcome": "How we know the step worked"}]}
+
+Keep each step small enough to check on its own, and use only the available tools.`;
+
+        if (revision) {
+            const finished = revision.plan.steps
+                .filter(step => step.status === 'done' || step.status === 'skipped')
+                .map(step => `- ${step.title} [${step.status}]`)
+                .join('\n') || '- none';
+            prompt += `
+
+This replaces an earlier plan. These steps are already finished and must not be repeated:
+${finished}
+
+Step "${revision.failedStep.title}" failed: ${revision.error || 'no reason given'}
+Plan only the remaining work, taking the failure into account.`;
+        }
+
+        return prompt;
+    }
+
+    /**
+     * Parse the model's plan reply
+     * Accepts bare JSON, JSON in a code fence, or a numbered list as a fallback
+     * @param {string} text Reply text
+     * @returns {{summary: string, steps: Array<Object>}} Plan
+     * @private
+     */
+    _parsePlan(text) {
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+        const candidate = fenced ? fenced[1] : text;
+        const start = candidate.indexOf('{');
+        const end = candidate.lastIndexOf('}');
+        const toList = (value) => Array.isArray(value) ? value.map(String) : [];
+
+        if (start !== -1 && end > start) {
+            try {
+                const parsed = JSON.parse(candidate.substring(start, end + 1));
+                const steps = (parsed.steps || [])
+                    .map(step => typeof step === 'string' ? { title: step } : step)
+                    .filter(step => step && step.title)
+                    .map(step => ({
+                        title: String(step.title),
+                        files: toList(step.files),
+                        tools: toList(step.tools),
+                        expectedOutcome: step.expectedOutcome ? String(step.expectedOutcome) : ''
+                    }));
+                if (steps.length > 0) {
+                    return { summary: parsed.summary ? String(parsed.summary) : '', steps };
+                }
+            } catch (error) {
+                console.warn('Plan is not valid JSON, reading it as a list:', error.message);
+            }
+        }
+
+        const steps = text.split('\n')
+            .map(line => line.match(/^\s*(?:\d+[.)]|[-*])\s+(.+)$/))
+            .filter(match => match)
+            .map(match => ({ title: match[1].trim(), files: [], tools: [], expectedOutcome: '' }));
+        if (steps.length === 0) {
+            throw new Error('The model did not return a plan');
+        }
+        return { summary: '', steps };
+    }
+
+    /**
+     * Build the request that asks the model to summarise older turns
+     * @param {Array} turns Chat history entries to summarise
+     * @returns {string} Summarisation request
+     * @private
+     */
+    _buildCompactionPrompt(turns) {
+        const transcript = turns.map(entry => {
+            const lines = entry.parts.map(part => {
+                if (part.functionCall) {
+                    return `[called ${part.functionCall.name} with ${JSON.stringify(part.functionCall.args || {})}]`;
+                }
+                if (part.functionResponse) {
+                    const result = JSON.stringify(part.functionResponse.response || {});
+                    return `[${part.functionResponse.name} returned ${this.tokenBudget.truncateText(result, 250)}]`;
+                }
+                return part.text || '';
+            });
+            return `${entry.role.toUpperCase()}:\n${lines.join('\n')}`;
+        }).join('\n\n');
+
+        const previousSummary = this.conversationSummary
+            ? `Summary of the conversation before these turns:\n${this.conversationSummary}\n\n`
+            : '';
+        const maxTranscriptTokens = Math.floor(this.tokenBudget.getAvailableTokens() / 2);
+
+        return `Summarise the following conversation between a user and a coding assistant so it can be continued without the original messages.
+Keep:
+- Decisions that were made and why
+- File paths that were read, created or changed
+- Open tasks, unanswered questions and next steps
+
+Use short bullet lists under the headings "Decisions", "Files touched" and "Open tasks". Leave out greetings and anything already resolved.
+
+${previousSummary}Conversation:
+${this.tokenBudget.truncateText(transcript, maxTranscriptTokens)}`;
+    }
+
+    /**
+     * Build the system instruction section that carries the conversation summary
+     * @returns {string} Summary instruction
+     * @private
+     */
+    _buildSummaryInstruction() {
+        return `Earlier turns of this conversation were replaced by the following summary:
+${this.conversationSummary}`;
+    }
+
     /**
      * Build chat history
-     * @returns {Array} Chat history
+     * The full history is kept; turns that do not fit the token budget are left out per request
+     * @returns {Array} Copy of the chat history
      * @private
      */
     _buildChatHistory() {
-        // Limit history length to prevent exceeding model context window
-        const maxHistoryLength = 10; // Keep at most 5 rounds of conversation (10 messages)
-        if (this.chatHistory.length > maxHistoryLength) {
-            this.chatHistory = this.chatHistory.slice(this.chatHistory.length - maxHistoryLength);
+        const history = this.chatHistory.slice();
+
+        // History must start with a user turn, not a model reply or an orphaned function response
+        while (history.length > 0 && history[0].role !== 'user') {
+            history.shift();
         }
 
-        return this.chatHistory;
+        return history;
     }
 }
 
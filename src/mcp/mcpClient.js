@@ -0,0 +1,369 @@
+const { spawn } = require('child_process');
+
+// MCP protocol revision this client speaks
+const PROTOCOL_VERSION = '2024-11-05';
+
+const CLIENT_INFO = { name: 'nyxn-ai-assistant', version: require('../../package.json').version };
+
+// Time limit for requests other than tool calls, which use the tool timeouts
+const REQUEST_TIMEOUT = 30000;
+
+// JSON-RPC error code for requests the client does not handle
+const METHOD_NOT_FOUND = -32601;
+
+/**
+ * MCP Client
+ * Talks to a Model Context Protocol server over stdio: launches the server process, performs the
+ * initialize handshake, lists its tools and calls them. Messages are newline-delimited JSON-RPC 2.0.
+ *
+ * Status: 'stopped', 'starting', 'running' or 'error'.
+ */
+class McpClient {
+    /**
+     * Initialize MCP client
+     * @param {string} name Server name, used in messages
+     * @param {Object} config Server configuration
+     * @param {string} config.command Command that starts the server
+     * @param {Array<string>} [config.args] Command arguments
+     * @param {Object} [config.env] Extra environment variables
+     * @param {string} [config.cwd] Working directory
+     */
+    constructor(name, config) {
+        this.name = name;
+        this.config = config;
+        this.status = 'stopped';
+        this.error = null;
+        this.serverInfo = null;
+        this.capabilities = {};
+        this.process = null;
+        this._pending = new Map();
+        this._nextId = 1;
+        this._buffer = '';
+        this._stopping = false;
+        this._listeners = { toolsChanged: [], exit: [], log: [] };
+    }
+
+    /**
+     * Launch the server and perform the initialize handshake
+     * @returns {Promise<Object>} Server info: { name, version }
+     */
+    async start() {
+        if (this.process) {
+            throw new Error(`MCP server '${this.name}' is already started`);
+        }
+        if (!this.config || typeof this.config.command !== 'string' || !this.config.command) {
+            throw new Error(`MCP server '${this.name}' has no command`);
+        }
+
+        this.status = 'starting';
+        this.error = null;
+        this._stopping = false;
+        this._log(`Starting: ${[this.config.command, ...(this.config.args || [])].join(' ')}`);
+
+        const child = spawn(this.config.command, this.config.args || [], {
+            cwd: this.config.cwd || undefined,
+            env: { ...process.env, ...(this.config.env || {}) },
+            stdio: ['pipe', 'pipe', 'pipe'],
+            // Commands such as npx are batch files on Windows
+            shell: process.platform === 'win32'
+        });
+        this.process = child;
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', chunk => this._onData(chunk));
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => this._log(chunk.replace(/\n$/, '')));
+        child.stdin.on('error', error => this._log(`stdin error: ${error.message}`));
+        child.on('error', error => this._onExit(null, error));
+        child.on('exit', (code, signal) => this._onExit(code, signal ? new Error(`killed by ${signal}`) : null));
+
+        try {
+            const result = await this._request('initialize', {
+                protocolVersion: PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: CLIENT_INFO
+            });
+            this.serverInfo = result.serverInfo || { name: this.name };
+            this.capabilities = result.capabilities || {};
+            this._notify('notifications/initialized');
+        } catch (error) {
+            this.stop();
+            this.status = 'error';
+            this.error = error.message;
+            throw new Error(`Failed to start MCP server '${this.name}': ${error.message}`);
+        }
+
+        this.status = 'running';
+        this._log(`Running: ${this.serverInfo.name}${this.serverInfo.version ? ` ${this.serverInfo.version}` : ''}`);
+        return this.serverInfo;
+    }
+
+    /**
+     * List the server's tools, following pagination
+     * @returns {Promise<Array<Object>>} Tools: { name, description, inputSchema, annotations }
+     */
+    async listTools() {
+        const tools = [];
+        let cursor;
+        do {
+            const result = await this._request('tools/list', cursor ? { cursor } : {});
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    /**
+     * Call a tool
+     * @param {string} name Tool name on the server
+     * @param {Object} args Tool arguments
+     * @param {AbortSignal} [signal] Cancellation signal; the server is told when the call is cancelled
+     * @returns {Promise<Object>} Call result: { content, isError, structuredContent }
+     */
+    async callTool(name, args, signal = null) {
+        return await this._request('tools/call', { name, arguments: args || {} }, { signal, timeout: 0 });
+    }
+
+    /**
+     * Stop the server process
+     */
+    stop() {
+        if (!this.process) {
+            return;
+        }
+        this._stopping = true;
+        this._log('Stopping');
+        try {
+            this.process.stdin.end();
+            this.process.kill();
+        } catch (error) {
+            console.error(`Error stopping MCP server '${this.name}':`, error);
+        }
+        this._onExit(null, null);
+    }
+
+    /**
+     * Register a listener called when the server says its tool list changed
+     * @param {Function} listener Listener
+     */
+    onDidChangeTools(listener) {
+        this._listeners.toolsChanged.push(listener);
+    }
+
+    /**
+     * Register a listener called when the server process exits
+     * @param {Function} listener Called with the error, or null when the server was stopped
+     */
+    onDidExit(listener) {
+        this._listeners.exit.push(listener);
+    }
+
+    /**
+     * Register a listener called with lifecycle messages and the server's stderr output
+     * @param {Function} listener Called with a line of text
+     */
+    onLog(listener) {
+        this._listeners.log.push(listener);
+    }
+
+    /**
+     * Send a request and wait for its response
+     * @param {string} method Method
+     * @param {Object} params Parameters
+     * @param {Object} [options={}] Options
+     * @param {AbortSignal} [options.signal] Cancellation signal
+     * @param {number} [options.timeout=REQUEST_TIMEOUT] Time limit in ms, 0 for none
+     * @returns {Promise<Object>} Result
+     * @private
+     */
+    _request(method, params, options = {}) {
+        if (!this.process) {
+            return Promise.reject(new Error(`MCP server '${this.name}' is not running`));
+        }
+
+        const id = this._nextId++;
+        const signal = options.signal || null;
+        const timeout = options.timeout !== undefined ? options.timeout : REQUEST_TIMEOUT;
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const onAbort = () => {
+                this._notify('notifications/cancelled', { requestId: id, reason: 'Cancelled by the user' });
+                settle(new Error(`MCP request '${method}' cancelled`));
+            };
+            const settle = (error, result) => {
+                this._pending.delete(id);
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new Error(`MCP request '${method}' cancelled`));
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            if (timeout) {
+                timer = setTimeout(() => settle(new Error(`MCP request '${method}' timed out after ${timeout / 1000}s`)), timeout);
+            }
+
+            this._pending.set(id, settle);
+            this._send({ jsonrpc: '2.0', id, method, params });
+        });
+    }
+
+    /**
+     * Send a notification
+     * @param {string} method Method
+     * @param {Object} [params] Parameters
+     * @private
+     */
+    _notify(method, params) {
+        if (this.process) {
+            this._send(params ? { jsonrpc: '2.0', method, params } : { jsonrpc: '2.0', method });
+        }
+    }
+
+    /**
+     * Write a message to the server
+     * @param {Object} message JSON-RPC message
+     * @private
+     */
+    _send(message) {
+        try {
+            this.process.stdin.write(`${JSON.stringify(message)}\n`);
+        } catch (error) {
+            this._log(`Failed to send ${message.method || 'response'}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle output from the server, one JSON-RPC message per line
+     * @param {string} chunk Output chunk
+     * @private
+     */
+    _onData(chunk) {
+        this._buffer += chunk;
+        let newline;
+        while ((newline = this._buffer.indexOf('\n')) !== -1) {
+            const line = this._buffer.substring(0, newline).trim();
+            this._buffer = this._buffer.substring(newline + 1);
+            if (!line) {
+                continue;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                this._log(`Ignoring non-JSON output: ${line.substring(0, 200)}`);
+                continue;
+            }
+            this._handleMessage(message);
+        }
+    }
+
+    /**
+     * Dispatch a message from the server
+     * @param {Object} message JSON-RPC message
+     * @private
+     */
+    _handleMessage(message) {
+        // Response to one of our requests
+        if (message.id !== undefined && message.method === undefined) {
+            const settle = this._pending.get(message.id);
+            if (!settle) {
+                return;
+            }
+            if (message.error) {
+                const error = new Error(message.error.message || 'Unknown error');
+                error.code = message.error.code;
+                settle(error);
+            } else {
+                settle(null, message.result || {});
+            }
+            return;
+        }
+
+        // Request from the server; only ping is supported
+        if (message.id !== undefined) {
+            if (message.method === 'ping') {
+                this._send({ jsonrpc: '2.0', id: message.id, result: {} });
+            } else {
+                this._send({ jsonrpc: '2.0', id: message.id, error: { code: METHOD_NOT_FOUND, message: `Method not supported: ${message.method}` } });
+            }
+            return;
+        }
+
+        if (message.method === 'notifications/tools/list_changed') {
+            this._emit('toolsChanged');
+        } else if (message.method === 'notifications/message' && message.params) {
+            this._log(`[${message.params.level || 'info'}] ${typeof message.params.data === 'string' ? message.params.data : JSON.stringify(message.params.data)}`);
+        }
+    }
+
+    /**
+     * Handle the end of the server process
+     * @param {number|null} code Exit code
+     * @param {Error|null} error Process error
+     * @private
+     */
+    _onExit(code, error) {
+        if (!this.process) {
+            return;
+        }
+        this.process = null;
+        this._buffer = '';
+
+        const stopped = this._stopping;
+        const exitError = stopped ? null : (error || new Error(`exited with code ${code}`));
+        for (const settle of [...this._pending.values()]) {
+            settle(new Error(`MCP server '${this.name}' ${stopped ? 'was stopped' : exitError.message}`));
+        }
+
+        if (stopped) {
+            this.status = 'stopped';
+            this._log('Stopped');
+        } else {
+            this.status = 'error';
+            this.error = exitError.message;
+            this._log(`Exited unexpectedly: ${exitError.message}`);
+        }
+        this._emit('exit', exitError);
+    }
+
+    /**
+     * Report a log line
+     * @param {string} line Text
+     * @private
+     */
+    _log(line) {
+        this._emit('log', line);
+    }
+
+    /**
+     * Call the listeners of an event
+     * @param {string} event Event name
+     * @param {*} [value] Event value
+     * @private
+     */
+    _emit(event, value) {
+        for (const listener of this._listeners[event]) {
+            try {
+                listener(value);
+            } catch (error) {
+                console.error(`Error in MCP ${event} listener:`, error);
+            }
+        }
+    }
+}
+
+module.exports = McpClient;
@@ -0,0 +1,469 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const McpClient = require('./mcpClient');
+const { registerServerTools } = require('./mcpToolBridge');
+
+// Convert fs functions to Promises
+const readFile = util.promisify(fs.readFile);
+
+// Workspace file with MCP servers shared through the repository
+const SERVERS_FILE = path.join('.nyxn', 'mcp.json');
+
+// Workspace state key of the workspace servers the user allowed to start
+const ALLOWED_SERVERS_KEY = 'nyxn-ai-assistant.allowedMcpServers';
+
+const STATUS_ICONS = {
+    running: '$(check)',
+    starting: '$(sync~spin)',
+    stopped: '$(circle-slash)',
+    error: '$(error)'
+};
+
+/**
+ * MCP Manager
+ * Starts the MCP servers configured in the 'mcpServers' setting and .nyxn/mcp.json and bridges their
+ * tools into the tool manager as mcp__<server>__<tool>. Both hold an object of servers by name:
+ * { command, args, env, cwd, risk, timeout, disabled }; a workspace server replaces a configured one
+ * with the same name. Servers from the workspace file or from workspace settings come with the repository,
+ * so they only start in a trusted workspace once the user allows their command.
+ * Server output and lifecycle are logged to the "Nyxn AI MCP" output channel.
+ */
+class McpManager {
+    /**
+     * Initialize MCP manager
+     * @param {ToolManager} toolManager Tool manager the server tools are registered with
+     * @param {vscode.ExtensionContext} context Extension context, whose workspace state stores allowed servers
+     */
+    constructor(toolManager, context) {
+        this.toolManager = toolManager;
+        this.context = context;
+        // Servers by name: { name, config, source, client, toolNames, status, error }
+        this.servers = new Map();
+        this.outputChannel = vscode.window.createOutputChannel('Nyxn AI MCP');
+        this._watcher = null;
+    }
+
+    /**
+     * Start the configured servers and watch the workspace file for changes
+     */
+    async initialize() {
+        await this.reload();
+
+        const workspaceRoot = this._getWorkspaceRoot();
+        if (workspaceRoot && vscode.workspace.createFileSystemWatcher) {
+            this._watcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(workspaceRoot, SERVERS_FILE.replace(/\\/g, '/'))
+            );
+            const reload = () => this.reload().catch(error => console.error('Error reloading MCP servers:', error));
+            this._watcher.onDidChange(reload);
+            this._watcher.onDidCreate(reload);
+            this._watcher.onDidDelete(reload);
+        }
+    }
+
+    /**
+     * Re-read the server configuration, stopping removed or changed servers and starting new ones
+     */
+    async reload() {
+        const configs = await this.loadServerConfigs();
+
+        for (const [name, server] of [...this.servers.entries()]) {
+            const config = configs.get(name);
+            if (!config || JSON.stringify(config) !== JSON.stringify({ ...server.config, source: server.source })) {
+                this._stopServer(server);
+                this.servers.delete(name);
+            }
+        }
+
+        const starts = [];
+        for (const [name, config] of configs.entries()) {
+            if (this.servers.has(name)) {
+                continue;
+            }
+            const { source, ...serverConfig } = config;
+            const server = { name, config: serverConfig, source, client: null, toolNames: [], status: 'stopped', error: null };
+            this.servers.set(name, server);
+            if (!serverConfig.disabled) {
+                starts.push(this._startServer(server));
+            }
+        }
+        await Promise.all(starts);
+    }
+
+    /**
+     * Read the servers from the setting and the workspace file
+     * @returns {Promise<Map<string, Object>>} Server configurations by name, each with its source:
+     *   'settings' (user settings), 'workspaceSettings' or 'workspace' (the workspace file)
+     */
+    async loadServerConfigs() {
+        const configs = new Map();
+        const workspaceRoot = this._getWorkspaceRoot();
+        const setting = vscode.workspace.getConfiguration('nyxn-ai-assistant').inspect('mcpServers') || {};
+        this._addServerConfigs(configs, setting.globalValue || {}, 'settings');
+        this._addServerConfigs(configs, { ...setting.workspaceValue, ...setting.workspaceFolderValue }, 'workspaceSettings', workspaceRoot);
+
+        if (workspaceRoot) {
+            const serversPath = path.join(workspaceRoot, SERVERS_FILE);
+            try {
+                const content = JSON.parse(await readFile(serversPath, 'utf8'));
+                this._addServerConfigs(configs, content.mcpServers || {}, 'workspace', workspaceRoot);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('Error loading MCP servers:', error);
+                    vscode.window.showErrorMessage(`Failed to load ${SERVERS_FILE}: ${error.message}`);
+                }
+            }
+        }
+
+        return configs;
+    }
+
+    /**
+     * Get the state of every server
+     * @returns {Array<Object>} Servers: { name, source, status, error, tools }
+     */
+    getServers() {
+        return [...this.servers.values()].map(server => ({
+            name: server.name,
+            source: server.source,
+            status: server.status,
+            error: server.error,
+            tools: [...server.toolNames]
+        }));
+    }
+
+    /**
+     * Start a server that is stopped or failed
+     * @param {string} name Server name
+     */
+    async startServer(name) {
+        const server = this._getServer(name);
+        if (server.status !== 'running' && server.status !== 'starting') {
+            await this._startServer(server, true);
+        }
+    }
+
+    /**
+     * Stop a server and remove its tools
+     * @param {string} name Server name
+     */
+    stopServer(name) {
+        this._stopServer(this._getServer(name));
+    }
+
+    /**
+     * Restart a server
+     * @param {string} name Server name
+     */
+    async restartServer(name) {
+        const server = this._getServer(name);
+        this._stopServer(server);
+        await this._startServer(server, true);
+    }
+
+    /**
+     * Let the user pick a server to restart, stop or show the log of
+     */
+    async showServers() {
+        const servers = this.getServers();
+        if (servers.length === 0) {
+            const choice = await vscode.window.showInformationMessage(
+                `No MCP servers are configured. Add them to the 'nyxn-ai-assistant.mcpServers' setting or ${SERVERS_FILE}.`,
+                'Open Settings'
+            );
+            if (choice === 'Open Settings') {
+                await vscode.commands.executeCommand('workbench.action.openSettings', 'nyxn-ai-assistant.mcpServers');
+            }
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(servers.map(server => ({
+            label: `${STATUS_ICONS[server.status] || ''} ${server.name}`.trim(),
+            description: server.status === 'running'
+                ? `${server.tools.length} tool${server.tools.length === 1 ? '' : 's'}`
+                : server.status,
+            detail: server.error || `From ${this._describeSource(server.source)}`,
+            server
+        })), { placeHolder: 'MCP servers' });
+        if (!picked) {
+            return;
+        }
+
+        const server = picked.server;
+        const running = server.status === 'running' || server.status === 'starting';
+        const action = await vscode.window.showQuickPick(
+            running ? ['Restart', 'Stop', 'Show Tools', 'Show Log'] : ['Start', 'Show Log'],
+            { placeHolder: `${server.name}: ${server.status}` }
+        );
+
+        try {
+            if (action === 'Start') {
+                await this.startServer(server.name);
+            } else if (action === 'Restart') {
+                await this.restartServer(server.name);
+            } else if (action === 'Stop') {
+                this.stopServer(server.name);
+            } else if (action === 'Show Tools') {
+                await vscode.window.showQuickPick(server.tools.length > 0 ? server.tools : ['(no tools)'], {
+                    placeHolder: `Tools of ${server.name}`
+                });
+            } else if (action === 'Show Log') {
+                this.outputChannel.show();
+            }
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+        }
+    }
+
+    /**
+     * Stop every server
+     */
+    dispose() {
+        for (const server of this.servers.values()) {
+            this._stopServer(server);
+        }
+        if (this._watcher) {
+            this._watcher.dispose();
+        }
+        this.outputChannel.dispose();
+    }
+
+    /**
+     * Add valid server configurations from one source
+     * @param {Map<string, Object>} configs Configurations by name
+     * @param {Object} servers Servers by name
+     * @param {string} source 'settings', 'workspaceSettings' or 'workspace'
+     * @param {string} [baseDir] Directory relative cwd paths are resolved against
+     * @private
+     */
+    _addServerConfigs(configs, servers, source, baseDir) {
+        for (const [name, server] of Object.entries(servers)) {
+            if (!server || typeof server.command !== 'string' || !server.command.trim()) {
+                this._log(name, `Ignoring server without a command in ${this._describeSource(source)}`);
+                continue;
+            }
+            const cwd = server.cwd || this._getWorkspaceRoot();
+            configs.set(name, {
+                command: server.command,
+                args: Array.isArray(server.args) ? server.args.map(String) : [],
+                env: server.env || {},
+                cwd: cwd && baseDir && !path.isAbsolute(cwd) ? path.join(baseDir, cwd) : cwd,
+                risk: server.risk,
+                timeout: server.timeout,
+                disabled: server.disabled === true,
+                source
+            });
+        }
+    }
+
+    /**
+     * Start a server, list its tools and register them
+     * Failures are logged and shown, not thrown, unless the user started the server
+     * @param {Object} server Server state
+     * @param {boolean} [manual=false] Whether the user started the server
+     * @private
+     */
+    async _startServer(server, manual = false) {
+        if (server.source !== 'settings' && !(await this._isServerAllowed(server))) {
+            server.status = 'stopped';
+            server.error = 'Not allowed to start';
+            this._log(server.name, vscode.workspace.isTrusted === false
+                ? 'Not started: workspace servers only start in a trusted workspace'
+                : 'Not started: the workspace server was not allowed');
+            return;
+        }
+
+        const client = new McpClient(server.name, server.config);
+        server.client = client;
+        server.status = 'starting';
+        server.error = null;
+        client.onLog(line => this._log(server.name, line));
+        client.onDidExit(error => {
+            // Failures while starting are reported by the start itself
+            if (server.client !== client || server.status !== 'running') {
+                return;
+            }
+            this._unregisterTools(server);
+            server.client = null;
+            server.status = error ? 'error' : 'stopped';
+            server.error = error ? error.message : null;
+            if (error) {
+                this._showError(server, `MCP server '${server.name}' stopped: ${error.message}`);
+            }
+        });
+        client.onDidChangeTools(() => {
+            this._registerTools(server).catch(error => {
+                this._log(server.name, `Failed to refresh tools: ${error.message}`);
+            });
+        });
+
+        try {
+            await client.start();
+            await this._registerTools(server);
+            server.status = 'running';
+        } catch (error) {
+            console.error(`Error starting MCP server '${server.name}':`, error);
+            if (server.client === client) {
+                client.stop();
+                server.client = null;
+                server.status = 'error';
+                server.error = error.message;
+            }
+            this._log(server.name, error.message);
+            if (manual) {
+                throw error;
+            }
+            this._showError(server, error.message);
+        }
+    }
+
+    /**
+     * Stop a server and remove its tools
+     * @param {Object} server Server state
+     * @private
+     */
+    _stopServer(server) {
+        const client = server.client;
+        server.client = null;
+        this._unregisterTools(server);
+        if (client) {
+            client.stop();
+        }
+        server.status = 'stopped';
+        server.error = null;
+    }
+
+    /**
+     * Replace a server's tools with the ones it lists now
+     * @param {Object} server Server state
+     * @private
+     */
+    async _registerTools(server) {
+        const client = server.client;
+        const tools = await client.listTools();
+        if (server.client !== client) {
+            return;
+        }
+
+        this._unregisterTools(server);
+        const { registered, skipped } = registerServerTools(this.toolManager, client, tools, server.config);
+        server.toolNames = registered;
+        this._log(server.name, `Registered ${registered.length} tool${registered.length === 1 ? '' : 's'}: ${registered.join(', ')}`);
+        if (skipped.length > 0) {
+            this._log(server.name, `Skipped tools whose names clash with other tools: ${skipped.join(', ')}`);
+        }
+    }
+
+    /**
+     * Remove a server's tools from the tool manager
+     * @param {Object} server Server state
+     * @private
+     */
+    _unregisterTools(server) {
+        for (const toolName of server.toolNames) {
+            this.toolManager.unregisterTool(toolName);
+        }
+        server.toolNames = [];
+    }
+
+    /**
+     * Ask the user before starting a server from the workspace file or workspace settings, since it runs a
+     * command from the repository. Untrusted workspaces never start them. The answer is remembered per
+     * workspace for the exact command line.
+     * @param {Object} server Server state
+     * @returns {Promise<boolean>} True if the server may start
+     * @private
+     */
+    async _isServerAllowed(server) {
+        if (vscode.workspace.isTrusted === false) {
+            return false;
+        }
+
+        const key = crypto.createHash('sha256')
+            .update(JSON.stringify([server.name, server.config.command, server.config.args, server.config.env, server.config.cwd]))
+            .digest('hex');
+        const allowed = this.context.workspaceState.get(ALLOWED_SERVERS_KEY) || [];
+        if (allowed.includes(key)) {
+            return true;
+        }
+
+        const commandLine = [server.config.command, ...server.config.args].join(' ');
+        const choice = await vscode.window.showWarningMessage(
+            `The MCP server '${server.name}' from ${this._describeSource(server.source)} wants to run: ${commandLine}`,
+            'Allow',
+            'Don\'t Allow'
+        );
+        if (choice !== 'Allow') {
+            return false;
+        }
+        await this.context.workspaceState.update(ALLOWED_SERVERS_KEY, [...allowed, key]);
+        return true;
+    }
+
+    /**
+     * Describe where a server was configured
+     * @param {string} source 'settings', 'workspaceSettings' or 'workspace'
+     * @returns {string} Description
+     * @private
+     */
+    _describeSource(source) {
+        if (source === 'workspace') {
+            return SERVERS_FILE;
+        }
+        return source === 'workspaceSettings' ? 'workspace settings' : 'user settings';
+    }
+
+    /**
+     * Get a server by name
+     * @param {string} name Server name
+     * @returns {Object} Server state
+     * @private
+     */
+    _getServer(name) {
+        const server = this.servers.get(name);
+        if (!server) {
+            throw new Error(`Unknown MCP server: ${name}`);
+        }
+        return server;
+    }
+
+    /**
+     * Show a server error with actions to restart the server or show its log
+     * @param {Object} server Server state
+     * @param {string} message Error message
+     * @private
+     */
+    async _showError(server, message) {
+        const choice = await vscode.window.showErrorMessage(message, 'Restart', 'Show Log');
+        if (choice === 'Restart') {
+            this.restartServer(server.name).catch(error => vscode.window.showErrorMessage(error.message));
+        } else if (choice === 'Show Log') {
+            this.outputChannel.show();
+        }
+    }
+
+    /**
+     * Append a line to the output channel
+     * @param {string} serverName Server name
+     * @param {string} line Text
+     * @private
+     */
+    _log(serverName, line) {
+        this.outputChannel.appendLine(`[${new Date().toLocaleTimeString()}] [${serverName}] ${line}`);
+    }
+
+    /**
+     * Get the first workspace folder path
+     * @returns {string|null} Folder path
+     * @private
+     */
+    _getWorkspaceRoot() {
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        return workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : null;
+    }
+}
+
+module.exports = McpManager;
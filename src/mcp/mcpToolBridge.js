@@ -0,0 +1,182 @@
+// Tool names must fit OpenAI function names: letters, digits, '_' and '-', at most 64 characters
+const MAX_TOOL_NAME_LENGTH = 64;
+
+const TOOL_NAME_PREFIX = 'mcp__';
+
+const RISK_LEVELS = ['read', 'write', 'destructive', 'external'];
+
+/**
+ * Build the tool manager name of an MCP tool: mcp__<server>__<tool>
+ * @param {string} serverName Server name
+ * @param {string} toolName Tool name on the server
+ * @returns {string} Tool name
+ */
+function toToolName(serverName, toolName) {
+    const sanitize = name => String(name).replace(/[^A-Za-z0-9_-]/g, '_');
+    return `${TOOL_NAME_PREFIX}${sanitize(serverName)}__${sanitize(toolName)}`.substring(0, MAX_TOOL_NAME_LENGTH);
+}
+
+/**
+ * Convert a JSON schema from an MCP tool to a tool manager parameter definition
+ * Only the parts the tool manager understands are kept; a union type becomes its first non-null member.
+ * @param {Object} schema JSON schema
+ * @returns {Object} Parameter definition: { type, description, enum, items, properties, required, default }
+ */
+function toParameter(schema = {}) {
+    const variants = schema.anyOf || schema.oneOf;
+    if (!schema.type && Array.isArray(variants)) {
+        const variant = variants.find(option => option && option.type && option.type !== 'null');
+        if (variant) {
+            return toParameter({ ...variant, description: schema.description || variant.description, default: schema.default });
+        }
+    }
+
+    let type = Array.isArray(schema.type) ? schema.type.find(option => option !== 'null') : schema.type;
+    if (!type) {
+        type = schema.properties ? 'object' : schema.items ? 'array' : 'string';
+    }
+
+    const parameter = { type, description: schema.description || schema.title || '' };
+    if (Array.isArray(schema.enum)) {
+        parameter.enum = schema.enum;
+    }
+    if (schema.default !== undefined) {
+        parameter.default = schema.default;
+    }
+    if (type === 'array') {
+        parameter.items = toParameter(schema.items || {});
+    }
+    if (type === 'object' && schema.properties) {
+        parameter.properties = {};
+        for (const [name, property] of Object.entries(schema.properties)) {
+            parameter.properties[name] = toParameter(property);
+        }
+        parameter.required = schema.required || [];
+    }
+    return parameter;
+}
+
+/**
+ * Decide the risk level of an MCP tool
+ * The server's configured risk wins; otherwise the tool's annotations are used. Tools without
+ * annotations count as 'external', since they run in another program.
+ * @param {Object} tool MCP tool
+ * @param {Object} serverConfig Server configuration
+ * @returns {string} Risk level
+ */
+function toRisk(tool, serverConfig) {
+    if (RISK_LEVELS.includes(serverConfig.risk)) {
+        return serverConfig.risk;
+    }
+
+    const annotations = tool.annotations || {};
+    if (annotations.readOnlyHint === true) {
+        return 'read';
+    }
+    if (annotations.destructiveHint === true) {
+        return 'destructive';
+    }
+    return 'external';
+}
+
+/**
+ * Convert an MCP tool to tool manager metadata
+ * @param {string} serverName Server name
+ * @param {Object} tool MCP tool: { name, description, inputSchema, annotations }
+ * @param {Object} serverConfig Server configuration
+ * @returns {Object} Tool metadata for ToolManager.registerTool
+ */
+function toToolMetadata(serverName, tool, serverConfig) {
+    const inputSchema = tool.inputSchema || {};
+    const parameters = {};
+    for (const [name, property] of Object.entries(inputSchema.properties || {})) {
+        parameters[name] = toParameter(property);
+    }
+
+    const risk = toRisk(tool, serverConfig);
+    const metadata = {
+        description: `${tool.description || tool.name} (from MCP server '${serverName}')`,
+        parameters,
+        required: inputSchema.required || [],
+        risk,
+        parallel: risk === 'read'
+    };
+    if (typeof serverConfig.timeout === 'number') {
+        metadata.timeout = serverConfig.timeout * 1000;
+    }
+    return metadata;
+}
+
+/**
+ * Convert an MCP tool call result to a tool result
+ * Text content is joined; other content is described. A result flagged as an error is thrown.
+ * @param {Object} result MCP call result: { content, isError, structuredContent }
+ * @returns {string|Object} Result text, or the structured content when there is no text
+ */
+function toToolResult(result) {
+    const parts = (result.content || []).map(item => {
+        switch (item.type) {
+            case 'text':
+                return item.text;
+            case 'resource':
+                return item.resource && item.resource.text !== undefined
+                    ? item.resource.text
+                    : `[resource: ${item.resource ? item.resource.uri : 'unknown'}]`;
+            case 'resource_link':
+                return `[resource: ${item.uri}]`;
+            default:
+                return `[${item.type}${item.mimeType ? `: ${item.mimeType}` : ''}]`;
+        }
+    });
+    const text = parts.join('\n');
+
+    if (result.isError) {
+        throw new Error(text || 'The MCP tool reported an error');
+    }
+    if (!text && result.structuredContent) {
+        return result.structuredContent;
+    }
+    return text;
+}
+
+/**
+ * Register the tools of a running MCP server with the tool manager
+ * Calls are proxied to the server; cancellation and timeouts are passed on to it.
+ * @param {ToolManager} toolManager Tool manager
+ * @param {McpClient} client Running MCP client
+ * @param {Array<Object>} tools Tools from client.listTools()
+ * @param {Object} [serverConfig={}] Server configuration: { risk, timeout }
+ * @returns {{registered: Array<string>, skipped: Array<string>}} Registered tool names, and server tools left out because of a name clash
+ */
+function registerServerTools(toolManager, client, tools, serverConfig = {}) {
+    const registered = [];
+    const skipped = [];
+
+    for (const tool of tools) {
+        const toolName = toToolName(client.name, tool.name);
+        if (toolManager.hasTool(toolName) || registered.includes(toolName)) {
+            skipped.push(tool.name);
+            continue;
+        }
+
+        toolManager.registerTool(toolName, async (params, options = {}) => {
+            try {
+                return toToolResult(await client.callTool(tool.name, params, options.signal));
+            } catch (error) {
+                throw new Error(`Failed to run MCP tool '${tool.name}' on '${client.name}': ${error.message}`);
+            }
+        }, toToolMetadata(client.name, tool, serverConfig));
+        registered.push(toolName);
+    }
+
+    return { registered, skipped };
+}
+
+module.exports = {
+    TOOL_NAME_PREFIX,
+    toToolName,
+    toParameter,
+    toToolMetadata,
+    toToolResult,
+    registerServerTools
+};
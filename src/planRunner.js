@@ -0,0 +1,280 @@
+/**
+ * Plan Runner
+ * Runs a plan-then-execute flow: the model proposes a numbered plan, the user edits and
+ * approves it, then the steps run one at a time. A failed step pauses the run until the
+ * user retries it, skips it or asks for a new plan for the remaining work.
+ *
+ * Plan status: 'draft' (editable, not approved), 'running', 'waiting' (for the user to
+ * approve the next step), 'paused' (after a failure), 'completed' or 'cancelled'.
+ * Step status: 'pending', 'running', 'done', 'failed' or 'skipped'.
+ */
+class PlanRunner {
+    /**
+     * Initialize plan runner
+     * @param {GeminiService} geminiService Gemini service, used to generate plans and judge step outcomes
+     * @param {Object} callbacks Callbacks
+     * @param {Function} callbacks.executeStep Runs a step: (prompt, step, index, signal) => Promise of a generateContent result
+     * @param {Function} [callbacks.onUpdate] Called with the plan whenever it changes
+     */
+    constructor(geminiService, callbacks) {
+        this.geminiService = geminiService;
+        this.executeStep = callbacks.executeStep;
+        this.onUpdate = callbacks.onUpdate || (() => {});
+        this.plan = null;
+        this._nextStepId = 1;
+    }
+
+    /**
+     * Ask the model for a plan and keep it as a draft for the user to review
+     * @param {string} task Task described by the user
+     * @param {Object|string} [context=null] Editor context
+     * @param {Object} [options={}] Options
+     * @param {AbortSignal} [options.signal] Cancellation signal
+     * @returns {Promise<{plan: Object, usage: Object}>} Draft plan and the tokens spent on it
+     */
+    async createPlan(task, context = null, options = {}) {
+        const result = await this.geminiService.generatePlan(task, context, { signal: options.signal });
+
+        this.plan = {
+            task,
+            summary: result.summary,
+            status: 'draft',
+            confirmEachStep: false,
+            currentStep: null,
+            steps: result.steps.map(step => this._createStep(step))
+        };
+        this._notify();
+        return { plan: this.plan, usage: result.usage };
+    }
+
+    /**
+     * Apply the user's edits to the steps that have not run yet
+     * Steps are matched by id; steps that already ran are kept as they are
+     * @param {Object} edits Edited plan: { steps: [{ id, title, expectedOutcome, files, tools }], confirmEachStep }
+     */
+    updatePlan(edits) {
+        this._requirePlan(['draft', 'waiting', 'paused']);
+
+        const finished = this.plan.steps.filter(step => step.status !== 'pending');
+        const pending = new Map(this.plan.steps
+            .filter(step => step.status === 'pending')
+            .map(step => [step.id, step]));
+        const edited = (edits.steps || [])
+            .filter(step => step && typeof step.title === 'string' && step.title.trim())
+            .filter(step => !finished.some(finishedStep => finishedStep.id === step.id))
+            .map(step => this._createStep({ ...step, title: step.title.trim() }, pending.get(step.id)));
+
+        if (finished.length + edited.length === 0) {
+            throw new Error('The plan needs at least one step');
+        }
+
+        this.plan.steps = finished.concat(edited);
+        if (typeof edits.confirmEachStep === 'boolean') {
+            this.plan.confirmEachStep = edits.confirmEachStep;
+        }
+        this._notify();
+    }
+
+    /**
+     * Run the pending steps in order until the plan completes, a step fails,
+     * or the next step waits for approval
+     * @param {Object} [options={}] Options
+     * @param {AbortSignal} [options.signal] Cancellation signal; a cancelled step pauses the plan
+     * @returns {Promise<Object>} Plan
+     */
+    async run(options = {}) {
+        const plan = this._requirePlan(['draft', 'waiting', 'paused']);
+        plan.status = 'running';
+
+        for (;;) {
+            const index = plan.steps.findIndex(step => step.status === 'pending');
+            if (index === -1) {
+                plan.status = 'completed';
+                plan.currentStep = null;
+                console.log('Plan completed');
+                this._notify();
+                return plan;
+            }
+
+            const step = plan.steps[index];
+            plan.currentStep = index;
+            if (plan.confirmEachStep && !step.approved) {
+                plan.status = 'waiting';
+                this._notify();
+                return plan;
+            }
+
+            console.log(`Running plan step ${index + 1}/${plan.steps.length}: ${step.title}`);
+            step.status = 'running';
+            step.error = null;
+            this._notify();
+
+            let outcome;
+            try {
+                const prompt = this.geminiService.buildPlanStepPrompt(plan, index);
+                const response = await this.executeStep(prompt, step, index, options.signal || null);
+                outcome = this.geminiService.getPlanStepOutcome(response);
+            } catch (error) {
+                outcome = { success: false, error: error.message, text: '' };
+            }
+
+            if (this.plan !== plan) {
+                // The plan was discarded while the step ran
+                return plan;
+            }
+
+            step.result = outcome.text;
+            if (!outcome.success) {
+                console.warn(`Plan step ${index + 1} failed: ${outcome.error}`);
+                step.status = 'failed';
+                step.error = outcome.error;
+                plan.status = 'paused';
+                this._notify();
+                return plan;
+            }
+            step.status = 'done';
+        }
+    }
+
+    /**
+     * Approve the step the plan is waiting on and continue
+     * @param {Object} [options={}] Run options, see run()
+     * @returns {Promise<Object>} Plan
+     */
+    async approveStep(options = {}) {
+        const plan = this._requirePlan(['waiting']);
+        const step = plan.steps[plan.currentStep];
+        // Edits may have removed the step the plan was waiting on
+        if (step && step.status === 'pending') {
+            step.approved = true;
+        }
+        return await this.run(options);
+    }
+
+    /**
+     * Run the failed step again
+     * @param {Object} [options={}] Run options, see run()
+     * @returns {Promise<Object>} Plan
+     */
+    async retry(options = {}) {
+        const plan = this._requirePlan(['paused']);
+        const step = plan.steps[plan.currentStep];
+        step.status = 'pending';
+        step.approved = true;
+        return await this.run(options);
+    }
+
+    /**
+     * Skip the failed or waiting step and continue with the next one
+     * @param {Object} [options={}] Run options, see run()
+     * @returns {Promise<Object>} Plan
+     */
+    async skip(options = {}) {
+        const plan = this._requirePlan(['paused', 'waiting']);
+        const step = plan.steps[plan.currentStep];
+        if (step) {
+            step.status = 'skipped';
+        }
+        return await this.run(options);
+    }
+
+    /**
+     * Ask the model for a new plan for the remaining work, taking the failure into account
+     * Finished and skipped steps are kept; the new steps come back as a draft to approve
+     * @param {Object|string} [context=null] Editor context
+     * @param {Object} [options={}] Options
+     * @param {AbortSignal} [options.signal] Cancellation signal
+     * @returns {Promise<{plan: Object, usage: Object}>} Revised plan and the tokens spent on it
+     */
+    async replan(context = null, options = {}) {
+        const plan = this._requirePlan(['paused']);
+        const failedStep = plan.steps[plan.currentStep];
+        const result = await this.geminiService.generatePlan(plan.task, context, {
+            signal: options.signal,
+            revision: { plan, failedStep, error: failedStep.error }
+        });
+
+        failedStep.status = 'skipped';
+        plan.steps = plan.steps
+            .filter(step => step.status === 'done' || step.status === 'skipped')
+            .concat(result.steps.map(step => this._createStep(step)));
+        plan.summary = result.summary || plan.summary;
+        plan.status = 'draft';
+        plan.currentStep = null;
+        this._notify();
+        return { plan, usage: result.usage };
+    }
+
+    /**
+     * Stop waiting on a paused plan; finished steps stay as they are
+     */
+    cancel() {
+        const plan = this._requirePlan(['draft', 'waiting', 'paused']);
+        plan.status = 'cancelled';
+        plan.currentStep = null;
+        this._notify();
+    }
+
+    /**
+     * Forget the plan
+     */
+    discard() {
+        this.plan = null;
+        this._notify();
+    }
+
+    /**
+     * Create a pending step
+     * @param {Object} step Step fields: title, files, tools, expectedOutcome
+     * @param {Object} [previous] Step being replaced by an edit, whose id is kept
+     * @returns {Object} Step
+     * @private
+     */
+    _createStep(step, previous = null) {
+        const toList = (value) => Array.isArray(value)
+            ? value.map(item => String(item).trim()).filter(item => item)
+            : [];
+
+        return {
+            id: previous ? previous.id : this._nextStepId++,
+            title: step.title,
+            files: toList(step.files),
+            tools: toList(step.tools),
+            expectedOutcome: step.expectedOutcome || '',
+            status: 'pending',
+            approved: false,
+            error: null,
+            result: null
+        };
+    }
+
+    /**
+     * Get the plan, checking that it is in one of the expected states
+     * @param {Array<string>} statuses Allowed plan statuses
+     * @returns {Object} Plan
+     * @private
+     */
+    _requirePlan(statuses) {
+        if (!this.plan) {
+            throw new Error('There is no plan');
+        }
+        if (!statuses.includes(this.plan.status)) {
+            throw new Error(`The plan is ${this.plan.status}`);
+        }
+        return this.plan;
+    }
+
+    /**
+     * Report a change to the plan
+     * @private
+     */
+    _notify() {
+        try {
+            this.onUpdate(this.plan);
+        } catch (error) {
+            console.error('Error in plan update listener:', error);
+        }
+    }
+}
+
+module.exports = PlanRunner;
@@ -0,0 +1,242 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// Convert fs functions to Promises
+const readFile = util.promisify(fs.readFile);
+
+// Workspace file with profiles shared through the repository
+const PROFILES_FILE = path.join('.nyxn', 'profiles.json');
+
+const ACTIVE_PROFILE_KEY = 'nyxn-ai-assistant.activeProfile';
+
+const DEFAULT_PROFILE_NAME = 'Default';
+
+const READ_ONLY_TOOLS = [
+    'read-file', 'list-directory', 'search-files', 'get-current-file',
+    'search-code', 'find-symbols', 'get-document-symbols',
+    'get-diagnostics', 'get-code-actions', 'get-project-structure',
+    'git-status', 'git-branches', 'git-log', 'git-diff',
+    'read-tool-result'
+];
+
+/**
+ * Built-in profiles; settings and the workspace file can override them by name
+ * A profile without systemPrompt or model uses the configured ones, and one without tools may use every tool
+ */
+const BUILT_IN_PROFILES = [
+    {
+        name: DEFAULT_PROFILE_NAME,
+        description: 'General coding assistant with every tool'
+    },
+    {
+        name: 'Reviewer',
+        description: 'Reviews code without changing it',
+        systemPrompt: `You are Nyxn AI Assistant acting as a code reviewer in a VS Code extension.
+Read the code, diagnostics and Git changes you are asked about and point out bugs, risky changes, missing error handling and style problems.
+Quote the file and line for each finding, rank findings by severity, and suggest concrete fixes.
+You can only read files and repository state; do not offer to change files yourself.`,
+        tools: READ_ONLY_TOOLS
+    },
+    {
+        name: 'Implementer',
+        description: 'Writes and edits code in the workspace',
+        tools: [
+            ...READ_ONLY_TOOLS,
+            'write-file', 'insert-code', 'replace-selected-code', 'create-file', 'apply-code-action'
+        ]
+    },
+    {
+        name: 'Git helper',
+        description: 'Inspects the repository and runs Git operations',
+        systemPrompt: `You are Nyxn AI Assistant acting as a Git helper in a VS Code extension.
+Use the Git tools to inspect the repository, manage branches, stage and commit changes, and push or pull.
+Check the status before changing anything, explain what each operation will do, and write clear commit messages.`,
+        tools: ['git-*', 'read-file', 'list-directory', 'read-tool-result']
+    }
+];
+
+/**
+ * Profile Manager
+ * Manages agent profiles, each with its own system prompt, model and tool allowlist.
+ * Profiles come from the built-in list, the 'profiles' setting and .nyxn/profiles.json,
+ * in that order; a later profile replaces an earlier one with the same name.
+ */
+class ProfileManager {
+    /**
+     * Initialize profile manager
+     * @param {vscode.ExtensionContext} context Extension context, whose workspace state stores the active profile
+     */
+    constructor(context) {
+        this.context = context;
+        this.workspaceProfiles = [];
+        this.profiles = [];
+        this._listeners = [];
+        this._watcher = null;
+        this._refreshProfiles();
+    }
+
+    /**
+     * Load the workspace profiles file and watch it for changes
+     */
+    async initialize() {
+        await this.loadWorkspaceProfiles();
+
+        const workspaceRoot = this._getWorkspaceRoot();
+        if (workspaceRoot && vscode.workspace.createFileSystemWatcher) {
+            this._watcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(workspaceRoot, PROFILES_FILE.replace(/\\/g, '/'))
+            );
+            const reload = () => this.loadWorkspaceProfiles().then(() => this._notify());
+            this._watcher.onDidChange(reload);
+            this._watcher.onDidCreate(reload);
+            this._watcher.onDidDelete(reload);
+            if (this.context && this.context.subscriptions) {
+                this.context.subscriptions.push(this._watcher);
+            }
+        }
+    }
+
+    /**
+     * Read profiles from .nyxn/profiles.json in the first workspace folder
+     * The file holds an array of profiles, or an object with a 'profiles' array
+     */
+    async loadWorkspaceProfiles() {
+        this.workspaceProfiles = [];
+        const workspaceRoot = this._getWorkspaceRoot();
+
+        if (workspaceRoot) {
+            const profilesPath = path.join(workspaceRoot, PROFILES_FILE);
+            try {
+                const content = JSON.parse(await readFile(profilesPath, 'utf8'));
+                this.workspaceProfiles = Array.isArray(content) ? content : (content.profiles || []);
+                console.log(`Loaded ${this.workspaceProfiles.length} profiles from ${profilesPath}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('Error loading workspace profiles:', error);
+                    vscode.window.showErrorMessage(`Failed to load ${PROFILES_FILE}: ${error.message}`);
+                }
+            }
+        }
+
+        this._refreshProfiles();
+    }
+
+    /**
+     * Re-read profiles from settings, e.g. after a configuration change
+     */
+    reload() {
+        this._refreshProfiles();
+    }
+
+    /**
+     * Get all profiles
+     * @returns {Array<Object>} Profiles: { name, description, systemPrompt, model, tools }
+     */
+    getProfiles() {
+        return this.profiles;
+    }
+
+    /**
+     * Get a profile by name
+     * @param {string} name Profile name
+     * @returns {Object|null} Profile, or null if there is none with that name
+     */
+    getProfile(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Get the active profile
+     * Falls back to the default profile when the stored one no longer exists
+     * @returns {Object} Active profile
+     */
+    getActiveProfile() {
+        const name = this.context && this.context.workspaceState
+            ? this.context.workspaceState.get(ACTIVE_PROFILE_KEY, DEFAULT_PROFILE_NAME)
+            : DEFAULT_PROFILE_NAME;
+
+        return this.getProfile(name) || this.getProfile(DEFAULT_PROFILE_NAME) || this.profiles[0];
+    }
+
+    /**
+     * Switch the active profile
+     * @param {string} name Profile name
+     * @returns {Promise<Object>} New active profile
+     */
+    async setActiveProfile(name) {
+        const profile = this.getProfile(name);
+        if (!profile) {
+            throw new Error(`Unknown profile: ${name}`);
+        }
+
+        if (this.context && this.context.workspaceState) {
+            await this.context.workspaceState.update(ACTIVE_PROFILE_KEY, profile.name);
+        }
+        console.log(`Switched to profile: ${profile.name}`);
+        this._notify();
+        return profile;
+    }
+
+    /**
+     * Register a listener called with the active profile when it or the profile list changes
+     * @param {Function} listener Listener
+     */
+    onDidChangeProfiles(listener) {
+        this._listeners.push(listener);
+    }
+
+    /**
+     * Merge built-in, settings and workspace profiles
+     * @private
+     */
+    _refreshProfiles() {
+        const config = vscode.workspace.getConfiguration('nyxn-ai-assistant');
+        const configuredProfiles = config.get('profiles') || [];
+        const profiles = new Map();
+
+        for (const profile of [...BUILT_IN_PROFILES, ...configuredProfiles, ...this.workspaceProfiles]) {
+            if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+                console.warn('Ignoring profile without a name:', profile);
+                continue;
+            }
+            profiles.set(profile.name, {
+                name: profile.name,
+                description: profile.description || '',
+                systemPrompt: profile.systemPrompt || null,
+                model: profile.model || null,
+                tools: Array.isArray(profile.tools) ? profile.tools : null
+            });
+        }
+
+        this.profiles = [...profiles.values()];
+    }
+
+    /**
+     * Call the change listeners
+     * @private
+     */
+    _notify() {
+        const profile = this.getActiveProfile();
+        for (const listener of this._listeners) {
+            try {
+                listener(profile);
+            } catch (error) {
+                console.error('Error in profile change listener:', error);
+            }
+        }
+    }
+
+    /**
+     * Get the first workspace folder path
+     * @returns {string|null} Folder path
+     * @private
+     */
+    _getWorkspaceRoot() {
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        return workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : null;
+    }
+}
+
+module.exports = ProfileManager;
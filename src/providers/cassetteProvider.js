@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const LLMProvider = require('./llmProvider');
+
+// Convert fs functions to Promises
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const mkdir = util.promisify(fs.mkdir);
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * Cassette Provider
+ * Records the requests and responses of another provider to a JSON file ("cassette")
+ * and replays them later without network access or an API key.
+ *
+ * In replay mode a request is answered by the first unused interaction recorded for
+ * the same request. A request that matches none fails, so a stale cassette is noticed;
+ * with replayInOrder the next unused interaction in recording order is used instead,
+ * for runs whose tool results differ slightly from the recording.
+ */
+class CassetteProvider extends LLMProvider {
+    /**
+     * Initialize cassette provider
+     * @param {Object} options Provider options
+     * @param {string} options.mode 'record' or 'replay'
+     * @param {string} options.cassettePath Path of the cassette file
+     * @param {LLMProvider} [options.provider] Provider to record; required in record mode
+     * @param {string} [options.model] Model name reported in replay mode
+     * @param {boolean} [options.replayInOrder=false] Answer requests that match no recorded interaction with the
+     *   next unused one in recording order instead of failing
+     */
+    constructor(options = {}) {
+        super({ ...options, model: options.provider ? options.provider.modelName : options.model });
+
+        if (options.mode !== 'record' && options.mode !== 'replay') {
+            throw new Error(`Unknown cassette mode: ${options.mode}`);
+        }
+        if (!options.cassettePath) {
+            throw new Error('Please set the cassette path');
+        }
+        if (options.mode === 'record' && !options.provider) {
+            throw new Error('Recording a cassette requires a provider');
+        }
+
+        this.mode = options.mode;
+        this.cassettePath = options.cassettePath;
+        this.provider = options.provider || null;
+        this.replayInOrder = options.replayInOrder === true;
+        this.interactions = null;
+        this.usedInteractions = new Set();
+    }
+
+    get name() {
+        return 'cassette';
+    }
+
+    get displayName() {
+        return this.provider ? this.provider.displayName : 'Cassette';
+    }
+
+    supportsFunctionCalling() {
+        // Replayed cassettes may contain function calls whatever backend recorded them
+        return this.provider ? this.provider.supportsFunctionCalling() : true;
+    }
+
+    async chat(request) {
+        if (this.mode === 'replay') {
+            return (await this._replay(request)).response;
+        }
+        return await this._record(request, () => this.provider.chat(request));
+    }
+
+    async chatStream(request) {
+        if (this.mode === 'replay') {
+            const interaction = await this._replay(request);
+            for (const chunk of interaction.chunks || []) {
+                request.onChunk(chunk);
+            }
+            return interaction.response;
+        }
+
+        const chunks = [];
+        return await this._record(request, () => this.provider.chatStream({
+            ...request,
+            onChunk: (chunkText) => {
+                chunks.push(chunkText);
+                request.onChunk(chunkText);
+            }
+        }), chunks);
+    }
+
+    async countTokens(contents) {
+        // Replays use the local estimate so runs do not depend on a token counting endpoint
+        return this.mode === 'record'
+            ? await this.provider.countTokens(contents)
+            : LLMProvider.estimateTokens(contents);
+    }
+
+    /**
+     * Load the cassette, once
+     * @returns {Promise<Array>} Recorded interactions
+     * @private
+     */
+    async _load() {
+        if (this.interactions) {
+            return this.interactions;
+        }
+
+        try {
+            const cassette = JSON.parse(await readFile(this.cassettePath, 'utf8'));
+            this.interactions = cassette.interactions || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT' || this.mode === 'replay') {
+                throw new Error(`Failed to load cassette ${this.cassettePath}: ${error.message}`);
+            }
+            this.interactions = [];
+        }
+
+        return this.interactions;
+    }
+
+    /**
+     * Run a request against the recorded provider and append the interaction to the cassette
+     * @param {Object} request Chat request
+     * @param {Function} send Sends the request to the recorded provider
+     * @param {Array} [chunks] Streamed chunks, filled while the request runs
+     * @returns {Promise<Object>} Chat response
+     * @private
+     */
+    async _record(request, send, chunks = null) {
+        const interactions = await this._load();
+        const interaction = {
+            key: CassetteProvider.requestKey(request),
+            request: CassetteProvider.serializeRequest(request)
+        };
+
+        try {
+            interaction.response = await send();
+        } catch (error) {
+            // Errors are recorded too, so retries and error handling can be replayed
+            if (!(request.signal && request.signal.aborted)) {
+                interaction.error = {
+                    message: error.message,
+                    status: error.status,
+                    headers: error.headers
+                };
+                interactions.push(interaction);
+                await this._save();
+            }
+            throw error;
+        }
+
+        if (chunks) {
+            interaction.chunks = chunks;
+        }
+        interactions.push(interaction);
+        await this._save();
+
+        return interaction.response;
+    }
+
+    /**
+     * Find the recorded interaction for a request
+     * @param {Object} request Chat request
+     * @returns {Promise<Object>} Interaction; recorded errors are thrown
+     * @private
+     */
+    async _replay(request) {
+        const interactions = await this._load();
+        const key = CassetteProvider.requestKey(request);
+
+        let index = interactions.findIndex((interaction, i) =>
+            !this.usedInteractions.has(i) && interaction.key === key);
+        if (index === -1) {
+            if (!this.replayInOrder) {
+                throw new Error(`Cassette ${this.cassettePath} has no unused interaction matching the request (key ${key.substring(0, 12)}); ` +
+                    'record it again, or enable replaying in recording order');
+            }
+            index = interactions.findIndex((interaction, i) => !this.usedInteractions.has(i));
+            if (index === -1) {
+                throw new Error(`Cassette ${this.cassettePath} has no interaction left to replay`);
+            }
+            console.warn(`No recorded interaction matches the request, replaying interaction ${index + 1} in order`);
+        }
+        this.usedInteractions.add(index);
+
+        const interaction = interactions[index];
+        if (interaction.error) {
+            const error = new Error(interaction.error.message);
+            error.status = interaction.error.status;
+            error.headers = interaction.error.headers;
+            throw error;
+        }
+
+        return interaction;
+    }
+
+    /**
+     * Write the cassette to disk
+     * @private
+     */
+    async _save() {
+        const cassette = {
+            version: CASSETTE_VERSION,
+            provider: this.provider.name,
+            model: this.modelName,
+            interactions: this.interactions
+        };
+
+        await mkdir(path.dirname(this.cassettePath), { recursive: true });
+        await writeFile(this.cassettePath, JSON.stringify(cassette, null, 2), 'utf8');
+    }
+
+    /**
+     * Get the recorded form of a request, without its signal and callbacks
+     * Tools are reduced to their names to keep cassettes readable
+     * @param {Object} request Chat request
+     * @returns {Object} Serializable request
+     */
+    static serializeRequest(request) {
+        return {
+            history: request.history || [],
+            message: request.message,
+            systemInstruction: request.systemInstruction || '',
+            tools: (request.tools || []).map(tool => tool.name),
+            generationConfig: request.generationConfig || {},
+            safetySettings: request.safetySettings || []
+        };
+    }
+
+    /**
+     * Compute the key that identifies a request in a cassette
+     * @param {Object} request Chat request
+     * @returns {string} SHA-256 hash of the request's history, message, system instruction and tool names
+     */
+    static requestKey(request) {
+        const canonical = JSON.stringify(CassetteProvider.serializeRequest(request));
+        return crypto.createHash('sha256').update(canonical).digest('hex');
+    }
+}
+
+module.exports = CassetteProvider;
@@ -0,0 +1,160 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LLMProvider = require('./llmProvider');
+
+// Finish reasons that mean the reply was withheld
+const BLOCK_FINISH_REASONS = ['SAFETY', 'RECITATION', 'LANGUAGE', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+/**
+ * Gemini Provider
+ * Talks to the Gemini API through @google/generative-ai
+ */
+class GeminiProvider extends LLMProvider {
+    /**
+     * Initialize Gemini provider
+     * @param {Object} options Provider options, see LLMProvider
+     */
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.apiKey) {
+            throw new Error('Please set Gemini API key');
+        }
+
+        this.genAI = new GoogleGenerativeAI(options.apiKey);
+        // A custom base URL lets the provider run against a local stub server
+        this.requestOptions = options.baseUrl ? { baseUrl: options.baseUrl } : undefined;
+        this.model = this.genAI.getGenerativeModel({ model: this.modelName }, this.requestOptions);
+    }
+
+    get name() {
+        return 'gemini';
+    }
+
+    get displayName() {
+        return 'Gemini';
+    }
+
+    supportsFunctionCalling() {
+        return true;
+    }
+
+    async chat(request) {
+        const chat = this._startChat(request);
+        const result = await chat.sendMessage(request.message, this._getSingleRequestOptions(request));
+        return this._toChatResponse(result.response);
+    }
+
+    async chatStream(request) {
+        const chat = this._startChat(request);
+        const result = await chat.sendMessageStream(request.message, this._getSingleRequestOptions(request));
+
+        for await (const chunk of result.stream) {
+            // Blocked chunks carry no text; the complete response below reports the block
+            const chunkCandidate = chunk.candidates && chunk.candidates[0];
+            const chunkText = this._getBlockInfo(chunk, chunkCandidate) ? '' : chunk.text();
+            if (chunkText) {
+                request.onChunk(chunkText);
+            }
+        }
+
+        return this._toChatResponse(await result.response);
+    }
+
+    async countTokens(contents) {
+        const result = await this.model.countTokens({ contents });
+        return result.totalTokens;
+    }
+
+    /**
+     * Start a chat session for a request
+     * @param {Object} request Chat request
+     * @returns {Object} Chat session
+     * @private
+     */
+    _startChat(request) {
+        const params = {
+            history: request.history || [],
+            systemInstruction: request.systemInstruction
+        };
+
+        if (request.tools && request.tools.length > 0) {
+            params.tools = [{ functionDeclarations: request.tools }];
+        }
+        if (request.generationConfig && Object.keys(request.generationConfig).length > 0) {
+            params.generationConfig = request.generationConfig;
+        }
+        if (request.safetySettings && request.safetySettings.length > 0) {
+            params.safetySettings = request.safetySettings;
+        }
+
+        return this.model.startChat(params);
+    }
+
+    /**
+     * Get per-request options
+     * @param {Object} request Chat request
+     * @returns {Object|undefined} Single request options
+     * @private
+     */
+    _getSingleRequestOptions(request) {
+        return request.signal ? { ...this.requestOptions, signal: request.signal } : undefined;
+    }
+
+    /**
+     * Convert a Gemini response to a chat response
+     * @param {Object} response Gemini response
+     * @returns {Object} Chat response
+     * @private
+     */
+    _toChatResponse(response) {
+        const candidate = response.candidates && response.candidates[0];
+        const blocked = this._getBlockInfo(response, candidate);
+        // The SDK's text() and functionCalls() throw for blocked responses
+        const text = blocked ? '' : response.text();
+
+        return {
+            text,
+            functionCalls: blocked ? [] : response.functionCalls() || [],
+            content: {
+                role: 'model',
+                parts: candidate && candidate.content ? candidate.content.parts : [{ text }]
+            },
+            usageMetadata: response.usageMetadata,
+            promptFeedback: response.promptFeedback,
+            finishReason: candidate ? candidate.finishReason : undefined,
+            blocked
+        };
+    }
+
+    /**
+     * Describe why a response was blocked, if it was
+     * @param {Object} response Gemini response
+     * @param {Object} [candidate] First candidate
+     * @returns {Object|null} { stage: 'prompt' | 'response', reason, message, safetyRatings } or null
+     * @private
+     */
+    _getBlockInfo(response, candidate) {
+        const promptFeedback = response.promptFeedback;
+        if (!candidate && promptFeedback && promptFeedback.blockReason) {
+            return {
+                stage: 'prompt',
+                reason: promptFeedback.blockReason,
+                message: promptFeedback.blockReasonMessage,
+                safetyRatings: promptFeedback.safetyRatings || []
+            };
+        }
+
+        if (candidate && BLOCK_FINISH_REASONS.includes(candidate.finishReason)) {
+            return {
+                stage: 'response',
+                reason: candidate.finishReason,
+                message: candidate.finishMessage,
+                safetyRatings: candidate.safetyRatings || []
+            };
+        }
+
+        return null;
+    }
+}
+
+module.exports = GeminiProvider;
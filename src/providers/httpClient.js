@@ -0,0 +1,106 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Send a JSON POST request
+ * Uses Node's http modules so it works on every VS Code version the extension supports
+ * @param {string} url Request URL
+ * @param {Object} body Request body
+ * @param {Object} [options={}] Request options
+ * @param {Object} [options.headers] Extra headers
+ * @param {AbortSignal} [options.signal] Cancellation signal
+ * @returns {Promise<import('http').IncomingMessage>} Response with a 2xx status
+ */
+function postJson(url, body, options = {}) {
+    const payload = JSON.stringify(body);
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...options.headers
+            },
+            signal: options.signal || undefined
+        }, (response) => {
+            if (response.statusCode >= 200 && response.statusCode < 300) {
+                resolve(response);
+                return;
+            }
+
+            readBody(response).then(text => {
+                const error = new Error(`Request failed with status ${response.statusCode}: ${text.substring(0, 500)}`);
+                error.status = response.statusCode;
+                error.headers = response.headers;
+                reject(error);
+            }, reject);
+        });
+
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+/**
+ * Send a JSON POST request and parse the JSON response
+ * @param {string} url Request URL
+ * @param {Object} body Request body
+ * @param {Object} [options={}] Request options, see postJson
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function requestJson(url, body, options = {}) {
+    const response = await postJson(url, body, options);
+    return JSON.parse(await readBody(response));
+}
+
+/**
+ * Send a JSON POST request and read the response line by line
+ * Suits both newline-delimited JSON and server-sent events
+ * @param {string} url Request URL
+ * @param {Object} body Request body
+ * @param {Object} [options={}] Request options, see postJson
+ * @returns {AsyncGenerator<string>} Non-empty response lines
+ */
+async function* streamLines(url, body, options = {}) {
+    const response = await postJson(url, body, options);
+    response.setEncoding('utf8');
+
+    let buffer = '';
+    for await (const chunk of response) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (line.trim()) {
+                yield line.trim();
+            }
+        }
+    }
+
+    if (buffer.trim()) {
+        yield buffer.trim();
+    }
+}
+
+/**
+ * Read a response body as text
+ * @param {import('http').IncomingMessage} response Response
+ * @returns {Promise<string>} Body text
+ */
+async function readBody(response) {
+    response.setEncoding('utf8');
+    let text = '';
+    for await (const chunk of response) {
+        text += chunk;
+    }
+    return text;
+}
+
+module.exports = {
+    requestJson,
+    streamLines
+};
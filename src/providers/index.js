@@ -0,0 +1,107 @@
+const path = require('path');
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OllamaProvider = require('./ollamaProvider');
+const CassetteProvider = require('./cassetteProvider');
+const { ProviderError, classifyError, withRetry } = require('./providerError');
+
+// Setting that holds the model name of each provider
+const MODEL_SETTINGS = {
+    'gemini': 'model',
+    'openai-compatible': 'openaiCompatible.model',
+    'ollama': 'ollama.model'
+};
+
+// Models offered when switching model; any other name can be typed in
+const SUGGESTED_MODELS = {
+    'gemini': ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-flash', 'gemini-1.5-flash-8b', 'gemini-1.5-pro']
+};
+
+/**
+ * Create the LLM provider selected in settings
+ * When cassette mode is 'record' the provider is wrapped to record its traffic;
+ * in 'replay' mode recorded traffic is served instead and no backend is created.
+ * NYXN_CASSETTE_MODE, NYXN_CASSETTE_PATH and NYXN_CASSETTE_REPLAY_IN_ORDER override the cassette settings, for headless runs
+ * @param {vscode.WorkspaceConfiguration} config 'nyxn-ai-assistant' configuration
+ * @param {Object} [options={}] Options
+ * @param {string} [options.workspaceRoot] Directory a relative cassette path is resolved against
+ * @param {string} [options.model] Model to use instead of the configured one, e.g. from an agent profile
+ * @returns {LLMProvider} Provider
+ */
+function createProvider(config, options = {}) {
+    const cassetteMode = process.env.NYXN_CASSETTE_MODE || config.get('cassette.mode') || 'off';
+    if (cassetteMode === 'off') {
+        return createBackendProvider(config, options.model);
+    }
+
+    const cassettePath = path.resolve(
+        options.workspaceRoot || process.cwd(),
+        process.env.NYXN_CASSETTE_PATH || config.get('cassette.path') || '.nyxn/cassettes/default.json'
+    );
+
+    if (cassetteMode === 'replay') {
+        return new CassetteProvider({
+            mode: 'replay',
+            cassettePath,
+            model: options.model || config.get(MODEL_SETTINGS[config.get('provider') || 'gemini']) || 'cassette',
+            replayInOrder: process.env.NYXN_CASSETTE_REPLAY_IN_ORDER
+                ? process.env.NYXN_CASSETTE_REPLAY_IN_ORDER === 'true'
+                : config.get('cassette.replayInOrder') === true
+        });
+    }
+
+    return new CassetteProvider({
+        mode: cassetteMode,
+        cassettePath,
+        provider: createBackendProvider(config, options.model)
+    });
+}
+
+/**
+ * Create the provider for the backend selected in settings
+ * @param {vscode.WorkspaceConfiguration} config 'nyxn-ai-assistant' configuration
+ * @param {string} [model] Model to use instead of the configured one
+ * @returns {LLMProvider} Provider
+ */
+function createBackendProvider(config, model) {
+    const providerName = config.get('provider') || 'gemini';
+
+    switch (providerName) {
+        case 'gemini':
+            return new GeminiProvider({
+                // Prioritize API key from configuration, fallback to environment variable
+                apiKey: config.get('apiKey') || process.env.GEMINI_API_KEY,
+                model: model || config.get('model') || process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+                baseUrl: config.get('gemini.baseUrl') || undefined
+            });
+
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider({
+                apiKey: config.get('openaiCompatible.apiKey') || process.env.OPENAI_API_KEY,
+                model: model || config.get('openaiCompatible.model'),
+                baseUrl: config.get('openaiCompatible.baseUrl')
+            });
+
+        case 'ollama':
+            return new OllamaProvider({
+                model: model || config.get('ollama.model'),
+                baseUrl: config.get('ollama.baseUrl')
+            });
+
+        default:
+            throw new Error(`Unknown provider: ${providerName}`);
+    }
+}
+
+module.exports = {
+    createProvider,
+    MODEL_SETTINGS,
+    SUGGESTED_MODELS,
+    ProviderError,
+    classifyError,
+    withRetry,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    OllamaProvider,
+    CassetteProvider
+};
@@ -0,0 +1,111 @@
+/**
+ * LLM Provider
+ * Base class for language model backends. Conversations are exchanged in Gemini's
+ * content format ({ role: 'user' | 'model' | 'function', parts }), which each
+ * provider converts to and from its own wire format.
+ */
+class LLMProvider {
+    /**
+     * Initialize provider
+     * @param {Object} options Provider options
+     * @param {string} options.model Model name
+     * @param {string} [options.apiKey] API key
+     * @param {string} [options.baseUrl] Base URL of the API
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.modelName = options.model;
+    }
+
+    /**
+     * Provider identifier used in settings
+     * @returns {string} Provider name
+     */
+    get name() {
+        return 'base';
+    }
+
+    /**
+     * Human-readable provider name for messages
+     * @returns {string} Display name
+     */
+    get displayName() {
+        return 'LLM';
+    }
+
+    /**
+     * Whether the backend supports native function calling
+     * @returns {boolean} True if tools can be passed as function declarations
+     */
+    supportsFunctionCalling() {
+        return false;
+    }
+
+    /**
+     * Send a message and wait for the complete reply
+     * @param {Object} request Chat request
+     * @param {Array} request.history Previous turns in Gemini content format
+     * @param {string|Array} request.message Message text or functionResponse parts
+     * @param {string} [request.systemInstruction] System instruction
+     * @param {Array} [request.tools] Function declarations from ToolManager.getFunctionDeclarations
+     * @param {Object} [request.generationConfig] Gemini-style generation parameters:
+     *   { temperature, topP, topK, maxOutputTokens, stopSequences }; providers map what they support
+     * @param {Array} [request.safetySettings] Gemini safety settings: [{ category, threshold }]
+     * @param {AbortSignal} [request.signal] Cancellation signal
+     * @returns {Promise<Object>} Chat response: { text, functionCalls, content, usageMetadata, promptFeedback,
+     *   finishReason, blocked }, where blocked ({ stage, reason, message, safetyRatings }) is set when
+     *   the prompt or the reply was blocked by safety filters
+     */
+    async chat(request) {
+        throw new Error(`${this.displayName} provider does not implement chat`);
+    }
+
+    /**
+     * Send a message and stream the reply
+     * @param {Object} request Chat request, see chat
+     * @param {Function} request.onChunk Called with each text chunk as it arrives
+     * @returns {Promise<Object>} Complete chat response, see chat
+     */
+    async chatStream(request) {
+        // Providers without streaming deliver the whole reply as a single chunk
+        const response = await this.chat(request);
+        if (response.text) {
+            request.onChunk(response.text);
+        }
+        return response;
+    }
+
+    /**
+     * Count tokens in a list of contents
+     * @param {Array} contents Contents in Gemini content format
+     * @returns {Promise<number>} Token count
+     */
+    async countTokens(contents) {
+        return LLMProvider.estimateTokens(contents);
+    }
+
+    /**
+     * Estimate token count locally, at roughly four characters per token
+     * @param {Array|string} contents Contents in Gemini content format, or plain text
+     * @returns {number} Estimated token count
+     */
+    static estimateTokens(contents) {
+        if (typeof contents === 'string') {
+            return Math.ceil(contents.length / 4);
+        }
+
+        let characters = 0;
+        for (const content of contents || []) {
+            for (const part of content.parts || []) {
+                if (part.text) {
+                    characters += part.text.length;
+                } else if (part.functionCall || part.functionResponse) {
+                    characters += JSON.stringify(part.functionCall || part.functionResponse).length;
+                }
+            }
+        }
+        return Math.ceil(characters / 4);
+    }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,193 @@
+const LLMProvider = require('./llmProvider');
+const { requestJson, streamLines } = require('./httpClient');
+
+/**
+ * Ollama Provider
+ * Talks to a local Ollama server through its /api/chat endpoint
+ */
+class OllamaProvider extends LLMProvider {
+    /**
+     * Initialize Ollama provider
+     * @param {Object} options Provider options, see LLMProvider
+     */
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    }
+
+    get name() {
+        return 'ollama';
+    }
+
+    get displayName() {
+        return 'Ollama';
+    }
+
+    supportsFunctionCalling() {
+        return true;
+    }
+
+    async chat(request) {
+        const data = await requestJson(`${this.baseUrl}/api/chat`, this._buildRequestBody(request, false), {
+            signal: request.signal
+        });
+        const message = data.message || {};
+
+        return this._toChatResponse(message.content || '', message.tool_calls || [], data);
+    }
+
+    async chatStream(request) {
+        let text = '';
+        let toolCalls = [];
+        let finalEvent = {};
+
+        for await (const line of streamLines(`${this.baseUrl}/api/chat`, this._buildRequestBody(request, true), {
+            signal: request.signal
+        })) {
+            const event = JSON.parse(line);
+            if (event.error) {
+                throw new Error(event.error);
+            }
+
+            const message = event.message || {};
+            if (message.content) {
+                text += message.content;
+                request.onChunk(message.content);
+            }
+            if (message.tool_calls) {
+                toolCalls = toolCalls.concat(message.tool_calls);
+            }
+            if (event.done) {
+                finalEvent = event;
+            }
+        }
+
+        return this._toChatResponse(text, toolCalls, finalEvent);
+    }
+
+    /**
+     * Build the /api/chat request body
+     * @param {Object} request Chat request
+     * @param {boolean} stream Whether to stream the reply
+     * @returns {Object} Request body
+     * @private
+     */
+    _buildRequestBody(request, stream) {
+        const body = {
+            model: this.modelName,
+            messages: this._toMessages(request),
+            stream
+        };
+
+        const generationConfig = request.generationConfig || {};
+        const options = {};
+        if (generationConfig.temperature !== undefined) options.temperature = generationConfig.temperature;
+        if (generationConfig.topP !== undefined) options.top_p = generationConfig.topP;
+        if (generationConfig.topK !== undefined) options.top_k = generationConfig.topK;
+        if (generationConfig.maxOutputTokens !== undefined) options.num_predict = generationConfig.maxOutputTokens;
+        if (generationConfig.stopSequences && generationConfig.stopSequences.length > 0) {
+            options.stop = generationConfig.stopSequences;
+        }
+        if (Object.keys(options).length > 0) {
+            body.options = options;
+        }
+
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools.map(declaration => ({
+                type: 'function',
+                function: {
+                    name: declaration.name,
+                    description: declaration.description,
+                    parameters: declaration.parameters || { type: 'object', properties: {} }
+                }
+            }));
+        }
+
+        return body;
+    }
+
+    /**
+     * Convert history and the new message to Ollama chat messages
+     * @param {Object} request Chat request
+     * @returns {Array} Messages
+     * @private
+     */
+    _toMessages(request) {
+        const messages = [];
+        if (request.systemInstruction) {
+            messages.push({ role: 'system', content: request.systemInstruction });
+        }
+
+        const newMessage = typeof request.message === 'string'
+            ? { role: 'user', parts: [{ text: request.message }] }
+            : { role: 'function', parts: request.message };
+
+        for (const content of [...(request.history || []), newMessage]) {
+            const text = content.parts.filter(part => part.text).map(part => part.text).join('');
+
+            if (content.role === 'model') {
+                const message = { role: 'assistant', content: text };
+                const functionCalls = content.parts.filter(part => part.functionCall);
+                if (functionCalls.length > 0) {
+                    message.tool_calls = functionCalls.map(part => ({
+                        function: {
+                            name: part.functionCall.name,
+                            arguments: part.functionCall.args || {}
+                        }
+                    }));
+                }
+                messages.push(message);
+            } else if (content.role === 'function') {
+                content.parts.filter(part => part.functionResponse).forEach(part => {
+                    messages.push({
+                        role: 'tool',
+                        content: JSON.stringify(part.functionResponse.response)
+                    });
+                });
+            } else {
+                messages.push({ role: 'user', content: text });
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Build a chat response
+     * @param {string} text Reply text
+     * @param {Array} toolCalls Ollama tool calls
+     * @param {Object} finalEvent Final response object with token counts
+     * @returns {Object} Chat response
+     * @private
+     */
+    _toChatResponse(text, toolCalls, finalEvent) {
+        const functionCalls = toolCalls.map(toolCall => ({
+            name: toolCall.function.name,
+            args: toolCall.function.arguments || {}
+        }));
+
+        const parts = [];
+        if (text) {
+            parts.push({ text });
+        }
+        functionCalls.forEach(functionCall => parts.push({ functionCall }));
+
+        const promptTokens = finalEvent.prompt_eval_count || 0;
+        const completionTokens = finalEvent.eval_count || 0;
+
+        return {
+            text,
+            functionCalls,
+            content: { role: 'model', parts },
+            usageMetadata: finalEvent.done ? {
+                promptTokenCount: promptTokens,
+                candidatesTokenCount: completionTokens,
+                totalTokenCount: promptTokens + completionTokens
+            } : undefined,
+            promptFeedback: undefined,
+            finishReason: finalEvent.done_reason
+        };
+    }
+}
+
+module.exports = OllamaProvider;
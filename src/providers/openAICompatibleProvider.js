@@ -0,0 +1,267 @@
+const LLMProvider = require('./llmProvider');
+const { requestJson, streamLines } = require('./httpClient');
+
+/**
+ * OpenAI-compatible Provider
+ * Talks to any server implementing the OpenAI chat completions API
+ * (vLLM, llama.cpp server, LM Studio, LocalAI, ...)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    /**
+     * Initialize OpenAI-compatible provider
+     * @param {Object} options Provider options, see LLMProvider
+     */
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.baseUrl) {
+            throw new Error('Please set the OpenAI-compatible server URL');
+        }
+
+        this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    }
+
+    get name() {
+        return 'openai-compatible';
+    }
+
+    get displayName() {
+        return 'OpenAI-compatible';
+    }
+
+    supportsFunctionCalling() {
+        return true;
+    }
+
+    async chat(request) {
+        const body = this._buildRequestBody(request, false);
+        const data = await requestJson(`${this.baseUrl}/chat/completions`, body, this._getRequestOptions(request));
+        const choice = (data.choices && data.choices[0]) || {};
+        const message = choice.message || {};
+
+        return this._toChatResponse(
+            message.content || '',
+            (message.tool_calls || []).map(toolCall => ({
+                name: toolCall.function.name,
+                arguments: toolCall.function.arguments
+            })),
+            data.usage,
+            choice.finish_reason
+        );
+    }
+
+    async chatStream(request) {
+        const body = this._buildRequestBody(request, true);
+        let text = '';
+        let usage;
+        let finishReason;
+        // Tool call deltas arrive in fragments keyed by index
+        const toolCalls = [];
+
+        for await (const line of streamLines(`${this.baseUrl}/chat/completions`, body, this._getRequestOptions(request))) {
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+
+            const data = line.substring(5).trim();
+            if (data === '[DONE]') {
+                break;
+            }
+
+            const event = JSON.parse(data);
+            if (event.usage) {
+                usage = event.usage;
+            }
+
+            const choice = event.choices && event.choices[0];
+            if (!choice) {
+                continue;
+            }
+
+            finishReason = choice.finish_reason || finishReason;
+            const delta = choice.delta || {};
+
+            if (delta.content) {
+                text += delta.content;
+                request.onChunk(delta.content);
+            }
+
+            for (const toolCallDelta of delta.tool_calls || []) {
+                const index = toolCallDelta.index || 0;
+                toolCalls[index] = toolCalls[index] || { name: '', arguments: '' };
+                if (toolCallDelta.function) {
+                    toolCalls[index].name += toolCallDelta.function.name || '';
+                    toolCalls[index].arguments += toolCallDelta.function.arguments || '';
+                }
+            }
+        }
+
+        return this._toChatResponse(text, toolCalls.filter(toolCall => toolCall), usage, finishReason);
+    }
+
+    /**
+     * Build the chat completions request body
+     * @param {Object} request Chat request
+     * @param {boolean} stream Whether to stream the reply
+     * @returns {Object} Request body
+     * @private
+     */
+    _buildRequestBody(request, stream) {
+        const body = {
+            model: this.modelName,
+            messages: this._toMessages(request),
+            stream
+        };
+
+        // OpenAI-compatible servers have no top-k or safety settings
+        const generationConfig = request.generationConfig || {};
+        if (generationConfig.temperature !== undefined) body.temperature = generationConfig.temperature;
+        if (generationConfig.topP !== undefined) body.top_p = generationConfig.topP;
+        if (generationConfig.maxOutputTokens !== undefined) body.max_tokens = generationConfig.maxOutputTokens;
+        if (generationConfig.stopSequences && generationConfig.stopSequences.length > 0) {
+            body.stop = generationConfig.stopSequences;
+        }
+
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools.map(declaration => ({
+                type: 'function',
+                function: {
+                    name: declaration.name,
+                    description: declaration.description,
+                    parameters: declaration.parameters || { type: 'object', properties: {} }
+                }
+            }));
+        }
+
+        return body;
+    }
+
+    /**
+     * Get HTTP request options
+     * @param {Object} request Chat request
+     * @returns {Object} Request options
+     * @private
+     */
+    _getRequestOptions(request) {
+        const headers = {};
+        if (this.options.apiKey) {
+            headers.Authorization = `Bearer ${this.options.apiKey}`;
+        }
+        return { headers, signal: request.signal };
+    }
+
+    /**
+     * Convert history and the new message to chat completion messages
+     * @param {Object} request Chat request
+     * @returns {Array} Messages
+     * @private
+     */
+    _toMessages(request) {
+        const messages = [];
+        if (request.systemInstruction) {
+            messages.push({ role: 'system', content: request.systemInstruction });
+        }
+
+        const newMessage = typeof request.message === 'string'
+            ? { role: 'user', parts: [{ text: request.message }] }
+            : { role: 'function', parts: request.message };
+
+        // Function responses carry no call IDs, so match them to the preceding calls by position
+        let pendingCallIds = [];
+        [...(request.history || []), newMessage].forEach((content, contentIndex) => {
+            const text = content.parts.filter(part => part.text).map(part => part.text).join('');
+
+            if (content.role === 'model') {
+                const functionCalls = content.parts.filter(part => part.functionCall);
+                pendingCallIds = functionCalls.map((part, callIndex) => `call_${contentIndex}_${callIndex}`);
+
+                const message = { role: 'assistant', content: text };
+                if (functionCalls.length > 0) {
+                    message.tool_calls = functionCalls.map((part, callIndex) => ({
+                        id: pendingCallIds[callIndex],
+                        type: 'function',
+                        function: {
+                            name: part.functionCall.name,
+                            arguments: JSON.stringify(part.functionCall.args || {})
+                        }
+                    }));
+                }
+                messages.push(message);
+            } else if (content.role === 'function') {
+                content.parts.filter(part => part.functionResponse).forEach((part, responseIndex) => {
+                    messages.push({
+                        role: 'tool',
+                        tool_call_id: pendingCallIds[responseIndex] || `call_${contentIndex}_${responseIndex}`,
+                        content: JSON.stringify(part.functionResponse.response)
+                    });
+                });
+                pendingCallIds = [];
+            } else {
+                messages.push({ role: 'user', content: text });
+            }
+        });
+
+        return messages;
+    }
+
+    /**
+     * Build a chat response
+     * @param {string} text Reply text
+     * @param {Array<{name: string, arguments: string}>} toolCalls Tool calls with JSON-encoded arguments
+     * @param {Object} [usage] Token usage
+     * @param {string} [finishReason] Finish reason
+     * @returns {Object} Chat response
+     * @private
+     */
+    _toChatResponse(text, toolCalls, usage, finishReason) {
+        const functionCalls = toolCalls.map(toolCall => ({
+            name: toolCall.name,
+            args: parseArguments(toolCall.arguments)
+        }));
+
+        const parts = [];
+        if (text) {
+            parts.push({ text });
+        }
+        functionCalls.forEach(functionCall => parts.push({ functionCall }));
+
+        return {
+            text,
+            functionCalls,
+            content: { role: 'model', parts },
+            usageMetadata: usage ? {
+                promptTokenCount: usage.prompt_tokens,
+                candidatesTokenCount: usage.completion_tokens,
+                totalTokenCount: usage.total_tokens
+            } : undefined,
+            promptFeedback: undefined,
+            finishReason,
+            // Servers with content moderation report filtered replies through the finish reason
+            blocked: finishReason === 'content_filter'
+                ? { stage: 'response', reason: 'CONTENT_FILTER', safetyRatings: [] }
+                : null
+        };
+    }
+}
+
+/**
+ * Parse JSON-encoded tool call arguments
+ * @param {string|Object} args Arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArguments(args) {
+    if (!args) {
+        return {};
+    }
+    if (typeof args === 'object') {
+        return args;
+    }
+    try {
+        return JSON.parse(args);
+    } catch (error) {
+        console.error('Error parsing tool call arguments:', error);
+        return {};
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
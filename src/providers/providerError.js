@@ -0,0 +1,234 @@
+/**
+ * Error kinds with their user-facing message, suggested action and whether retrying can help
+ * Actions: 'openSettings' opens the extension settings, 'switchModel' offers other models
+ */
+const ERROR_KINDS = {
+    auth: {
+        userMessage: 'The API key is missing or was rejected.',
+        suggestion: 'Check the API key in the extension settings.',
+        action: 'openSettings',
+        retryable: false
+    },
+    quota: {
+        userMessage: 'The rate limit or quota for this model was exceeded.',
+        suggestion: 'Wait a moment, or switch to another model.',
+        action: 'switchModel',
+        retryable: true
+    },
+    safety: {
+        userMessage: 'The request or the reply was blocked by the safety filters.',
+        suggestion: 'Rephrase the request, or leave out the content that triggered the filter.',
+        action: null,
+        retryable: false
+    },
+    network: {
+        userMessage: 'The API server could not be reached.',
+        suggestion: 'Check your network connection, proxy and the provider base URL.',
+        action: 'openSettings',
+        retryable: true
+    },
+    server: {
+        userMessage: 'The API server is unavailable or overloaded.',
+        suggestion: 'Try again in a moment, or switch to another model.',
+        action: 'switchModel',
+        retryable: true
+    },
+    invalidRequest: {
+        userMessage: 'The API rejected the request.',
+        suggestion: 'Check the model name and the other provider settings.',
+        action: 'openSettings',
+        retryable: false
+    },
+    unknown: {
+        userMessage: 'The request failed.',
+        suggestion: 'Try again, and check the extension output if it keeps failing.',
+        action: null,
+        retryable: false
+    }
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Retry hints longer than this usually mean the quota is exhausted for the day
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Provider Error
+ * An error from an LLM provider, classified so the UI can explain it and suggest what to do
+ */
+class ProviderError extends Error {
+    /**
+     * Initialize provider error
+     * @param {string} kind Error kind, a key of ERROR_KINDS
+     * @param {Error} cause Original error
+     * @param {Object} [details={}] Extra details
+     * @param {number} [details.status] HTTP status
+     * @param {number} [details.retryAfterMs] Server-suggested delay before retrying
+     */
+    constructor(kind, cause, details = {}) {
+        super(cause.message);
+        const info = ERROR_KINDS[kind] || ERROR_KINDS.unknown;
+
+        this.name = 'ProviderError';
+        this.kind = kind;
+        this.cause = cause;
+        this.status = details.status;
+        this.retryAfterMs = details.retryAfterMs;
+        this.userMessage = info.userMessage;
+        this.suggestion = info.suggestion;
+        this.action = info.action;
+        this.retryable = info.retryable &&
+            !(typeof this.retryAfterMs === 'number' && this.retryAfterMs > MAX_RETRY_AFTER_MS);
+    }
+}
+
+/**
+ * Classify an error thrown by a provider
+ * @param {Error} error Error
+ * @returns {ProviderError} Classified error
+ */
+function classifyError(error) {
+    if (error instanceof ProviderError) {
+        return error;
+    }
+
+    const status = typeof error.status === 'number' ? error.status : undefined;
+    const message = error.message || '';
+    const code = error.code || (error.cause && error.cause.code);
+    const details = { status, retryAfterMs: getRetryAfterMs(error) };
+
+    if (status === 401 || status === 403 || /API key not valid|API_KEY_INVALID|API key not set|set Gemini API key/i.test(message)) {
+        return new ProviderError('auth', error, details);
+    }
+    if (status === 429 || /RESOURCE_EXHAUSTED|quota|rate limit/i.test(message)) {
+        return new ProviderError('quota', error, details);
+    }
+    if (/blocked due to|Response was blocked/i.test(message)) {
+        return new ProviderError('safety', error, details);
+    }
+    if ((status && status >= 500) || /overloaded|UNAVAILABLE/.test(message)) {
+        return new ProviderError('server', error, details);
+    }
+    if (NETWORK_ERROR_CODES.includes(code) || /fetch failed|socket hang up|network/i.test(message)) {
+        return new ProviderError('network', error, details);
+    }
+    if (status === 400 || status === 404) {
+        return new ProviderError('invalidRequest', error, details);
+    }
+    return new ProviderError('unknown', error, details);
+}
+
+/**
+ * Read the server's retry hint from a Retry-After header or a Gemini RetryInfo detail
+ * @param {Error} error Error
+ * @returns {number|undefined} Delay in milliseconds
+ */
+function getRetryAfterMs(error) {
+    const retryAfter = error.headers && error.headers['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!isNaN(seconds)) {
+            return seconds * 1000;
+        }
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    const retryInfo = (error.errorDetails || []).find(detail =>
+        detail['@type'] && detail['@type'].endsWith('google.rpc.RetryInfo'));
+    if (retryInfo && retryInfo.retryDelay) {
+        const seconds = parseFloat(retryInfo.retryDelay);
+        if (!isNaN(seconds)) {
+            return seconds * 1000;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Run an operation, retrying retryable errors with exponential backoff and full jitter
+ * @param {Function} operation Async operation, called with the attempt number (0 for the first call)
+ * @param {Object} [options={}] Retry options
+ * @param {number} [options.maxRetries=3] Maximum number of retries
+ * @param {number} [options.baseDelayMs=1000] Delay cap for the first retry, doubled on each retry
+ * @param {number} [options.maxDelayMs=30000] Upper bound for the backoff delay
+ * @param {Function} [options.shouldRetry] Called with the classified error; return false to stop retrying
+ * @param {Function} [options.onRetry] Called with { attempt, maxRetries, delayMs, error } before waiting
+ * @param {AbortSignal} [options.signal] Cancellation signal, also interrupts the wait
+ * @returns {Promise<*>} Result of the operation
+ * @throws {ProviderError} The classified error once retrying is pointless or exhausted
+ */
+async function withRetry(operation, options = {}) {
+    const maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : 3;
+    const baseDelayMs = options.baseDelayMs || 1000;
+    const maxDelayMs = options.maxDelayMs || 30000;
+    const signal = options.signal || null;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw error;
+            }
+
+            const providerError = classifyError(error);
+            const canRetry = providerError.retryable && attempt < maxRetries &&
+                (!options.shouldRetry || options.shouldRetry(providerError));
+            if (!canRetry) {
+                throw providerError;
+            }
+
+            // Full jitter spreads retries from concurrent clients; a server hint takes precedence
+            const backoffMs = Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+            const delayMs = Math.round(typeof providerError.retryAfterMs === 'number'
+                ? providerError.retryAfterMs
+                : backoffMs);
+
+            console.warn(`Retrying after ${providerError.kind} error (attempt ${attempt + 1} of ${maxRetries}, waiting ${delayMs} ms): ${providerError.message}`);
+            if (typeof options.onRetry === 'function') {
+                options.onRetry({ attempt: attempt + 1, maxRetries, delayMs, error: providerError });
+            }
+            await sleep(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Wait for a delay, ending early with an error when the signal aborts
+ * @param {number} delayMs Delay in milliseconds
+ * @param {AbortSignal} [signal] Cancellation signal
+ * @returns {Promise<void>}
+ */
+function sleep(delayMs, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error('Request cancelled'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Request cancelled'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, delayMs);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+module.exports = {
+    ProviderError,
+    classifyError,
+    withRetry
+};
@@ -0,0 +1,229 @@
+// Above this many line pairs the changed region is shown as one replaced block instead of a line-by-line diff
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} before Original text ('' for a new file)
+ * @param {string} after New text
+ * @param {Object} [options={}] Options
+ * @param {string} [options.fromFile='a'] Label of the original
+ * @param {string} [options.toFile='b'] Label of the new text
+ * @param {number} [options.context=3] Unchanged lines shown around each change
+ * @returns {string} Unified diff, or '' when the texts are equal
+ */
+function createUnifiedDiff(before, after, options = {}) {
+    const fromFile = options.fromFile || 'a';
+    const toFile = options.toFile || 'b';
+    const context = typeof options.context === 'number' ? options.context : 3;
+
+    if (before === after) {
+        return '';
+    }
+
+    const oldLines = splitLines(before);
+    const newLines = splitLines(after);
+    const operations = diffLines(oldLines, newLines);
+    const hunks = buildHunks(operations, context);
+
+    const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+    for (const hunk of hunks) {
+        lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`);
+        lines.push(...hunk.lines);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Count the added and removed lines of a unified diff
+ * @param {string} diff Unified diff
+ * @returns {{added: number, removed: number}} Line counts
+ */
+function countChanges(diff) {
+    let added = 0;
+    let removed = 0;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+') && !line.startsWith('+++')) {
+            added++;
+        } else if (line.startsWith('-') && !line.startsWith('---')) {
+            removed++;
+        }
+    }
+    return { added, removed };
+}
+
+/**
+ * Split text into lines, without a trailing empty line for a final newline
+ * @param {string} text Text
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+    if (!text) {
+        return [];
+    }
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Compute line operations turning oldLines into newLines
+ * Common prefix and suffix are matched first; the rest uses a longest common subsequence
+ * @param {Array<string>} oldLines Original lines
+ * @param {Array<string>} newLines New lines
+ * @returns {Array<{type: string, text: string}>} Operations: ' ' (unchanged), '-' (removed) or '+' (added)
+ */
+function diffLines(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+        oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const operations = oldLines.slice(0, prefix).map(text => ({ type: ' ', text }));
+
+    if (oldMiddle.length * newMiddle.length > MAX_LCS_CELLS) {
+        operations.push(...oldMiddle.map(text => ({ type: '-', text })));
+        operations.push(...newMiddle.map(text => ({ type: '+', text })));
+    } else {
+        operations.push(...diffLcs(oldMiddle, newMiddle));
+    }
+
+    operations.push(...oldLines.slice(oldLines.length - suffix).map(text => ({ type: ' ', text })));
+    return operations;
+}
+
+/**
+ * Line diff from a longest common subsequence table
+ * @param {Array<string>} oldLines Original lines
+ * @param {Array<string>} newLines New lines
+ * @returns {Array<{type: string, text: string}>} Operations
+ */
+function diffLcs(oldLines, newLines) {
+    const rows = oldLines.length;
+    const columns = newLines.length;
+    // lengths[i][j] is the LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < columns) {
+        if (oldLines[i] === newLines[j]) {
+            operations.push({ type: ' ', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            operations.push({ type: '-', text: oldLines[i++] });
+        } else {
+            operations.push({ type: '+', text: newLines[j++] });
+        }
+    }
+    while (i < rows) {
+        operations.push({ type: '-', text: oldLines[i++] });
+    }
+    while (j < columns) {
+        operations.push({ type: '+', text: newLines[j++] });
+    }
+    return operations;
+}
+
+/**
+ * Group operations into hunks with surrounding context
+ * Changes separated by at most twice the context share a hunk
+ * @param {Array<{type: string, text: string}>} operations Line operations
+ * @param {number} context Unchanged lines around each change
+ * @returns {Array<Object>} Hunks: { oldStart, oldCount, newStart, newCount, lines }
+ */
+function buildHunks(operations, context) {
+    // Line numbers before each operation
+    const oldNumbers = [];
+    const newNumbers = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const operation of operations) {
+        oldNumbers.push(oldLine);
+        newNumbers.push(newLine);
+        if (operation.type !== '+') {
+            oldLine++;
+        }
+        if (operation.type !== '-') {
+            newLine++;
+        }
+    }
+
+    const groups = [];
+    operations.forEach((operation, index) => {
+        if (operation.type === ' ') {
+            return;
+        }
+        const group = groups[groups.length - 1];
+        if (group && index - group.last <= context * 2 + 1) {
+            group.last = index;
+        } else {
+            groups.push({ first: index, last: index });
+        }
+    });
+
+    return groups.map(group => {
+        const start = Math.max(0, group.first - context);
+        const end = Math.min(operations.length - 1, group.last + context);
+        const slice = operations.slice(start, end + 1);
+        return {
+            oldStart: oldNumbers[start],
+            newStart: newNumbers[start],
+            oldCount: slice.filter(operation => operation.type !== '+').length,
+            newCount: slice.filter(operation => operation.type !== '-').length,
+            lines: slice.map(operation => `${operation.type}${operation.text}`)
+        };
+    });
+}
+
+/**
+ * Format a hunk range
+ * @param {number} start First line
+ * @param {number} count Number of lines
+ * @returns {string} Range, e.g. '3,4'
+ */
+function formatRange(start, count) {
+    if (count === 0) {
+        return `${Math.max(0, start - 1)},0`;
+    }
+    return count === 1 ? String(start) : `${start},${count}`;
+}
+
+/**
+ * Turn what a tool preview function returned into a title and a diff
+ * @param {Object} preview { path, before, after } or { title, diff }, see ToolManager.registerTool
+ * @param {string} fallbackTitle Title used when the preview has none, e.g. the tool name
+ * @returns {{title: string, diff: string}} Preview to show
+ */
+function formatPreview(preview, fallbackTitle) {
+    const diff = typeof preview.diff === 'string'
+        ? preview.diff
+        : createUnifiedDiff(preview.before || '', preview.after || '', {
+            fromFile: preview.before ? `a/${preview.path}` : '/dev/null',
+            toFile: `b/${preview.path}`
+        });
+    return { title: preview.title || preview.path || fallbackTitle, diff: diff || '(no changes)' };
+}
+
+module.exports = {
+    createUnifiedDiff,
+    countChanges,
+    formatPreview
+};
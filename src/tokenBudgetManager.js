@@ -0,0 +1,198 @@
+const vscode = require('vscode');
+const LLMProvider = require('./providers/llmProvider');
+
+// Default token budgets, roughly each model's context window
+const DEFAULT_TOKEN_BUDGETS = {
+    'gemini-2.0-flash': 1048576,
+    'gemini-1.5-flash': 1048576,
+    'gemini-1.5-pro': 2097152
+};
+
+// Budget for models without a default, e.g. models served locally
+const FALLBACK_TOKEN_BUDGET = 32768;
+
+// Tokens kept free for the model's reply
+const MAX_REPLY_RESERVE = 8192;
+
+// Share of the available budget above which the provider's exact token counter is consulted
+const EXACT_COUNT_THRESHOLD = 0.75;
+
+// Share of the available budget above which older turns are summarised
+const COMPACTION_THRESHOLD = 0.8;
+
+/**
+ * Token Budget Manager
+ * Fits chat history and context into the token budget of the current model
+ */
+class TokenBudgetManager {
+    /**
+     * Initialize token budget manager
+     * @param {LLMProvider} provider LLM provider, used for its model name and token counter
+     */
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Get the token budget for the current model
+     * Per-model overrides come from the tokenBudgets setting
+     * @returns {number} Token budget
+     */
+    getBudget() {
+        const modelName = this.provider.modelName;
+        const config = vscode.workspace.getConfiguration('nyxn-ai-assistant');
+        const overrides = config.get('tokenBudgets') || {};
+
+        if (typeof overrides[modelName] === 'number' && overrides[modelName] > 0) {
+            return overrides[modelName];
+        }
+        return DEFAULT_TOKEN_BUDGETS[modelName] || FALLBACK_TOKEN_BUDGET;
+    }
+
+    /**
+     * Get the number of tokens available for the request, after reserving room for the reply
+     * @returns {number} Available tokens
+     */
+    getAvailableTokens() {
+        const budget = this.getBudget();
+        return budget - Math.min(MAX_REPLY_RESERVE, Math.floor(budget / 4));
+    }
+
+    /**
+     * Check whether a request of the given size is close enough to the budget to compact the conversation
+     * @param {number} tokens Estimated request tokens
+     * @returns {boolean} True if the conversation should be compacted
+     */
+    shouldCompact(tokens) {
+        return tokens > this.getAvailableTokens() * COMPACTION_THRESHOLD;
+    }
+
+    /**
+     * Estimate tokens locally
+     * @param {Array|string} contents Contents in Gemini content format, or plain text
+     * @returns {number} Estimated token count
+     */
+    estimateTokens(contents) {
+        return LLMProvider.estimateTokens(contents);
+    }
+
+    /**
+     * Count tokens with the provider, falling back to the local estimate if that fails
+     * @param {Array} contents Contents in Gemini content format
+     * @returns {Promise<number>} Token count
+     */
+    async countTokens(contents) {
+        try {
+            return await this.provider.countTokens(contents);
+        } catch (error) {
+            console.warn('Token counting failed, using local estimate:', error.message);
+            return this.estimateTokens(contents);
+        }
+    }
+
+    /**
+     * Truncate text to roughly fit a token limit
+     * @param {string} text Text
+     * @param {number} maxTokens Token limit
+     * @returns {string} Text, truncated with a marker if it was too long
+     */
+    truncateText(text, maxTokens) {
+        const maxCharacters = Math.max(0, maxTokens) * 4;
+        if (text.length <= maxCharacters) {
+            return text;
+        }
+
+        const omittedLines = text.substring(maxCharacters).split('\n').length;
+        return `${text.substring(0, maxCharacters)}\n... [truncated ${omittedLines} lines to fit the token budget]`;
+    }
+
+    /**
+     * Fit chat history into the token budget
+     * Whole exchanges (a user turn and the replies that follow it) are dropped oldest first
+     * @param {Array} history Chat history in Gemini content format
+     * @param {Object} [options={}] Options
+     * @param {number} [options.fixedTokens=0] Tokens already used by the system instruction, tools and new message
+     * @param {number} [options.keepFrom] Entries from this index on are always kept (the request in progress)
+     * @returns {Promise<{history: Array, droppedTurns: number, tokens: number}>} Fitted history
+     */
+    async fitHistory(history, options = {}) {
+        const available = this.getAvailableTokens() - (options.fixedTokens || 0);
+        const keepFrom = typeof options.keepFrom === 'number' ? options.keepFrom : history.length;
+        const exchanges = this._splitExchanges(history);
+
+        let selection = this._selectExchanges(exchanges, available, keepFrom);
+
+        // Near the limit the estimate is not good enough; check with the provider's counter once
+        // and rescale the estimate by how far off it was
+        if (selection.tokens > available * EXACT_COUNT_THRESHOLD) {
+            const exactTokens = await this.countTokens(selection.history);
+            if (exactTokens > available && selection.tokens > 0) {
+                const scale = exactTokens / selection.tokens;
+                selection = this._selectExchanges(exchanges, Math.floor(available / scale), keepFrom);
+            }
+        }
+
+        if (selection.tokens > available) {
+            console.warn(`Request in progress exceeds the token budget (${selection.tokens} > ${available} tokens)`);
+        }
+
+        return selection;
+    }
+
+    /**
+     * Split history into exchanges, each starting at a user turn
+     * @param {Array} history Chat history
+     * @returns {Array<{start: number, entries: Array, tokens: number}>} Exchanges
+     * @private
+     */
+    _splitExchanges(history) {
+        const exchanges = [];
+
+        history.forEach((entry, index) => {
+            if (entry.role === 'user' || exchanges.length === 0) {
+                exchanges.push({ start: index, entries: [], tokens: 0 });
+            }
+            const exchange = exchanges[exchanges.length - 1];
+            exchange.entries.push(entry);
+            exchange.tokens += this.estimateTokens([entry]);
+        });
+
+        return exchanges;
+    }
+
+    /**
+     * Select the newest exchanges that fit the available tokens
+     * @param {Array} exchanges Exchanges from _splitExchanges
+     * @param {number} available Available tokens
+     * @param {number} keepFrom Exchanges starting at or after this index are always kept
+     * @returns {{history: Array, droppedTurns: number, tokens: number}} Selection
+     * @private
+     */
+    _selectExchanges(exchanges, available, keepFrom) {
+        const kept = [];
+        let tokens = 0;
+
+        for (let i = exchanges.length - 1; i >= 0; i--) {
+            const exchange = exchanges[i];
+            const required = exchange.start >= keepFrom;
+            if (!required && tokens + exchange.tokens > available) {
+                break;
+            }
+            kept.unshift(exchange);
+            tokens += exchange.tokens;
+        }
+
+        // History must start with a user turn, not a model reply or an orphaned function response
+        while (kept.length > 0 && kept[0].entries[0].role !== 'user' && kept[0].start < keepFrom) {
+            tokens -= kept.shift().tokens;
+        }
+
+        return {
+            history: kept.reduce((entries, exchange) => entries.concat(exchange.entries), []),
+            droppedTurns: exchanges.length - kept.length,
+            tokens
+        };
+    }
+}
+
+module.exports = TokenBudgetManager;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// Convert fs functions to Promises
+const readFile = util.promisify(fs.readFile);
+const appendFile = util.promisify(fs.appendFile);
+const mkdir = util.promisify(fs.mkdir);
+
+const LOG_FILE = 'tool-audit.jsonl';
+
+// Only the most recent entries are loaded for browsing; the file itself is never trimmed
+const MAX_LOADED_ENTRIES = 2000;
+
+/**
+ * Tool Audit Log
+ * Appends every tool call to a JSONL file in the extension's global storage, one entry per line:
+ * { id, timestamp, conversationId, toolName, parameters, status, approver, error, durationMs, resultHash, resultSize }.
+ * Results themselves are not stored, only their SHA-256 hash and size.
+ */
+class ToolAuditLog {
+    /**
+     * Initialize audit log
+     * @param {vscode.ExtensionContext} context Extension context, whose global storage holds the log file
+     */
+    constructor(context) {
+        const storagePath = context && (context.globalStorageUri ? context.globalStorageUri.fsPath : context.globalStoragePath);
+        this.logPath = storagePath ? path.join(storagePath, LOG_FILE) : null;
+        this._listeners = [];
+        // Appends are chained so entries from concurrent tool calls are written whole and in order
+        this._writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Append an entry to the log
+     * @param {Object} entry Tool execution record, see ToolManager.onDidExecuteTool, with its conversationId
+     * @returns {Promise<void>} Resolves when the entry is written
+     */
+    append(entry) {
+        if (!this.logPath) {
+            return Promise.resolve();
+        }
+
+        const line = `${JSON.stringify(entry)}\n`;
+        this._writeQueue = this._writeQueue
+            .then(async () => {
+                await mkdir(path.dirname(this.logPath), { recursive: true });
+                await appendFile(this.logPath, line, 'utf8');
+                this._notify(entry);
+            })
+            .catch(error => {
+                console.error('Error writing tool audit log:', error);
+            });
+        return this._writeQueue;
+    }
+
+    /**
+     * Read logged entries, newest first
+     * @param {Object} [filter={}] Filter
+     * @param {string} [filter.query] Text to find in the tool name, status, approver, conversation or parameters
+     * @param {string} [filter.toolName] Tool name
+     * @param {string} [filter.status] Status, e.g. 'error'
+     * @param {string} [filter.conversationId] Conversation id
+     * @returns {Promise<Array<Object>>} Entries
+     */
+    async getEntries(filter = {}) {
+        await this._writeQueue;
+        if (!this.logPath) {
+            return [];
+        }
+
+        let content;
+        try {
+            content = await readFile(this.logPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw new Error(`Failed to read tool audit log: ${error.message}`);
+        }
+
+        const entries = [];
+        for (const line of content.split('\n').slice(-MAX_LOADED_ENTRIES - 1)) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                console.warn('Skipping malformed tool audit log line');
+            }
+        }
+
+        const query = (filter.query || '').toLowerCase();
+        return entries
+            .filter(entry => !filter.toolName || entry.toolName === filter.toolName)
+            .filter(entry => !filter.status || entry.status === filter.status)
+            .filter(entry => !filter.conversationId || entry.conversationId === filter.conversationId)
+            .filter(entry => !query || [entry.toolName, entry.status, entry.approver, entry.conversationId, JSON.stringify(entry.parameters)]
+                .some(value => value && String(value).toLowerCase().includes(query)))
+            .reverse();
+    }
+
+    /**
+     * Find a logged entry by call id
+     * @param {string} id Call id
+     * @returns {Promise<Object|null>} Entry, or null if it is not among the loaded entries
+     */
+    async getEntry(id) {
+        const entries = await this.getEntries();
+        return entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Register a listener called with each entry after it is written
+     * @param {Function} listener Listener
+     */
+    onDidAppend(listener) {
+        this._listeners.push(listener);
+    }
+
+    /**
+     * Call the append listeners
+     * @param {Object} entry Entry
+     * @private
+     */
+    _notify(entry) {
+        for (const listener of this._listeners) {
+            try {
+                listener(entry);
+            } catch (error) {
+                console.error('Error in tool audit log listener:', error);
+            }
+        }
+    }
+}
+
+module.exports = ToolAuditLog;
@@ -0,0 +1,135 @@
+const vscode = require('vscode');
+
+const STATUS_ICONS = {
+    success: 'check',
+    error: 'error',
+    invalid: 'warning',
+    denied: 'circle-slash',
+    cancelled: 'debug-stop',
+    timeout: 'watch',
+    dryRun: 'beaker'
+};
+
+/**
+ * Tool Audit Tree Provider
+ * Shows the tool audit log in the sidebar, grouped by conversation, newest first.
+ * Clicking a call shows its details; its context menu re-runs it.
+ * @implements {vscode.TreeDataProvider}
+ */
+class ToolAuditTreeProvider {
+    /**
+     * Initialize tree provider
+     * @param {ToolAuditLog} auditLog Tool audit log
+     */
+    constructor(auditLog) {
+        this.auditLog = auditLog;
+        this.query = '';
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.auditLog.onDidAppend(() => this.refresh());
+    }
+
+    /**
+     * Reload the tree
+     */
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Show only calls matching a text
+     * @param {string} query Text to find in the tool name, status, approver, conversation or parameters; '' shows everything
+     */
+    setFilter(query) {
+        this.query = query || '';
+        this.refresh();
+    }
+
+    /**
+     * Ask the user for the filter text
+     */
+    async promptFilter() {
+        const query = await vscode.window.showInputBox({
+            prompt: 'Filter tool calls by tool name, status, approver, conversation or parameter text (empty to show all)',
+            value: this.query
+        });
+        if (query !== undefined) {
+            this.setFilter(query.trim());
+        }
+    }
+
+    /**
+     * Get the tree item for an element
+     * @param {Object} element Conversation group or log entry
+     * @returns {vscode.TreeItem} Tree item
+     */
+    getTreeItem(element) {
+        if (element.calls) {
+            const item = new vscode.TreeItem(
+                `Conversation ${formatTime(element.calls[element.calls.length - 1].timestamp)}`,
+                vscode.TreeItemCollapsibleState.Collapsed
+            );
+            item.description = `${element.calls.length} call${element.calls.length === 1 ? '' : 's'}`;
+            item.tooltip = element.conversationId;
+            item.contextValue = 'toolConversation';
+            return item;
+        }
+
+        const item = new vscode.TreeItem(element.toolName, vscode.TreeItemCollapsibleState.None);
+        item.description = `${element.status} · ${element.durationMs} ms · ${formatTime(element.timestamp)}`;
+        item.tooltip = [
+            `Call ${element.id}`,
+            `Status: ${element.status}${element.approver ? ` (approved by ${element.approver})` : ''}`,
+            element.error ? `Error: ${element.error}` : null,
+            element.resultHash ? `Result: ${element.resultSize} characters, sha256 ${element.resultHash.substring(0, 12)}` : null,
+            `Parameters: ${JSON.stringify(element.parameters, null, 2)}`
+        ].filter(line => line).join('\n');
+        item.iconPath = new vscode.ThemeIcon(STATUS_ICONS[element.status] || 'tools');
+        item.contextValue = 'toolCall';
+        item.command = {
+            command: 'nyxn-ai-assistant.showToolCall',
+            title: 'Show Tool Call',
+            arguments: [element]
+        };
+        return item;
+    }
+
+    /**
+     * Get the children of an element
+     * @param {Object} [element] Conversation group, or undefined for the root
+     * @returns {Promise<Array<Object>>} Conversation groups at the root, calls below them
+     */
+    async getChildren(element) {
+        if (element) {
+            return element.calls || [];
+        }
+
+        try {
+            const entries = await this.auditLog.getEntries({ query: this.query });
+            const conversations = new Map();
+            for (const entry of entries) {
+                const conversationId = entry.conversationId || 'unknown';
+                if (!conversations.has(conversationId)) {
+                    conversations.set(conversationId, { conversationId, calls: [] });
+                }
+                conversations.get(conversationId).calls.push(entry);
+            }
+            return [...conversations.values()];
+        } catch (error) {
+            console.error('Error loading tool audit log:', error);
+            vscode.window.showErrorMessage(error.message);
+            return [];
+        }
+    }
+}
+
+/**
+ * Format a timestamp for the tree
+ * @param {string} timestamp ISO timestamp
+ * @returns {string} Local date and time
+ */
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
+
+module.exports = ToolAuditTreeProvider;
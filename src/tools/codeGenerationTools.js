@@ -1,5 +1,6 @@
 const vscode = require('vscode');
 const path = require('path');
+const { resolveToolPath } = require('./pathGuard');
 
 /**
  * Code Generation Tools
@@ -31,9 +32,11 @@ class CodeGenerationTools {
      * Insert code at cursor position
      * @param {Object} params Parameters object
      * @param {string} params.code Code to insert
+     * @param {Object} [options] Execution options
+     * @param {ChangeJournal} [options.journal] Journal that records the document before it is changed
      * @returns {Promise<string>} Success message
      */
-    async insertCode(params) {
+    async insertCode(params, options = {}) {
         try {
             const { code } = params;
 
@@ -46,6 +49,9 @@ class CodeGenerationTools {
                 throw new Error('No active editor');
             }
 
+            await this._checkDocument(editor.document, { toolName: 'insert-code' });
+            await this._recordDocument(editor.document, options.journal);
+
             // Insert code at cursor position
             await editor.edit(editBuilder => {
                 editBuilder.insert(editor.selection.active, code);
@@ -61,9 +67,11 @@ class CodeGenerationTools {
      * Replace selected code
      * @param {Object} params Parameters object
      * @param {string} params.code New code
+     * @param {Object} [options] Execution options
+     * @param {ChangeJournal} [options.journal] Journal that records the document before it is changed
      * @returns {Promise<string>} Success message
      */
-    async replaceSelectedCode(params) {
+    async replaceSelectedCode(params, options = {}) {
         try {
             const { code } = params;
 
@@ -80,6 +88,9 @@ class CodeGenerationTools {
                 throw new Error('No code selected');
             }
 
+            await this._checkDocument(editor.document, { toolName: 'replace-selected-code' });
+            await this._recordDocument(editor.document, options.journal);
+
             // Replace selected code
             await editor.edit(editBuilder => {
                 editBuilder.replace(editor.selection, code);
@@ -96,9 +107,11 @@ class CodeGenerationTools {
      * @param {Object} params Parameters object
      * @param {string} params.file_path File path
      * @param {string} params.content File content
+     * @param {Object} [options] Execution options
+     * @param {ChangeJournal} [options.journal] Journal that records the file before it is created
      * @returns {Promise<string>} Success message
      */
-    async createFile(params) {
+    async createFile(params, options = {}) {
         try {
             const { file_path, content } = params;
 
@@ -106,15 +119,16 @@ class CodeGenerationTools {
                 throw new Error('File path is required');
             }
 
-            // Resolve file path
-            const workspaceRoot = this.getWorkspaceRoot();
-            const fullPath = path.isAbsolute(file_path)
-                ? file_path
-                : path.join(workspaceRoot || '', file_path);
+            // Resolve file path, confined to the workspace
+            const fullPath = await resolveToolPath(file_path, { access: 'write', toolName: 'create-file' });
 
             // Create URI
             const uri = vscode.Uri.file(fullPath);
 
+            if (options.journal) {
+                await options.journal.recordBefore(fullPath);
+            }
+
             // Create file
             const contentBytes = Buffer.from(content || '', 'utf8');
             await vscode.workspace.fs.writeFile(uri, contentBytes);
@@ -207,6 +221,94 @@ class CodeGenerationTools {
         }
     }
 
+    /**
+     * Record an editor document in the change journal before it is edited
+     * Untitled documents have no file to restore and are not recorded.
+     * @param {vscode.TextDocument} document Document
+     * @param {ChangeJournal} [journal] Change journal
+     * @private
+     */
+    async _recordDocument(document, journal) {
+        if (journal && document.uri.scheme === 'file') {
+            await journal.recordBefore(document.uri.fsPath);
+        }
+    }
+
+    /**
+     * Check that the active editor's file may be changed, as for a path given to a tool
+     * Documents that are not files, such as untitled ones, are not checked
+     * @param {vscode.TextDocument} document Document
+     * @param {Object} options Options for resolveToolPath
+     * @throws {Error} When the file is blocked
+     * @private
+     */
+    async _checkDocument(document, options) {
+        if (document.uri.scheme === 'file') {
+            await resolveToolPath(document.uri.fsPath, { access: 'write', ...options });
+        }
+    }
+
+    /**
+     * Describe the change insert-code would make, for approval prompts
+     * @param {Object} params Parameters object, see insertCode
+     * @returns {Promise<Object|null>} Active document before and after, or null without an editor
+     */
+    async previewInsertCode(params) {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            return null;
+        }
+        const document = editor.document;
+        await this._checkDocument(document, { prompt: false });
+        const text = document.getText();
+        const offset = document.offsetAt(editor.selection.active);
+        return {
+            path: vscode.workspace.asRelativePath(document.uri),
+            before: text,
+            after: text.substring(0, offset) + params.code + text.substring(offset)
+        };
+    }
+
+    /**
+     * Describe the change replace-selected-code would make, for approval prompts
+     * @param {Object} params Parameters object, see replaceSelectedCode
+     * @returns {Promise<Object|null>} Active document before and after, or null without a selection
+     */
+    async previewReplaceSelectedCode(params) {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.selection.isEmpty) {
+            return null;
+        }
+        const document = editor.document;
+        await this._checkDocument(document, { prompt: false });
+        const text = document.getText();
+        const start = document.offsetAt(editor.selection.start);
+        const end = document.offsetAt(editor.selection.end);
+        return {
+            path: vscode.workspace.asRelativePath(document.uri),
+            before: text,
+            after: text.substring(0, start) + params.code + text.substring(end)
+        };
+    }
+
+    /**
+     * Describe the change create-file would make, for approval prompts
+     * An existing file is shown as overwritten
+     * @param {Object} params Parameters object, see createFile
+     * @returns {Promise<{path: string, before: string, after: string}>} File content before and after
+     */
+    async previewCreateFile(params) {
+        const fullPath = await resolveToolPath(params.file_path, { prompt: false });
+
+        let before = '';
+        try {
+            before = Buffer.from(await vscode.workspace.fs.readFile(vscode.Uri.file(fullPath))).toString('utf8');
+        } catch (error) {
+            // The file does not exist yet
+        }
+        return { path: params.file_path, before, after: params.content || '' };
+    }
+
     /**
      * Register all code generation tools
      * @param {ToolManager} toolManager Tool manager
@@ -221,7 +323,9 @@ class CodeGenerationTools {
                     description: 'Code to insert'
                 }
             },
-            required: ['code']
+            required: ['code'],
+            risk: 'write',
+            preview: this.previewInsertCode.bind(this)
         });
 
         // Replace selected code
@@ -233,7 +337,9 @@ class CodeGenerationTools {
                     description: 'New code'
                 }
             },
-            required: ['code']
+            required: ['code'],
+            risk: 'write',
+            preview: this.previewReplaceSelectedCode.bind(this)
         });
 
         // Create new file
@@ -249,7 +355,9 @@ class CodeGenerationTools {
                     description: 'File content'
                 }
             },
-            required: ['file_path']
+            required: ['file_path'],
+            risk: 'write',
+            preview: this.previewCreateFile.bind(this)
         });
 
         // Get project structure
@@ -257,11 +365,14 @@ class CodeGenerationTools {
             description: 'Get project structure',
             parameters: {
                 max_depth: {
-                    type: 'number',
-                    description: 'Maximum depth'
+                    type: 'integer',
+                    description: 'Maximum depth',
+                    default: 3
                 }
             },
-            required: []
+            required: [],
+            risk: 'read',
+            parallel: true
         });
     }
 }
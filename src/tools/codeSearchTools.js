@@ -1,5 +1,6 @@
 const vscode = require('vscode');
 const path = require('path');
+const { resolveToolPath, isToolPathAllowed } = require('./pathGuard');
 
 /**
  * Code search tools
@@ -71,10 +72,17 @@ class CodeSearchTools {
             // Execute search
             const results = await vscode.workspace.findTextInFiles(searchOptions);
 
-            // Format results
+            const fileEntries = [];
+            results.forEach((fileResults, uri) => fileEntries.push([uri, fileResults]));
+
+            // Format results, leaving out files the tools may not read, such as .env or keys
             const formattedResults = [];
-            results.forEach((fileResults, uri) => {
+            for (const [uri, fileResults] of fileEntries) {
                 const filePath = uri.fsPath;
+                if (!(await isToolPathAllowed(filePath))) {
+                    console.log(`Left search matches in ${filePath} out: the path is blocked for tools`);
+                    continue;
+                }
                 const workspaceRoot = this.getWorkspaceRoot();
                 const relativePath = workspaceRoot
                     ? path.relative(workspaceRoot, filePath)
@@ -91,7 +99,7 @@ class CodeSearchTools {
                         }
                     });
                 });
-            });
+            }
 
             return formattedResults;
         } catch (error) {
@@ -189,10 +197,7 @@ class CodeSearchTools {
             }
 
             // Resolve file path
-            const workspaceRoot = this.getWorkspaceRoot();
-            const fullPath = path.isAbsolute(file_path)
-                ? file_path
-                : path.join(workspaceRoot || '', file_path);
+            const fullPath = await resolveToolPath(file_path, { toolName: 'get-document-symbols' });
 
             // Open document
             const uri = vscode.Uri.file(fullPath);
@@ -262,18 +267,23 @@ class CodeSearchTools {
                 },
                 case_sensitive: {
                     type: 'boolean',
-                    description: 'Whether to be case sensitive'
+                    description: 'Whether to be case sensitive',
+                    default: false
                 },
                 whole_word: {
                     type: 'boolean',
-                    description: 'Whether to match whole words'
+                    description: 'Whether to match whole words',
+                    default: false
                 },
                 regex: {
                     type: 'boolean',
-                    description: 'Whether to use regular expressions'
+                    description: 'Whether to use regular expressions',
+                    default: false
                 }
             },
-            required: ['query']
+            required: ['query'],
+            risk: 'read',
+            parallel: true
         });
 
         // Find symbols
@@ -286,10 +296,13 @@ class CodeSearchTools {
                 },
                 kind: {
                     type: 'string',
-                    description: 'Symbol kind, e.g. "class", "function", "method", "variable"'
+                    description: 'Symbol kind',
+                    enum: ['class', 'function', 'method', 'variable', 'interface', 'enum', 'property', 'constructor']
                 }
             },
-            required: ['query']
+            required: ['query'],
+            risk: 'read',
+            parallel: true
         });
 
         // Get document symbols
@@ -301,7 +314,9 @@ class CodeSearchTools {
                     description: 'File path, can be relative to workspace root'
                 }
             },
-            required: ['file_path']
+            required: ['file_path'],
+            risk: 'read',
+            parallel: true
         });
     }
 }
@@ -0,0 +1,422 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const { exec, execFile } = require('child_process');
+const yaml = require('js-yaml');
+const { resolveToolPath, isInside } = require('./pathGuard');
+
+// Convert fs and child_process functions to Promises
+const readFile = util.promisify(fs.readFile);
+const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
+
+// Workspace files that declare command tools, in the order they are looked for
+const TOOLS_FILES = ['tools.json', 'tools.yaml', 'tools.yml'].map(name => path.join('.nyxn', name));
+
+// Workspace state key of the tools files the user allowed, by content hash
+const ALLOWED_FILES_KEY = 'nyxn-ai-assistant.allowedCommandTools';
+
+const RISK_LEVELS = ['read', 'write', 'destructive', 'external'];
+
+// Same names the extension API accepts
+const TOOL_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Largest command output kept; the tool manager truncates what is sent to the model
+const MAX_BUFFER = 10 * 1024 * 1024;
+
+/**
+ * Custom Command Tools
+ * Registers tools declared in .nyxn/tools.json (or tools.yaml) that run project commands, such as
+ * "npm run lint" or "make migrate". The file holds a list of tools, or an object with a 'tools' list:
+ * { name, description, command, parameters, required, cwd, timeout, risk, allowOptions }.
+ *
+ * command is a shell command string or an argument list run without a shell. {{name}} placeholders are
+ * replaced with parameter values: quoted for the shell in a string, where a placeholder must be a word of its own,
+ * and one argument per array item in a list.
+ * Values starting with '-' are refused so the model cannot add options, unless allowOptions is true.
+ * cwd must stay inside the workspace. The file is reloaded when it changes; a changed file must be allowed again before its tools are registered.
+ */
+class CustomCommandTools {
+    /**
+     * Initialize custom command tools
+     * @param {vscode.ExtensionContext} context Extension context, whose workspace state stores allowed files
+     * @param {ToolManager} toolManager Tool manager the tools are registered with
+     */
+    constructor(context, toolManager) {
+        this.context = context;
+        this.toolManager = toolManager;
+        // Names of the tools registered from the file
+        this.toolNames = [];
+        this._watcher = null;
+        // Reloads are chained so a file change during a reload cannot register the tools twice
+        this._reloadQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the tools file and watch it for changes
+     */
+    async initialize() {
+        await this.reload();
+
+        const workspaceRoot = this.getWorkspaceRoot();
+        if (workspaceRoot && vscode.workspace.createFileSystemWatcher) {
+            this._watcher = vscode.workspace.createFileSystemWatcher(
+                new vscode.RelativePattern(workspaceRoot, '.nyxn/tools.{json,yaml,yml}')
+            );
+            const reload = () => this.reload();
+            this._watcher.onDidChange(reload);
+            this._watcher.onDidCreate(reload);
+            this._watcher.onDidDelete(reload);
+            if (this.context && this.context.subscriptions) {
+                this.context.subscriptions.push(this._watcher);
+            }
+        }
+    }
+
+    /**
+     * Replace the registered tools with the ones the tools file declares now
+     * @returns {Promise<void>} Resolves when the tools are registered
+     */
+    reload() {
+        this._reloadQueue = this._reloadQueue
+            .then(() => this._loadTools())
+            .catch(error => {
+                console.error('Error loading command tools:', error);
+            });
+        return this._reloadQueue;
+    }
+
+    /**
+     * Unregister the current tools and register the ones from the tools file
+     * @private
+     */
+    async _loadTools() {
+        for (const toolName of this.toolNames) {
+            this.toolManager.unregisterTool(toolName);
+        }
+        this.toolNames = [];
+
+        const file = await this.loadToolsFile();
+        if (!file || !(await this._isFileAllowed(file))) {
+            return;
+        }
+
+        for (const definition of file.tools) {
+            try {
+                this._registerTool(definition, file.relativePath);
+            } catch (error) {
+                console.error('Error registering command tool:', error);
+                vscode.window.showErrorMessage(`${file.relativePath}: ${error.message}`);
+            }
+        }
+        console.log(`Registered ${this.toolNames.length} command tools from ${file.relativePath}`);
+    }
+
+    /**
+     * Read the first tools file found in the workspace
+     * @returns {Promise<{relativePath: string, content: string, tools: Array<Object>}|null>} Tools file, or null if there is none
+     */
+    async loadToolsFile() {
+        const workspaceRoot = this.getWorkspaceRoot();
+        if (!workspaceRoot) {
+            return null;
+        }
+
+        for (const relativePath of TOOLS_FILES) {
+            let content;
+            try {
+                content = await readFile(path.join(workspaceRoot, relativePath), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    continue;
+                }
+                throw error;
+            }
+
+            try {
+                const data = relativePath.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+                const tools = Array.isArray(data) ? data : (data && data.tools) || [];
+                if (!Array.isArray(tools)) {
+                    throw new Error("'tools' must be a list");
+                }
+                return { relativePath, content, tools };
+            } catch (error) {
+                console.error(`Error loading ${relativePath}:`, error);
+                vscode.window.showErrorMessage(`Failed to load ${relativePath}: ${error.message}`);
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build the command a call runs
+     * @param {Object} definition Tool definition
+     * @param {Object} params Validated parameters
+     * @returns {{command: string|Array<string>, cwd: string, display: string}} Shell command or argument list,
+     *   working directory and the command line to show
+     */
+    buildCommand(definition, params) {
+        const workspaceRoot = this.getWorkspaceRoot();
+        const cwd = definition.cwd ? path.resolve(workspaceRoot, definition.cwd) : workspaceRoot;
+        const valuesOf = name => parameterValues(definition, params, name);
+
+        if (Array.isArray(definition.command)) {
+            const args = [];
+            for (const arg of definition.command) {
+                const whole = /^\{\{\s*([A-Za-z_][\w-]*)\s*\}\}$/.exec(arg);
+                if (whole) {
+                    // A lone placeholder becomes one argument per value, or none when the value is missing
+                    args.push(...valuesOf(whole[1]));
+                } else {
+                    args.push(arg.replace(PLACEHOLDER_REGEX, (match, name) => valuesOf(name).join(' ')));
+                }
+            }
+            return { command: args, cwd, display: args.map(quoteArgument).join(' ') };
+        }
+
+        const embedded = findEmbeddedPlaceholder(definition.command);
+        if (embedded) {
+            throw new Error(`${embedded} must be a word of its own in a shell command, not inside quotes or joined to other text`);
+        }
+        const command = definition.command.replace(PLACEHOLDER_REGEX, (match, name) => valuesOf(name).map(quoteArgument).join(' '));
+        return { command, cwd, display: command };
+    }
+
+    /**
+     * Get the workspace root path
+     * @returns {string|null} Workspace root path
+     */
+    getWorkspaceRoot() {
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        return workspaceFolders && workspaceFolders.length > 0 ? workspaceFolders[0].uri.fsPath : null;
+    }
+
+    /**
+     * Validate a tool definition and register it
+     * @param {Object} definition Tool definition from the file
+     * @param {string} relativePath Tools file, for messages
+     * @private
+     */
+    _registerTool(definition, relativePath) {
+        const name = definition && definition.name;
+        if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid tool name: ${name}`);
+        }
+        const command = definition.command;
+        if (!(typeof command === 'string' && command.trim()) && !(Array.isArray(command) && command.length > 0 && command.every(arg => typeof arg === 'string'))) {
+            throw new Error(`Tool '${name}' needs a command: a string or a list of arguments`);
+        }
+        if (definition.risk !== undefined && !RISK_LEVELS.includes(definition.risk)) {
+            throw new Error(`Invalid risk level for tool '${name}': ${definition.risk} (expected ${RISK_LEVELS.join(', ')})`);
+        }
+        const workspaceRoot = this.getWorkspaceRoot();
+        if (definition.cwd !== undefined && (typeof definition.cwd !== 'string' || !isInside(path.resolve(workspaceRoot, definition.cwd), workspaceRoot))) {
+            throw new Error(`The cwd of tool '${name}' must be a folder inside the workspace: ${definition.cwd}`);
+        }
+        if (this.toolManager.hasTool(name)) {
+            throw new Error(`Tool '${name}' is already registered`);
+        }
+
+        const embedded = typeof command === 'string' ? findEmbeddedPlaceholder(command) : null;
+        if (embedded) {
+            throw new Error(`Tool '${name}' puts ${embedded} inside quotes or joined to other text; in a shell command a placeholder must be a word of its own, or use a list of arguments`);
+        }
+
+        const parameters = definition.parameters || {};
+        const undeclared = [].concat(command).join(' ').match(PLACEHOLDER_REGEX) || [];
+        for (const placeholder of undeclared) {
+            const parameterName = placeholder.replace(/[{}\s]/g, '');
+            if (!Object.prototype.hasOwnProperty.call(parameters, parameterName)) {
+                throw new Error(`Tool '${name}' uses {{${parameterName}}} but declares no such parameter`);
+            }
+        }
+
+        this.toolManager.registerTool(name, (params, options = {}) => this._runCommand(definition, params, options.signal), {
+            description: `${definition.description || `Runs ${[].concat(command).join(' ')}`} (workspace command from ${relativePath})`,
+            parameters,
+            required: definition.required || [],
+            risk: definition.risk || 'write',
+            timeout: typeof definition.timeout === 'number' ? definition.timeout * 1000 : undefined,
+            preview: async (params) => {
+                const { cwd, display } = this.buildCommand(definition, params);
+                return { title: `Runs in ${cwd}`, diff: `$ ${display}` };
+            }
+        });
+        this.toolNames.push(name);
+    }
+
+    /**
+     * Run a tool's command
+     * @param {Object} definition Tool definition
+     * @param {Object} params Validated parameters
+     * @param {AbortSignal} [signal] Cancellation signal, aborted on cancel or timeout; kills the command
+     * @returns {Promise<string>} Command output
+     * @private
+     */
+    async _runCommand(definition, params, signal) {
+        const { command, cwd, display } = this.buildCommand(definition, params);
+        if (!cwd) {
+            throw new Error('No workspace folder is open');
+        }
+        try {
+            // Checked again when running, since a symbolic link in the workspace can lead elsewhere
+            await resolveToolPath(cwd, { prompt: false, toolName: definition.name });
+        } catch (error) {
+            throw new Error(`Failed to run ${definition.name} in ${cwd}: ${error.message}`);
+        }
+
+        console.log(`Running command tool '${definition.name}': ${display} in ${cwd}`);
+        const execOptions = { cwd, maxBuffer: MAX_BUFFER };
+        if (signal) {
+            execOptions.signal = signal;
+        }
+
+        try {
+            const { stdout, stderr } = Array.isArray(command)
+                ? await execFileAsync(command[0], command.slice(1), execOptions)
+                : await execAsync(command, execOptions);
+            return formatOutput(display, 0, stdout, stderr);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                throw new Error(`Command cancelled: ${display}`);
+            }
+            if (typeof error.code === 'number') {
+                throw new Error(`Failed to run ${definition.name}: ${formatOutput(display, error.code, error.stdout, error.stderr)}`);
+            }
+            throw new Error(`Failed to run ${definition.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Ask the user before registering tools from a tools file, since they run commands from the repository
+     * The answer is remembered per workspace for the exact file content.
+     * @param {Object} file Tools file
+     * @returns {Promise<boolean>} True if the tools may be registered
+     * @private
+     */
+    async _isFileAllowed(file) {
+        if (file.tools.length === 0 || vscode.workspace.isTrusted === false) {
+            return false;
+        }
+
+        const hash = crypto.createHash('sha256').update(file.content).digest('hex');
+        const allowed = this.context.workspaceState.get(ALLOWED_FILES_KEY) || [];
+        if (allowed.includes(hash)) {
+            return true;
+        }
+
+        const names = file.tools.map(tool => tool && tool.name).filter(name => name).join(', ');
+        const choice = await vscode.window.showWarningMessage(
+            `${file.relativePath} defines command tools the assistant can run: ${names}. Allow them?`,
+            'Allow',
+            'Don\'t Allow'
+        );
+        if (choice !== 'Allow') {
+            console.log(`Command tools from ${file.relativePath} were not allowed`);
+            return false;
+        }
+        await this.context.workspaceState.update(ALLOWED_FILES_KEY, [...allowed, hash]);
+        return true;
+    }
+}
+
+/**
+ * Get the command text of a parameter, one item per value
+ * @param {Object} definition Tool definition
+ * @param {Object} params Validated parameters
+ * @param {string} name Parameter name
+ * @returns {Array<string>} Values, empty when the parameter is missing
+ * @throws {Error} When a value starts with '-' and the tool does not allow options
+ */
+function parameterValues(definition, params, name) {
+    const value = params[name];
+    const values = value === undefined || value === null ? [] : [].concat(value).map(toText);
+    const option = definition.allowOptions === true ? undefined : values.find(text => text.startsWith('-'));
+    if (option !== undefined) {
+        throw new Error(`Parameter '${name}' may not start with '-': ${option}. This tool does not take options from its parameters`);
+    }
+    return values;
+}
+
+/**
+ * Find a placeholder in a shell command that is not a word of its own
+ * Values are quoted as whole words, so inside the template's quotes or next to other text a value could end the
+ * quoting and run commands of its own.
+ * @param {string} command Shell command template
+ * @returns {string|null} The placeholder, or null if every placeholder is a word of its own
+ */
+function findEmbeddedPlaceholder(command) {
+    const separator = /[\s;|&]/;
+    let quote = null;
+    for (let index = 0; index < command.length; index++) {
+        const char = command[index];
+        const placeholder = /^\{\{\s*[A-Za-z_][\w-]*\s*\}\}/.exec(command.substring(index));
+        if (placeholder) {
+            const before = command[index - 1];
+            const after = command[index + placeholder[0].length];
+            if (quote || (before !== undefined && !separator.test(before)) || (after !== undefined && !separator.test(after))) {
+                return placeholder[0];
+            }
+            index += placeholder[0].length - 1;
+        } else if (char === '\\' && quote !== '\'' && !command.startsWith('{{', index + 1)) {
+            // An escaped character cannot open or close quotes; an escaped placeholder is checked as joined text
+            index++;
+        } else if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '\'' || char === '"' || char === '`') {
+            quote = char;
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert a parameter value to command text
+ * @param {any} value Value
+ * @returns {string} Text; objects as JSON
+ */
+function toText(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Quote an argument for the shell, leaving plain words as they are
+ * @param {string} arg Argument
+ * @returns {string} Quoted argument
+ */
+function quoteArgument(arg) {
+    if (/^[A-Za-z0-9_./:=@%+,-]+$/.test(arg)) {
+        return arg;
+    }
+    return process.platform === 'win32'
+        ? `"${arg.replace(/"/g, '""')}"`
+        : `'${arg.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Format command output for the model
+ * @param {string} display Command line
+ * @param {number} exitCode Exit code
+ * @param {string} stdout Standard output
+ * @param {string} stderr Standard error
+ * @returns {string} Output text
+ */
+function formatOutput(display, exitCode, stdout, stderr) {
+    const sections = [`$ ${display}`, `Exit code: ${exitCode}`];
+    if (stdout && stdout.trim()) {
+        sections.push(stdout.replace(/\s+$/, ''));
+    }
+    if (stderr && stderr.trim()) {
+        sections.push(`stderr:\n${stderr.replace(/\s+$/, '')}`);
+    }
+    return sections.join('\n\n');
+}
+
+module.exports = CustomCommandTools;
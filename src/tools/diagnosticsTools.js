@@ -1,5 +1,7 @@
 const vscode = require('vscode');
 const path = require('path');
+const { createUnifiedDiff } = require('../textDiff');
+const { resolveToolPath } = require('./pathGuard');
 
 /**
  * Diagnostics tools
@@ -42,9 +44,7 @@ class DiagnosticsTools {
 
             if (file_path) {
                 // Get diagnostics for specific file
-                const fullPath = path.isAbsolute(file_path)
-                    ? file_path
-                    : path.join(workspaceRoot || '', file_path);
+                const fullPath = await resolveToolPath(file_path, { toolName: 'get-diagnostics' });
 
                 const uri = vscode.Uri.file(fullPath);
                 const fileDiagnostics = vscode.languages.getDiagnostics(uri);
@@ -105,10 +105,7 @@ class DiagnosticsTools {
             }
 
             // Resolve file path
-            const workspaceRoot = this.getWorkspaceRoot();
-            const fullPath = path.isAbsolute(file_path)
-                ? file_path
-                : path.join(workspaceRoot || '', file_path);
+            const fullPath = await resolveToolPath(file_path, { toolName: 'get-code-actions' });
 
             // Open document
             const uri = vscode.Uri.file(fullPath);
@@ -168,49 +165,26 @@ class DiagnosticsTools {
      * @param {number} params.line Line number
      * @param {number} params.column Column number
      * @param {string} params.action_title Action title
+     * @param {Object} [options] Execution options
+     * @param {ChangeJournal} [options.journal] Journal that records the files the action edits; changes made by
+     *   the action's command are not recorded
      * @returns {Promise<string>} Success message
      */
-    async applyCodeAction(params) {
+    async applyCodeAction(params, options = {}) {
         try {
-            const { file_path, line, column, action_title } = params;
-
-            if (!file_path || !line || !column || !action_title) {
-                throw new Error('File path, line, column, and action title are required');
-            }
-
-            // Resolve file path
-            const workspaceRoot = this.getWorkspaceRoot();
-            const fullPath = path.isAbsolute(file_path)
-                ? file_path
-                : path.join(workspaceRoot || '', file_path);
-
-            // Open document
-            const uri = vscode.Uri.file(fullPath);
-            const document = await vscode.workspace.openTextDocument(uri);
-
-            // Create position
-            const position = new vscode.Position(line - 1, column - 1);
-            const range = new vscode.Range(position, position);
-
-            // Get code actions
-            const codeActions = await vscode.commands.executeCommand(
-                'vscode.executeCodeActionProvider',
-                uri,
-                range
-            );
-
-            if (!codeActions || codeActions.length === 0) {
-                throw new Error('No code actions available');
-            }
-
-            // Find matching action
-            const action = codeActions.find(a => a.title === action_title);
-            if (!action) {
-                throw new Error(`Code action "${action_title}" not found`);
-            }
+            const { action_title } = params;
+            const action = await this._findCodeAction(params);
 
             // Apply code action
             if (action.edit) {
+                await this._checkEditedFiles(action);
+                if (options.journal) {
+                    for (const [entryUri] of action.edit.entries()) {
+                        if (entryUri.scheme === 'file') {
+                            await options.journal.recordBefore(entryUri.fsPath);
+                        }
+                    }
+                }
                 await vscode.workspace.applyEdit(action.edit);
             }
 
@@ -227,6 +201,100 @@ class DiagnosticsTools {
         }
     }
 
+    /**
+     * Check that every file a code action edits may be written, as for a path given to a tool
+     * An action can edit files other than the one it was found in
+     * @param {vscode.CodeAction} action Code action
+     * @param {boolean} [prompt=true] Whether to ask the user about a blocked path instead of refusing it
+     * @throws {Error} When a file is blocked
+     * @private
+     */
+    async _checkEditedFiles(action, prompt = true) {
+        for (const [uri] of action.edit.entries()) {
+            if (uri.scheme === 'file') {
+                await resolveToolPath(uri.fsPath, { access: 'write', toolName: 'apply-code-action', prompt });
+            }
+        }
+    }
+
+    /**
+     * Find the code action apply-code-action would apply
+     * @param {Object} params Parameters object, see applyCodeAction
+     * @param {boolean} [prompt=true] Whether to ask the user about a blocked path instead of refusing it
+     * @returns {Promise<vscode.CodeAction>} Code action
+     * @private
+     */
+    async _findCodeAction(params, prompt = true) {
+        const { file_path, line, column, action_title } = params;
+
+        if (!file_path || !line || !column || !action_title) {
+            throw new Error('File path, line, column, and action title are required');
+        }
+
+        // Resolve file path
+        const fullPath = await resolveToolPath(file_path, { access: 'write', toolName: 'apply-code-action', prompt });
+
+        // Open document
+        const uri = vscode.Uri.file(fullPath);
+        await vscode.workspace.openTextDocument(uri);
+
+        // Create position
+        const position = new vscode.Position(line - 1, column - 1);
+        const range = new vscode.Range(position, position);
+
+        // Get code actions
+        const codeActions = await vscode.commands.executeCommand(
+            'vscode.executeCodeActionProvider',
+            uri,
+            range
+        );
+
+        if (!codeActions || codeActions.length === 0) {
+            throw new Error('No code actions available');
+        }
+
+        // Find matching action
+        const action = codeActions.find(a => a.title === action_title);
+        if (!action) {
+            throw new Error(`Code action "${action_title}" not found`);
+        }
+        return action;
+    }
+
+    /**
+     * Describe the change apply-code-action would make, for approval prompts and dry runs
+     * Only the action's text edits are shown; a command it runs is named but cannot be previewed.
+     * @param {Object} params Parameters object, see applyCodeAction
+     * @returns {Promise<{title: string, diff: string}>} Diff of every file the action edits
+     */
+    async previewApplyCodeAction(params) {
+        const action = await this._findCodeAction(params, false);
+        const diffs = [];
+
+        if (action.edit) {
+            await this._checkEditedFiles(action, false);
+            for (const [uri, edits] of action.edit.entries()) {
+                const document = await vscode.workspace.openTextDocument(uri);
+                const before = document.getText();
+                // Apply the edits from the end so earlier offsets stay valid
+                const sorted = edits
+                    .map(edit => ({ start: document.offsetAt(edit.range.start), end: document.offsetAt(edit.range.end), text: edit.newText }))
+                    .sort((a, b) => b.start - a.start);
+                let after = before;
+                for (const edit of sorted) {
+                    after = after.substring(0, edit.start) + edit.text + after.substring(edit.end);
+                }
+                const relativePath = vscode.workspace.asRelativePath(uri);
+                diffs.push(createUnifiedDiff(before, after, { fromFile: `a/${relativePath}`, toFile: `b/${relativePath}` }));
+            }
+        }
+        if (action.command) {
+            diffs.push(`Runs the command '${action.command.title || action.command.command}'`);
+        }
+
+        return { title: `Code action: ${action.title}`, diff: diffs.filter(diff => diff).join('\n') };
+    }
+
     /**
      * Convert diagnostic severity to string
      * @param {vscode.DiagnosticSeverity} severity Severity
@@ -262,7 +330,9 @@ class DiagnosticsTools {
                     description: 'File path, can be relative to workspace root'
                 }
             },
-            required: []
+            required: [],
+            risk: 'read',
+            parallel: true
         });
 
         // Get code actions
@@ -274,15 +344,17 @@ class DiagnosticsTools {
                     description: 'File path, can be relative to workspace root'
                 },
                 line: {
-                    type: 'number',
+                    type: 'integer',
                     description: 'Line number'
                 },
                 column: {
-                    type: 'number',
+                    type: 'integer',
                     description: 'Column number'
                 }
             },
-            required: ['file_path']
+            required: ['file_path'],
+            risk: 'read',
+            parallel: true
         });
 
         // Apply code action
@@ -294,11 +366,11 @@ class DiagnosticsTools {
                     description: 'File path, can be relative to workspace root'
                 },
                 line: {
-                    type: 'number',
+                    type: 'integer',
                     description: 'Line number'
                 },
                 column: {
-                    type: 'number',
+                    type: 'integer',
                     description: 'Column number'
                 },
                 action_title: {
@@ -306,7 +378,9 @@ class DiagnosticsTools {
                     description: 'Action title'
                 }
             },
-            required: ['file_path', 'line', 'column', 'action_title']
+            required: ['file_path', 'line', 'column', 'action_title'],
+            risk: 'write',
+            preview: this.previewApplyCodeAction.bind(this)
         });
     }
 }
@@ -2,6 +2,7 @@ const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const { resolveToolPath } = require('./pathGuard');
 
 // Convert fs functions to Promises
 const readFile = util.promisify(fs.readFile);
@@ -36,18 +37,13 @@ class FileTools {
 
     /**
      * Resolve file path
-     * @param {string} filePath File path
-     * @returns {string} Full file path
+     * Paths outside the workspace folders or on the deny-list are refused unless the user allows the call
+     * @param {string} filePath File path, relative to the workspace root or absolute
+     * @param {Object} [options] Options, see resolveToolPath
+     * @returns {Promise<string>} Full file path
      */
-    resolvePath(filePath) {
-        // If it's a relative path, resolve it relative to workspace root
-        if (!path.isAbsolute(filePath)) {
-            const workspaceRoot = this.getWorkspaceRoot();
-            if (workspaceRoot) {
-                return path.join(workspaceRoot, filePath);
-            }
-        }
-        return filePath;
+    async resolvePath(filePath, options = {}) {
+        return await resolveToolPath(filePath, options);
     }
 
     /**
@@ -59,7 +55,7 @@ class FileTools {
     async readFile(params) {
         try {
             const { file_path } = params;
-            const fullPath = this.resolvePath(file_path);
+            const fullPath = await this.resolvePath(file_path, { toolName: 'read-file' });
 
             // Check if file exists
             await stat(fullPath);
@@ -77,12 +73,18 @@ class FileTools {
      * @param {Object} params Parameters object
      * @param {string} params.file_path File path
      * @param {string} params.content File content
+     * @param {Object} [options] Execution options
+     * @param {ChangeJournal} [options.journal] Journal that records the file before it is written
      * @returns {Promise<string>} Success message
      */
-    async writeFile(params) {
+    async writeFile(params, options = {}) {
         try {
             const { file_path, content } = params;
-            const fullPath = this.resolvePath(file_path);
+            const fullPath = await this.resolvePath(file_path, { access: 'write', toolName: 'write-file' });
+
+            if (options.journal) {
+                await options.journal.recordBefore(fullPath);
+            }
 
             // Write file content
             await writeFile(fullPath, content, 'utf8');
@@ -101,7 +103,7 @@ class FileTools {
     async listDirectory(params) {
         try {
             const { directory_path } = params;
-            const fullPath = this.resolvePath(directory_path);
+            const fullPath = await this.resolvePath(directory_path, { toolName: 'list-directory' });
 
             // Check if directory exists
             const stats = await stat(fullPath);
@@ -145,7 +147,7 @@ class FileTools {
         try {
             const { pattern, directory_path, include_hidden = false } = params;
             const rootPath = directory_path
-                ? this.resolvePath(directory_path)
+                ? await this.resolvePath(directory_path, { toolName: 'search-files' })
                 : this.getWorkspaceRoot();
 
             if (!rootPath) {
@@ -204,6 +206,23 @@ class FileTools {
         }
     }
 
+    /**
+     * Describe the change write-file would make, for approval prompts
+     * @param {Object} params Parameters object, see writeFile
+     * @returns {Promise<{path: string, before: string, after: string}>} File content before and after
+     */
+    async previewWriteFile(params) {
+        let before = '';
+        try {
+            before = await readFile(await this.resolvePath(params.file_path, { prompt: false }), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+        return { path: params.file_path, before, after: params.content };
+    }
+
     /**
      * Register all file tools
      * @param {ToolManager} toolManager Tool manager
@@ -218,7 +237,9 @@ class FileTools {
                     description: 'File path, can be relative to workspace root'
                 }
             },
-            required: ['file_path']
+            required: ['file_path'],
+            risk: 'read',
+            parallel: true
         });
 
         // Write file
@@ -234,7 +255,9 @@ class FileTools {
                     description: 'Content to write to the file'
                 }
             },
-            required: ['file_path', 'content']
+            required: ['file_path', 'content'],
+            risk: 'write',
+            preview: this.previewWriteFile.bind(this)
         });
 
         // List directory
@@ -246,7 +269,9 @@ class FileTools {
                     description: 'Directory path, can be relative to workspace root'
                 }
             },
-            required: ['directory_path']
+            required: ['directory_path'],
+            risk: 'read',
+            parallel: true
         });
 
         // Search files
@@ -263,17 +288,22 @@ class FileTools {
                 },
                 include_hidden: {
                     type: 'boolean',
-                    description: 'Whether to include hidden files'
+                    description: 'Whether to include hidden files',
+                    default: false
                 }
             },
-            required: ['pattern']
+            required: ['pattern'],
+            risk: 'read',
+            parallel: true
         });
 
         // Get current file
         toolManager.registerTool('get-current-file', this.getCurrentFile.bind(this), {
             description: 'Get current open file',
             parameters: {},
-            required: []
+            required: [],
+            risk: 'read',
+            parallel: true
         });
     }
 }
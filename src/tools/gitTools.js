@@ -13,12 +13,12 @@ try {
         }
     };
 }
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
 const path = require('path');
 
-// Convert exec to Promise
-const execAsync = util.promisify(exec);
+// Convert execFile to Promise
+const execFileAsync = util.promisify(execFile);
 
 /**
  * Git操作工具
@@ -47,21 +47,31 @@ class GitTools {
 
     /**
      * 执行Git命令
-     * @param {string} command Git命令
+     * 不经过shell直接运行git，参数中的引号、$()等不会被解释
+     * @param {Array<string>} args Git参数，不含"git"本身
      * @param {string} [cwd] 工作目录
+     * @param {AbortSignal} [signal] 取消信号，中止时终止Git子进程
      * @returns {Promise<{stdout: string, stderr: string}>} 命令执行结果
      */
-    async executeGitCommand(command, cwd = null) {
+    async executeGitCommand(args, cwd = null, signal = null) {
         const workingDir = cwd || this.getWorkspaceRoot();
         if (!workingDir) {
             throw new Error('No workspace folder is open');
         }
 
+        const command = ['git', ...args].join(' ');
         try {
             console.log(`Executing git command: ${command} in ${workingDir}`);
-            const result = await execAsync(command, { cwd: workingDir });
+            const execOptions = { cwd: workingDir };
+            if (signal) {
+                execOptions.signal = signal;
+            }
+            const result = await execFileAsync('git', args, execOptions);
             return result;
         } catch (error) {
+            if (signal && signal.aborted) {
+                throw new Error(`Git command cancelled: ${command}`);
+            }
             console.error(`Git command failed: ${command}`, error);
             throw new Error(`Git command failed: ${error.message}`);
         }
@@ -69,11 +79,14 @@ class GitTools {
 
     /**
      * 获取Git状态
+     * @param {Object} [params] 参数对象（未使用）
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<Object>} Git状态信息
      */
-    async getGitStatus() {
+    async getGitStatus(params = {}, options = {}) {
         try {
-            const { stdout } = await this.executeGitCommand('git status --porcelain');
+            const { stdout } = await this.executeGitCommand(['status', '--porcelain'], null, options.signal);
             const statusLines = stdout.trim().split('\n').filter(line => line.length > 0);
             
             const files = {
@@ -102,7 +115,7 @@ class GitTools {
             });
 
             // 获取当前分支
-            const { stdout: branchOutput } = await this.executeGitCommand('git branch --show-current');
+            const { stdout: branchOutput } = await this.executeGitCommand(['branch', '--show-current'], null, options.signal);
             const currentBranch = branchOutput.trim();
 
             return {
@@ -120,15 +133,19 @@ class GitTools {
      * @param {Object} params 参数对象
      * @param {number} [params.limit=10] 限制提交数量
      * @param {string} [params.branch] 指定分支
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<Array>} 提交历史列表
      */
-    async getCommitHistory(params = {}) {
+    async getCommitHistory(params = {}, options = {}) {
         try {
             const { limit = 10, branch = '' } = params;
-            const branchArg = branch ? ` ${branch}` : '';
-            const command = `git log --oneline -n ${limit}${branchArg}`;
+            const args = ['log', '--oneline', '-n', String(limit)];
+            if (branch) {
+                args.push(checkRefName(branch, 'Branch'));
+            }
             
-            const { stdout } = await this.executeGitCommand(command);
+            const { stdout } = await this.executeGitCommand(args, null, options.signal);
             const commits = stdout.trim().split('\n').filter(line => line.length > 0);
             
             return commits.map(commit => {
@@ -148,22 +165,24 @@ class GitTools {
      * @param {Object} params 参数对象
      * @param {string} [params.file_path] 文件路径
      * @param {boolean} [params.staged=false] 是否查看暂存区差异
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 差异内容
      */
-    async getFileDiff(params = {}) {
+    async getFileDiff(params = {}, options = {}) {
         try {
             const { file_path, staged = false } = params;
-            let command = 'git diff';
+            const args = ['diff'];
             
             if (staged) {
-                command += ' --staged';
+                args.push('--staged');
             }
             
             if (file_path) {
-                command += ` -- "${file_path}"`;
+                args.push('--', file_path);
             }
             
-            const { stdout } = await this.executeGitCommand(command);
+            const { stdout } = await this.executeGitCommand(args, null, options.signal);
             return stdout || 'No differences found';
         } catch (error) {
             throw new Error(`Failed to get file diff: ${error.message}`);
@@ -174,14 +193,16 @@ class GitTools {
      * 获取分支列表
      * @param {Object} params 参数对象
      * @param {boolean} [params.include_remote=false] 是否包含远程分支
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<Object>} 分支信息
      */
-    async getBranches(params = {}) {
+    async getBranches(params = {}, options = {}) {
         try {
             const { include_remote = false } = params;
-            const command = include_remote ? 'git branch -a' : 'git branch';
+            const args = include_remote ? ['branch', '-a'] : ['branch'];
             
-            const { stdout } = await this.executeGitCommand(command);
+            const { stdout } = await this.executeGitCommand(args, null, options.signal);
             const branchLines = stdout.trim().split('\n').filter(line => line.length > 0);
             
             const branches = {
@@ -213,9 +234,11 @@ class GitTools {
      * @param {Object} params 参数对象
      * @param {string} params.branch_name 分支名称
      * @param {boolean} [params.checkout=true] 是否切换到新分支
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 操作结果
      */
-    async createBranch(params) {
+    async createBranch(params, options = {}) {
         try {
             const { branch_name, checkout = true } = params;
             
@@ -223,11 +246,12 @@ class GitTools {
                 throw new Error('Branch name is required');
             }
 
-            const command = checkout 
-                ? `git checkout -b "${branch_name}"`
-                : `git branch "${branch_name}"`;
+            const name = checkRefName(branch_name, 'Branch name');
+            const args = checkout 
+                ? ['checkout', '-b', name]
+                : ['branch', name];
             
-            await this.executeGitCommand(command);
+            await this.executeGitCommand(args, null, options.signal);
             
             return checkout 
                 ? `Created and switched to branch '${branch_name}'`
@@ -241,9 +265,11 @@ class GitTools {
      * 切换分支
      * @param {Object} params 参数对象
      * @param {string} params.branch_name 分支名称
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 操作结果
      */
-    async checkoutBranch(params) {
+    async checkoutBranch(params, options = {}) {
         try {
             const { branch_name } = params;
             
@@ -251,7 +277,7 @@ class GitTools {
                 throw new Error('Branch name is required');
             }
 
-            await this.executeGitCommand(`git checkout "${branch_name}"`);
+            await this.executeGitCommand(['checkout', checkRefName(branch_name, 'Branch name')], null, options.signal);
             return `Switched to branch '${branch_name}'`;
         } catch (error) {
             throw new Error(`Failed to checkout branch: ${error.message}`);
@@ -263,9 +289,11 @@ class GitTools {
      * @param {Object} params 参数对象
      * @param {string} params.branch_name 分支名称
      * @param {boolean} [params.force=false] 是否强制删除
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 操作结果
      */
-    async deleteBranch(params) {
+    async deleteBranch(params, options = {}) {
         try {
             const { branch_name, force = false } = params;
             
@@ -274,7 +302,7 @@ class GitTools {
             }
 
             const flag = force ? '-D' : '-d';
-            await this.executeGitCommand(`git branch ${flag} "${branch_name}"`);
+            await this.executeGitCommand(['branch', flag, checkRefName(branch_name, 'Branch name')], null, options.signal);
             
             return `Deleted branch '${branch_name}'`;
         } catch (error) {
@@ -286,9 +314,11 @@ class GitTools {
      * 添加文件到暂存区
      * @param {Object} params 参数对象
      * @param {string|Array} params.files 文件路径或文件路径数组
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 操作结果
      */
-    async addFiles(params) {
+    async addFiles(params, options = {}) {
         try {
             const { files } = params;
             
@@ -296,18 +326,12 @@ class GitTools {
                 throw new Error('Files parameter is required');
             }
 
-            let fileArgs;
-            if (Array.isArray(files)) {
-                fileArgs = files.map(f => `"${f}"`).join(' ');
-            } else if (files === '.') {
-                fileArgs = '.';
-            } else {
-                fileArgs = `"${files}"`;
-            }
-
-            await this.executeGitCommand(`git add ${fileArgs}`);
+            // "--"之后的参数都作为路径，不会被当作选项
+            const fileArgs = Array.isArray(files) ? files.map(String) : [String(files)];
+            await this.executeGitCommand(['add', '--', ...fileArgs], null, options.signal);
             
-            const fileCount = Array.isArray(files) ? files.length : (files === '.' ? 'all' : '1');
+            const addAll = files === '.' || (Array.isArray(files) && files.length === 1 && files[0] === '.');
+            const fileCount = addAll ? 'all' : (Array.isArray(files) ? files.length : '1');
             return `Added ${fileCount} file(s) to staging area`;
         } catch (error) {
             throw new Error(`Failed to add files: ${error.message}`);
@@ -319,9 +343,11 @@ class GitTools {
      * @param {Object} params 参数对象
      * @param {string} params.message 提交消息
      * @param {boolean} [params.add_all=false] 是否添加所有变更
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 操作结果
      */
-    async commit(params) {
+    async commit(params, options = {}) {
         try {
             const { message, add_all = false } = params;
             
@@ -329,36 +355,53 @@ class GitTools {
                 throw new Error('Commit message is required');
             }
 
-            let command = 'git commit';
+            const args = ['commit'];
             if (add_all) {
-                command += ' -a';
+                args.push('-a');
             }
-            command += ` -m "${message}"`;
+            args.push('-m', message);
 
-            const { stdout } = await this.executeGitCommand(command);
+            await this.executeGitCommand(args, null, options.signal);
             return `Committed successfully: ${message}`;
         } catch (error) {
             throw new Error(`Failed to commit: ${error.message}`);
         }
     }
 
+    /**
+     * 预览提交内容，用于审批提示
+     * @param {Object} params 参数对象，见commit
+     * @returns {Promise<{title: string, diff: string}>} 将要提交的差异
+     */
+    async previewCommit(params) {
+        // add_all时提交所有已跟踪文件的变更，否则只提交暂存区
+        const args = params.add_all ? ['diff', 'HEAD'] : ['diff', '--staged'];
+        const { stdout } = await this.executeGitCommand(args);
+        return {
+            title: `Commit: ${params.message}`,
+            diff: stdout || 'Nothing to commit'
+        };
+    }
+
     /**
      * 推送到远程仓库
      * @param {Object} params 参数对象
      * @param {string} [params.remote='origin'] 远程仓库名称
      * @param {string} [params.branch] 分支名称
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 操作结果
      */
-    async push(params = {}) {
+    async push(params = {}, options = {}) {
         try {
             const { remote = 'origin', branch } = params;
             
-            let command = `git push ${remote}`;
+            const args = ['push', checkRefName(remote, 'Remote')];
             if (branch) {
-                command += ` ${branch}`;
+                args.push(checkRefName(branch, 'Branch'));
             }
 
-            await this.executeGitCommand(command);
+            await this.executeGitCommand(args, null, options.signal);
             return `Pushed to ${remote}${branch ? ` (${branch})` : ''}`;
         } catch (error) {
             throw new Error(`Failed to push: ${error.message}`);
@@ -370,18 +413,20 @@ class GitTools {
      * @param {Object} params 参数对象
      * @param {string} [params.remote='origin'] 远程仓库名称
      * @param {string} [params.branch] 分支名称
+     * @param {Object} [options] 执行选项
+     * @param {AbortSignal} [options.signal] 取消信号
      * @returns {Promise<string>} 操作结果
      */
-    async pull(params = {}) {
+    async pull(params = {}, options = {}) {
         try {
             const { remote = 'origin', branch } = params;
             
-            let command = `git pull ${remote}`;
+            const args = ['pull', checkRefName(remote, 'Remote')];
             if (branch) {
-                command += ` ${branch}`;
+                args.push(checkRefName(branch, 'Branch'));
             }
 
-            const { stdout } = await this.executeGitCommand(command);
+            const { stdout } = await this.executeGitCommand(args, null, options.signal);
             return stdout || `Pulled from ${remote}${branch ? ` (${branch})` : ''}`;
         } catch (error) {
             throw new Error(`Failed to pull: ${error.message}`);
@@ -397,7 +442,9 @@ class GitTools {
         toolManager.registerTool('git-status', this.getGitStatus.bind(this), {
             description: 'Get current Git status including modified, added, deleted files and current branch',
             parameters: {},
-            required: []
+            required: [],
+            risk: 'read',
+            parallel: true
         });
 
         // 提交历史
@@ -405,15 +452,18 @@ class GitTools {
             description: 'Get Git commit history',
             parameters: {
                 limit: {
-                    type: 'number',
-                    description: 'Number of commits to retrieve (default: 10)'
+                    type: 'integer',
+                    description: 'Number of commits to retrieve (default: 10)',
+                    default: 10
                 },
                 branch: {
                     type: 'string',
                     description: 'Specific branch to get history from'
                 }
             },
-            required: []
+            required: [],
+            risk: 'read',
+            parallel: true
         });
 
         // 文件差异
@@ -426,10 +476,13 @@ class GitTools {
                 },
                 staged: {
                     type: 'boolean',
-                    description: 'Get staged differences (default: false)'
+                    description: 'Get staged differences (default: false)',
+                    default: false
                 }
             },
-            required: []
+            required: [],
+            risk: 'read',
+            parallel: true
         });
 
         // 分支列表
@@ -438,10 +491,13 @@ class GitTools {
             parameters: {
                 include_remote: {
                     type: 'boolean',
-                    description: 'Include remote branches (default: false)'
+                    description: 'Include remote branches (default: false)',
+                    default: false
                 }
             },
-            required: []
+            required: [],
+            risk: 'read',
+            parallel: true
         });
 
         // 创建分支
@@ -454,10 +510,12 @@ class GitTools {
                 },
                 checkout: {
                     type: 'boolean',
-                    description: 'Switch to the new branch after creation (default: true)'
+                    description: 'Switch to the new branch after creation (default: true)',
+                    default: true
                 }
             },
-            required: ['branch_name']
+            required: ['branch_name'],
+            risk: 'write'
         });
 
         // 切换分支
@@ -469,7 +527,8 @@ class GitTools {
                     description: 'Name of the branch to switch to'
                 }
             },
-            required: ['branch_name']
+            required: ['branch_name'],
+            risk: 'write'
         });
 
         // 删除分支
@@ -482,10 +541,12 @@ class GitTools {
                 },
                 force: {
                     type: 'boolean',
-                    description: 'Force delete the branch (default: false)'
+                    description: 'Force delete the branch (default: false)',
+                    default: false
                 }
             },
-            required: ['branch_name']
+            required: ['branch_name'],
+            risk: 'destructive'
         });
 
         // 添加文件
@@ -493,11 +554,15 @@ class GitTools {
             description: 'Add files to Git staging area',
             parameters: {
                 files: {
-                    type: 'string',
-                    description: 'File path, array of file paths, or "." for all files'
+                    type: 'array',
+                    items: {
+                        type: 'string'
+                    },
+                    description: 'File paths to stage, or ["."] for all files'
                 }
             },
-            required: ['files']
+            required: ['files'],
+            risk: 'write'
         });
 
         // 提交
@@ -510,10 +575,13 @@ class GitTools {
                 },
                 add_all: {
                     type: 'boolean',
-                    description: 'Add all modified files before committing (default: false)'
+                    description: 'Add all modified files before committing (default: false)',
+                    default: false
                 }
             },
-            required: ['message']
+            required: ['message'],
+            risk: 'write',
+            preview: this.previewCommit.bind(this)
         });
 
         // 推送
@@ -522,14 +590,18 @@ class GitTools {
             parameters: {
                 remote: {
                     type: 'string',
-                    description: 'Remote repository name (default: origin)'
+                    description: 'Remote repository name (default: origin)',
+                    default: 'origin'
                 },
                 branch: {
                     type: 'string',
                     description: 'Branch name to push'
                 }
             },
-            required: []
+            required: [],
+            risk: 'external',
+            // 网络操作可能较慢
+            timeout: 300000
         });
 
         // 拉取
@@ -538,16 +610,35 @@ class GitTools {
             parameters: {
                 remote: {
                     type: 'string',
-                    description: 'Remote repository name (default: origin)'
+                    description: 'Remote repository name (default: origin)',
+                    default: 'origin'
                 },
                 branch: {
                     type: 'string',
                     description: 'Branch name to pull'
                 }
             },
-            required: []
+            required: [],
+            risk: 'external',
+            timeout: 300000
         });
     }
 }
 
+/**
+ * 检查分支或远程仓库名称
+ * 以"-"开头的名称会被git当作选项，例如"--output=<文件>"
+ * @param {string} name 名称
+ * @param {string} label 名称说明，用于错误信息
+ * @returns {string} 名称
+ * @throws {Error} 名称以"-"开头时
+ */
+function checkRefName(name, label) {
+    const value = String(name);
+    if (value.startsWith('-')) {
+        throw new Error(`${label} may not start with '-': ${value}`);
+    }
+    return value;
+}
+
 module.exports = GitTools;
@@ -0,0 +1,243 @@
+/**
+ * Validation Error
+ * Raised when tool parameters do not match the tool's declared schema.
+ * The per-parameter errors are sent back to the model so it can correct the call.
+ */
+class ToolValidationError extends Error {
+    /**
+     * Initialize validation error
+     * @param {string} toolName Tool name
+     * @param {Array<{parameter: string, message: string, expected: string}>} errors Errors, one per invalid parameter
+     */
+    constructor(toolName, errors) {
+        super(`Invalid parameters for tool '${toolName}': ${errors.map(error => `${error.parameter} ${error.message}`).join('; ')}`);
+        this.name = 'ToolValidationError';
+        this.toolName = toolName;
+        this.errors = errors;
+    }
+}
+
+const BOOLEAN_STRINGS = {
+    'true': true,
+    'false': false,
+    '1': true,
+    '0': false
+};
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Validate tool parameters against the declared schema, coercing safe conversions
+ * Parameters parsed from XML tool calls are all strings, so numeric, boolean and
+ * JSON strings are converted to the declared type; anything else is reported.
+ * @param {string} toolName Tool name
+ * @param {Object} metadata Tool metadata: { parameters, required }
+ * @param {Object} parameters Parameters from the model
+ * @returns {Object} Validated parameters, with defaults filled in
+ * @throws {ToolValidationError} When a parameter is missing, unknown or cannot be converted
+ */
+function validateParameters(toolName, metadata, parameters) {
+    const declared = metadata.parameters || {};
+    const required = metadata.required || [];
+    const input = parameters && typeof parameters === 'object' && !Array.isArray(parameters) ? parameters : {};
+    const errors = [];
+    const validated = {};
+
+    for (const name of Object.keys(input)) {
+        if (!Object.prototype.hasOwnProperty.call(declared, name)) {
+            const known = Object.keys(declared);
+            errors.push({
+                parameter: name,
+                message: 'is not a parameter of this tool',
+                expected: known.length > 0 ? `one of: ${known.join(', ')}` : 'no parameters'
+            });
+        }
+    }
+
+    for (const [name, schema] of Object.entries(declared)) {
+        let value = input[name];
+        // An empty XML param is treated as left out, except for strings where it may be meaningful
+        if (value === null || (value === '' && (schema.type || 'string') !== 'string')) {
+            value = undefined;
+        }
+
+        if (value === undefined) {
+            if (schema.default !== undefined) {
+                validated[name] = schema.default;
+            } else if (required.includes(name)) {
+                errors.push({ parameter: name, message: 'is required', expected: describeSchema(schema) });
+            }
+            continue;
+        }
+
+        const result = coerceValue(value, schema, name);
+        if (result.errors.length > 0) {
+            errors.push(...result.errors);
+        } else {
+            validated[name] = result.value;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ToolValidationError(toolName, errors);
+    }
+    return validated;
+}
+
+/**
+ * Convert a value to the schema's type
+ * @param {*} value Value
+ * @param {Object} schema Parameter schema: { type, enum, items }
+ * @param {string} path Parameter name, with the index for array items
+ * @returns {{value: *, errors: Array}} Converted value, or the errors
+ */
+function coerceValue(value, schema, path) {
+    const type = schema.type || 'string';
+    const fail = (message) => ({
+        value,
+        errors: [{ parameter: path, message, expected: describeSchema(schema) }]
+    });
+    let coerced;
+
+    switch (type) {
+        case 'string':
+            if (typeof value === 'string') {
+                coerced = value;
+            } else if (typeof value === 'number' || typeof value === 'boolean') {
+                coerced = String(value);
+            } else {
+                return fail(`must be a string, got ${describeValue(value)}`);
+            }
+            break;
+
+        case 'number':
+        case 'integer':
+            if (typeof value === 'number') {
+                coerced = value;
+            } else if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+                coerced = Number(value.trim());
+            } else {
+                return fail(`must be a${type === 'integer' ? 'n integer' : ' number'}, got ${describeValue(value)}`);
+            }
+            if (!isFinite(coerced)) {
+                return fail('must be a finite number');
+            }
+            if (type === 'integer' && !Number.isInteger(coerced)) {
+                return fail(`must be an integer, got ${coerced}`);
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                coerced = value;
+            } else if (typeof value === 'string' && Object.prototype.hasOwnProperty.call(BOOLEAN_STRINGS, value.trim().toLowerCase())) {
+                coerced = BOOLEAN_STRINGS[value.trim().toLowerCase()];
+            } else if (value === 0 || value === 1) {
+                coerced = value === 1;
+            } else {
+                return fail(`must be true or false, got ${describeValue(value)}`);
+            }
+            break;
+
+        case 'array': {
+            let items = value;
+            if (typeof value === 'string') {
+                const text = value.trim();
+                if (text.startsWith('[')) {
+                    try {
+                        items = JSON.parse(text);
+                    } catch (error) {
+                        return fail(`is not a valid JSON array: ${error.message}`);
+                    }
+                } else {
+                    // A single value where a list is expected becomes a one-item list
+                    items = [value];
+                }
+            } else if (!Array.isArray(value)) {
+                items = [value];
+            }
+            if (!Array.isArray(items)) {
+                return fail(`must be an array, got ${describeValue(items)}`);
+            }
+
+            const itemSchema = schema.items || { type: 'string' };
+            const errors = [];
+            coerced = items.map((item, index) => {
+                const result = coerceValue(item, itemSchema, `${path}[${index}]`);
+                errors.push(...result.errors);
+                return result.value;
+            });
+            if (errors.length > 0) {
+                return { value, errors };
+            }
+            break;
+        }
+
+        case 'object':
+            coerced = value;
+            if (typeof value === 'string' && value.trim().startsWith('{')) {
+                try {
+                    coerced = JSON.parse(value);
+                } catch (error) {
+                    return fail(`is not a valid JSON object: ${error.message}`);
+                }
+            }
+            if (!coerced || typeof coerced !== 'object' || Array.isArray(coerced)) {
+                return fail(`must be an object, got ${describeValue(value)}`);
+            }
+            break;
+
+        default:
+            coerced = value;
+    }
+
+    if (Array.isArray(schema.enum) && schema.enum.length > 0 && !schema.enum.includes(coerced)) {
+        // Accept a different letter case for string enums, e.g. "Class" for "class"
+        const match = typeof coerced === 'string'
+            ? schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === coerced.toLowerCase())
+            : undefined;
+        if (match === undefined) {
+            return fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(coerced)}`);
+        }
+        coerced = match;
+    }
+
+    return { value: coerced, errors: [] };
+}
+
+/**
+ * Describe the type a schema expects, for validation errors
+ * @param {Object} schema Parameter schema
+ * @returns {string} Description, e.g. 'array of string'
+ */
+function describeSchema(schema) {
+    const type = schema.type || 'string';
+    let description = type === 'array' ? `array of ${describeSchema(schema.items || { type: 'string' })}` : type;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        description += ` (one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')})`;
+    }
+    return description;
+}
+
+/**
+ * Describe a value for validation errors
+ * @param {*} value Value
+ * @returns {string} Description
+ */
+function describeValue(value) {
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    if (typeof value === 'object') {
+        return 'an object';
+    }
+    return JSON.stringify(value);
+}
+
+module.exports = {
+    ToolValidationError,
+    validateParameters
+};
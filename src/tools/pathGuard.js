@@ -0,0 +1,232 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// Convert fs functions to Promises
+const realpath = util.promisify(fs.realpath);
+
+// Used when the 'deniedPaths' setting is not set in the user settings
+const DEFAULT_DENIED_PATHS = ['.env', '.env.*', '*.pem', '*.key', 'id_rsa*', 'id_ed25519*', '.git'];
+
+/**
+ * Path Guard
+ * Resolves the paths tools are given and keeps them inside the workspace folders and off the deny-list.
+ * Relative paths are resolved against the first workspace folder; '..' segments and symbolic links are
+ * followed before checking, so neither can lead outside. A blocked path is only used when the user allows
+ * that one call.
+ */
+
+/**
+ * Resolve a path given to a tool, checking that it may be used
+ * @param {string} filePath Path from the tool call, absolute or relative to the workspace root
+ * @param {Object} [options] Options
+ * @param {string} [options.access='read'] 'read' or 'write', shown when asking the user
+ * @param {string} [options.toolName] Tool name, shown when asking the user
+ * @param {boolean} [options.prompt=true] Whether to ask the user about a blocked path instead of refusing it,
+ *   false for previews
+ * @returns {Promise<string>} Absolute path
+ * @throws {Error} When the path is blocked and the user does not allow it
+ */
+async function resolveToolPath(filePath, options = {}) {
+    if (typeof filePath !== 'string' || !filePath.trim()) {
+        throw new Error('A file path is required');
+    }
+
+    const roots = getWorkspaceRoots();
+    const fullPath = path.isAbsolute(filePath)
+        ? path.normalize(filePath)
+        : path.resolve(roots[0] || '', filePath);
+
+    const reason = roots.length === 0
+        ? 'no workspace folder is open'
+        : await findBlockReason(fullPath, roots);
+    if (!reason) {
+        return fullPath;
+    }
+
+    if (options.prompt === false || !(await askToAllow(filePath, reason, options))) {
+        console.log(`Blocked tool access to ${fullPath}: ${reason}`);
+        throw new Error(`Access to '${filePath}' was blocked because ${reason}. Only use files inside the workspace that are not on the deny-list`);
+    }
+    console.log(`User allowed tool access to ${fullPath} once: ${reason}`);
+    return fullPath;
+}
+
+/**
+ * Check without asking whether tools may use a path, e.g. to leave blocked files out of search results
+ * @param {string} fullPath Absolute path
+ * @returns {Promise<boolean>} True if the path is inside a workspace folder and not on the deny-list
+ */
+async function isToolPathAllowed(fullPath) {
+    const roots = getWorkspaceRoots();
+    return roots.length > 0 && !(await findBlockReason(path.normalize(fullPath), roots));
+}
+
+/**
+ * Get the workspace folder paths
+ * @returns {Array<string>} Folder paths
+ */
+function getWorkspaceRoots() {
+    const workspaceFolders = vscode.workspace.workspaceFolders || [];
+    return workspaceFolders.map(folder => path.normalize(folder.uri.fsPath));
+}
+
+/**
+ * Get the deny-list patterns from the settings
+ * The user settings replace the default patterns; workspace settings come with the repository, so their
+ * patterns are only added and cannot remove any.
+ * @returns {Array<string>} Glob patterns
+ */
+function getDeniedPatterns() {
+    const setting = vscode.workspace.getConfiguration('nyxn-ai-assistant').inspect('deniedPaths') || {};
+    const patterns = [
+        ...(Array.isArray(setting.globalValue) ? setting.globalValue : DEFAULT_DENIED_PATHS),
+        ...(Array.isArray(setting.workspaceValue) ? setting.workspaceValue : []),
+        ...(Array.isArray(setting.workspaceFolderValue) ? setting.workspaceFolderValue : [])
+    ];
+    return [...new Set(patterns.filter(pattern => typeof pattern === 'string' && pattern.trim()))];
+}
+
+/**
+ * Find why a path may not be used
+ * Both the path as given and the file it really is, after symbolic links, must be inside a workspace folder
+ * and must not match the deny-list.
+ * @param {string} fullPath Absolute, normalised path
+ * @param {Array<string>} roots Workspace folder paths
+ * @returns {Promise<string|null>} Reason, or null if the path may be used
+ */
+async function findBlockReason(fullPath, roots) {
+    const realRoots = await Promise.all(roots.map(root => resolveReal(root)));
+    const realPath = await resolveReal(fullPath);
+    const patterns = getDeniedPatterns();
+
+    for (const [candidate, candidateRoots] of [[fullPath, roots], [realPath, realRoots]]) {
+        const root = candidateRoots.find(folder => isInside(candidate, folder));
+        if (!root) {
+            return candidate === fullPath
+                ? 'it is outside the workspace folders'
+                : 'it is a symbolic link to a location outside the workspace folders';
+        }
+
+        const relativePath = path.relative(root, candidate).split(path.sep).join('/');
+        const pattern = patterns.find(denied => matchesPattern(relativePath, denied));
+        if (pattern) {
+            return candidate === fullPath
+                ? `it matches the deny-list pattern '${pattern}'`
+                : `it is a symbolic link to '${relativePath}', which matches the deny-list pattern '${pattern}'`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Follow symbolic links in a path, including one to a file that does not exist yet
+ * The part of the path that does not exist is appended to the real path of its nearest existing parent.
+ * @param {string} fullPath Absolute path
+ * @returns {Promise<string>} Real path
+ */
+async function resolveReal(fullPath) {
+    const missing = [];
+    let current = fullPath;
+    for (;;) {
+        try {
+            return path.join(await realpath(current), ...missing.reverse());
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== 'ENOENT' || parent === current) {
+                return fullPath;
+            }
+            missing.push(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+/**
+ * Check whether a path is a folder or inside it
+ * @param {string} fullPath Absolute path
+ * @param {string} folder Absolute folder path
+ * @returns {boolean} True if inside
+ */
+function isInside(fullPath, folder) {
+    const relativePath = process.platform === 'win32'
+        ? path.relative(folder.toLowerCase(), fullPath.toLowerCase())
+        : path.relative(folder, fullPath);
+    return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+}
+
+/**
+ * Check a workspace-relative path against a deny-list pattern
+ * A pattern without '/' matches a file or folder name at any depth, so '.env' also blocks 'app/.env' and
+ * 'secrets' and '.git' block everything in such a folder, nested ones included. A pattern with '/' matches the path from the folder
+ * root. '*' matches within a name, '**' across folders and '?' one character.
+ * @param {string} relativePath Path relative to the workspace folder, with '/' separators
+ * @param {string} pattern Glob pattern
+ * @returns {boolean} True if the path is denied
+ */
+function matchesPattern(relativePath, pattern) {
+    const normalized = pattern.trim().replace(/^\.?\//, '').replace(/\/$/, '');
+    const flags = process.platform === 'win32' ? 'i' : '';
+
+    if (!normalized.includes('/')) {
+        const regex = new RegExp(`^${globToRegex(normalized)}$`, flags);
+        return relativePath.split('/').some(segment => regex.test(segment));
+    }
+    // A folder pattern also covers everything inside it
+    const regex = new RegExp(`^${globToRegex(normalized)}(/.*)?$`, flags);
+    return regex.test(relativePath);
+}
+
+/**
+ * Convert a glob pattern to a regular expression source
+ * @param {string} pattern Glob pattern
+ * @returns {string} Regular expression source
+ */
+function globToRegex(pattern) {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === '*' && pattern[index + 1] === '*') {
+            // '**/' matches any number of folders, including none
+            if (pattern[index + 2] === '/') {
+                source += '(?:.*/)?';
+                index += 2;
+            } else {
+                source += '.*';
+                index += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+/**
+ * Ask the user whether a tool may use a blocked path for this one call
+ * @param {string} filePath Path from the tool call
+ * @param {string} reason Why the path is blocked
+ * @param {Object} options Options, see resolveToolPath
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function askToAllow(filePath, reason, options) {
+    const access = options.access === 'write' ? 'write' : 'read';
+    const tool = options.toolName ? ` (${options.toolName})` : '';
+    const choice = await vscode.window.showWarningMessage(
+        `Nyxn AI wants to ${access} '${filePath}'${tool}, but ${reason}. Allow it this once?`,
+        { modal: true, detail: 'Change the blocked paths with the nyxn-ai-assistant.deniedPaths setting.' },
+        'Allow Once'
+    );
+    return choice === 'Allow Once';
+}
+
+module.exports = {
+    resolveToolPath,
+    isToolPathAllowed,
+    isInside
+};
@@ -1,3 +1,13 @@
+const crypto = require('crypto');
+const { ToolValidationError, validateParameters } = require('./parameterValidator');
+// Shared with the webview, which can only load scripts from media/
+const { parseToolCalls } = require('../../media/toolCallParser');
+const { formatPreview } = require('../textDiff');
+
+// Tool limits used until setLimits is called
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_RESULT_SIZE = 20000;
+
 /**
  * Tool Manager - Manages and executes various tools
  * Similar to Claude Agent's tool framework
@@ -5,7 +15,121 @@
 class ToolManager {
     constructor() {
         this.tools = new Map();
-        this.toolResults = new Map();
+        // Called after every tool call, see onDidExecuteTool
+        this._executionListeners = [];
+        // Called when tools are registered or unregistered
+        this._toolsListeners = [];
+        // Tool name patterns allowed by the active agent profile; null allows every tool
+        this.allowedTools = null;
+        this.allowedToolsOwner = null;
+        // Decides whether a tool call may run; null runs every call
+        this.approvalHandler = null;
+        // Largest number of parallel-safe tool calls run at once
+        this.maxConcurrency = 4;
+        // Time limit per tool run in ms (0 for none), with overrides by tool name
+        this.timeout = DEFAULT_TIMEOUT;
+        this.timeouts = {};
+        // Longest result, in characters, returned before it is truncated into the result store
+        this.maxResultSize = DEFAULT_MAX_RESULT_SIZE;
+        // Keeps truncated results for read-tool-result; without it results are never truncated
+        this.resultStore = null;
+        // Records files before tools change them, passed to tools as the 'journal' option
+        this.changeJournal = null;
+        // When set, tools that are not read-only are simulated instead of run
+        this.dryRun = false;
+    }
+
+    /**
+     * Turn dry-run mode on or off
+     * In a dry run, tools whose risk is not 'read' return a description of what they would do, with the diff
+     * from their preview, instead of running. Read-only tools still run.
+     * @param {boolean} enabled Whether to simulate mutating tools
+     */
+    setDryRun(enabled) {
+        this.dryRun = !!enabled;
+    }
+
+    /**
+     * Set the journal that file-changing tools record their changes in
+     * @param {ChangeJournal|null} changeJournal Change journal
+     */
+    setChangeJournal(changeJournal) {
+        this.changeJournal = changeJournal;
+    }
+
+    /**
+     * Set the store that keeps the full text of truncated results
+     * @param {ToolResultStore|null} resultStore Result store
+     */
+    setResultStore(resultStore) {
+        this.resultStore = resultStore;
+        if (resultStore) {
+            resultStore.setPageLength(this.maxResultSize);
+        }
+    }
+
+    /**
+     * Set the time and size limits of tool runs
+     * @param {Object} limits Limits; omitted ones are left as they are
+     * @param {number} [limits.timeout] Time limit per tool run in ms, 0 for none
+     * @param {Object} [limits.timeouts] Time limits in ms by tool name, overriding the tools' own limits
+     * @param {number} [limits.maxResultSize] Longest result in characters, 0 for no limit
+     */
+    setLimits(limits) {
+        if (typeof limits.timeout === 'number') {
+            this.timeout = Math.max(0, limits.timeout);
+        }
+        if (limits.timeouts) {
+            this.timeouts = { ...limits.timeouts };
+        }
+        if (typeof limits.maxResultSize === 'number') {
+            this.maxResultSize = Math.max(0, limits.maxResultSize);
+            if (this.resultStore && this.maxResultSize > 0) {
+                this.resultStore.setPageLength(this.maxResultSize);
+            }
+        }
+    }
+
+    /**
+     * Set how many parallel-safe tool calls may run at once
+     * @param {number} limit Concurrency limit; 1 runs every call in sequence
+     */
+    setMaxConcurrency(limit) {
+        this.maxConcurrency = Math.max(1, Math.floor(limit) || 1);
+    }
+
+    /**
+     * Set the function that approves tool calls before they run
+     * @param {Function|null} handler Called with { toolName, parameters, risk, preview, signal };
+     *   resolves to { approved, approver, reason }
+     */
+    setApprovalHandler(handler) {
+        this.approvalHandler = handler;
+    }
+
+    /**
+     * Restrict the tools that are offered and may be executed
+     * @param {Array<string>|null} patterns Tool names, or prefixes ending in '*' (e.g. 'git-*'); null allows every tool
+     * @param {string} [owner] Name of what set the restriction (e.g. the agent profile), used in error messages
+     */
+    setAllowedTools(patterns, owner = null) {
+        this.allowedTools = Array.isArray(patterns) ? patterns.slice() : null;
+        this.allowedToolsOwner = owner;
+    }
+
+    /**
+     * Check whether a tool is allowed by the current restriction
+     * @param {string} toolName Tool name
+     * @returns {boolean} True if the tool may be offered and executed
+     */
+    isToolAllowed(toolName) {
+        if (!this.allowedTools) {
+            return true;
+        }
+
+        return this.allowedTools.some(pattern => pattern.endsWith('*')
+            ? toolName.startsWith(pattern.slice(0, -1))
+            : toolName === pattern);
     }
 
     /**
@@ -13,174 +137,674 @@ class ToolManager {
      * @param {string} toolName Tool name
      * @param {Function} toolFunction Tool function
      * @param {Object} toolMetadata Tool metadata
+     * @param {string} [toolMetadata.description] Description shown to the model
+     * @param {Object} [toolMetadata.parameters] Parameter schemas by name: { type, description, enum, items, properties, required, default }.
+     *   type is 'string', 'number', 'integer', 'boolean', 'array' or 'object'
+     * @param {Array<string>} [toolMetadata.required] Names of required parameters
+     * @param {string} [toolMetadata.risk='write'] What the tool can do: 'read', 'write', 'destructive' or 'external'
+     * @param {boolean} [toolMetadata.parallel=false] Whether calls may run at the same time as other parallel-safe calls
+     * @param {number} [toolMetadata.timeout] Time limit in ms, instead of the default one; 0 for none
+     * @param {number} [toolMetadata.maxResultSize] Longest result in characters, instead of the default one; 0 for no limit
+     * @param {Function} [toolMetadata.preview] Describes the change a call would make, shown when asking for approval and in dry runs:
+     *   (params) => Promise of { path, before, after } or { title, diff }, or null
      */
     registerTool(toolName, toolFunction, toolMetadata = {}) {
         this.tools.set(toolName, {
             function: toolFunction,
+            preview: toolMetadata.preview || null,
             metadata: {
                 name: toolName,
                 description: toolMetadata.description || '',
                 parameters: toolMetadata.parameters || {},
-                required: toolMetadata.required || []
+                required: toolMetadata.required || [],
+                risk: toolMetadata.risk || 'write',
+                parallel: toolMetadata.parallel === true,
+                timeout: toolMetadata.timeout,
+                maxResultSize: toolMetadata.maxResultSize
             }
         });
+        this._notifyToolsChanged();
+    }
+
+    /**
+     * Unregister tool
+     * @param {string} toolName Tool name
+     * @returns {boolean} True if the tool was registered
+     */
+    unregisterTool(toolName) {
+        const removed = this.tools.delete(toolName);
+        if (removed) {
+            this._notifyToolsChanged();
+        }
+        return removed;
+    }
+
+    /**
+     * Check whether a tool is registered
+     * @param {string} toolName Tool name
+     * @returns {boolean} True if registered
+     */
+    hasTool(toolName) {
+        return this.tools.has(toolName);
+    }
+
+    /**
+     * Register a listener called when tools are registered or unregistered
+     * @param {Function} listener Listener
+     */
+    onDidChangeTools(listener) {
+        this._toolsListeners.push(listener);
     }
 
     /**
      * Get descriptions of all available tools
+     * Tools outside the allowed set are left out
      * @returns {Array} List of tool descriptions
      */
     getAvailableTools() {
         const tools = [];
         for (const [name, tool] of this.tools.entries()) {
+            if (!this.isToolAllowed(name)) {
+                continue;
+            }
             tools.push({
                 name,
                 description: tool.metadata.description,
                 parameters: tool.metadata.parameters,
-                required: tool.metadata.required
+                required: tool.metadata.required,
+                risk: tool.metadata.risk,
+                parallel: tool.metadata.parallel
             });
         }
         return tools;
     }
 
+    /**
+     * Get Gemini function declarations for all available tools
+     * Built from the metadata supplied to registerTool
+     * @returns {Array} List of function declarations
+     */
+    getFunctionDeclarations() {
+        return this.getAvailableTools().map(tool => {
+            const declaration = {
+                name: tool.name,
+                description: tool.description
+            };
+
+            // Gemini rejects object schemas without properties, so omit parameters for tools that take none
+            const parameterNames = Object.keys(tool.parameters);
+            if (parameterNames.length > 0) {
+                const properties = {};
+                for (const name of parameterNames) {
+                    properties[name] = this._toSchema(tool.parameters[name]);
+                }
+
+                declaration.parameters = {
+                    type: 'object',
+                    properties,
+                    required: tool.required
+                };
+            }
+
+            return declaration;
+        });
+    }
+
     /**
      * Execute tool
+     * Parameters are validated against the tool's schema and converted to the declared types first.
+     * Every call, including refused and failed ones, is reported to the execution listeners.
      * @param {string} toolName Tool name
      * @param {Object} parameters Parameters
+     * @param {Object} [options={}] Execution options
+     * @param {AbortSignal} [options.signal] Signal that cancels the tool run
+     * @param {boolean} [options.dryRun] Whether to simulate a mutating tool, instead of the manager's dry-run mode
+     * @param {Object} [options.journal] Journal to record file changes in instead of the manager's, e.g. a separate turn
      * @returns {Promise<any>} Tool execution result
+     * @throws {ToolValidationError} When the parameters do not match the schema
      */
-    async executeTool(toolName, parameters = {}) {
-        if (!this.tools.has(toolName)) {
-            throw new Error(`Tool '${toolName}' not found`);
-        }
-
-        const tool = this.tools.get(toolName);
+    async executeTool(toolName, parameters = {}, options = {}) {
+        const signal = options.signal || null;
+        const dryRun = typeof options.dryRun === 'boolean' ? options.dryRun : this.dryRun;
+        const execution = {
+            id: createCallId(),
+            timestamp: new Date().toISOString(),
+            toolName,
+            parameters,
+            status: 'error',
+            approver: null,
+            error: null,
+            durationMs: 0,
+            resultHash: null,
+            resultSize: 0
+        };
+        const startTime = Date.now();
 
         try {
-            // Validate required parameters
-            const missingParams = tool.metadata.required.filter(param => !parameters.hasOwnProperty(param));
-            if (missingParams.length > 0) {
-                throw new Error(`Missing required parameters: ${missingParams.join(', ')}`);
+            if (!this.tools.has(toolName)) {
+                throw new Error(`Tool '${toolName}' not found`);
+            }
+            if (!this.isToolAllowed(toolName)) {
+                const owner = this.allowedToolsOwner ? ` by the '${this.allowedToolsOwner}' profile` : '';
+                execution.status = 'denied';
+                execution.approver = 'profile';
+                throw new Error(`Tool '${toolName}' is not allowed${owner}`);
+            }
+
+            const tool = this.tools.get(toolName);
+
+            // Validate parameters, filling in defaults and converting string values
+            const validatedParameters = validateParameters(toolName, tool.metadata, parameters);
+            execution.parameters = validatedParameters;
+
+            // Describe what a mutating tool would do instead of running it; nothing runs, so no approval is needed
+            if (dryRun && tool.metadata.risk !== 'read') {
+                const simulated = await this._simulate(toolName, tool, validatedParameters);
+                execution.status = 'dryRun';
+                execution.resultHash = crypto.createHash('sha256').update(simulated).digest('hex');
+                execution.resultSize = simulated.length;
+                return this._limitResultSize(toolName, tool, simulated, simulated);
+            }
+
+            // Ask for approval according to the tool's risk level
+            if (this.approvalHandler) {
+                const approval = await this.approvalHandler({
+                    toolName,
+                    parameters: validatedParameters,
+                    risk: tool.metadata.risk,
+                    preview: tool.preview,
+                    signal
+                });
+                execution.approver = approval.approver;
+                if (!approval.approved) {
+                    execution.status = 'denied';
+                    throw new Error(`Tool '${toolName}' was not run: ${approval.reason}`);
+                }
             }
 
             // Execute tool
-            const result = await tool.function(parameters);
+            if (signal && signal.aborted) {
+                throw new Error(`Tool '${toolName}' cancelled`);
+            }
+            const result = await this._runWithTimeout(toolName, tool, validatedParameters, signal, options.journal || this.changeJournal);
 
-            // Store result for later use
-            this.toolResults.set(toolName, {
-                parameters,
-                result,
-                timestamp: new Date()
-            });
+            const resultText = toResultText(result);
+            execution.status = 'success';
+            execution.resultHash = crypto.createHash('sha256').update(resultText).digest('hex');
+            execution.resultSize = resultText.length;
 
-            return result;
+            return this._limitResultSize(toolName, tool, result, resultText);
         } catch (error) {
             console.error(`Error executing tool '${toolName}':`, error);
+            execution.error = error.message;
+            if (error instanceof ToolValidationError) {
+                execution.status = 'invalid';
+            } else if (error.code === 'TOOL_TIMEOUT') {
+                execution.status = 'timeout';
+            } else if (execution.status !== 'denied' && signal && signal.aborted) {
+                execution.status = 'cancelled';
+            }
             throw error;
+        } finally {
+            execution.durationMs = Date.now() - startTime;
+            this._notifyExecution(execution);
         }
     }
 
+    /**
+     * Register a listener called after every tool call, e.g. to write the audit log
+     * @param {Function} listener Called with the execution record: { id, timestamp, toolName, parameters,
+     *   status ('success', 'error', 'invalid', 'denied', 'cancelled', 'timeout' or 'dryRun'), approver, error,
+     *   durationMs, resultHash, resultSize }
+     */
+    onDidExecuteTool(listener) {
+        this._executionListeners.push(listener);
+    }
+
     /**
      * Parse tool calls
-     * Extract tool calls from AI response
+     * Extract tool calls from AI response, in any of the formats toolCallParser accepts
      * @param {string} text AI response text
-     * @returns {Array} List of tool calls
+     * @returns {Array} List of tool calls: { name, parameters, originalText }, or { name, error, originalText } for malformed ones
      */
     parseToolCalls(text) {
-        // Match tool calls in <tool>...</tool> format
-        const toolCallRegex = /<tool[^>]*>([\s\S]*?)<\/tool>/g;
-        const toolCalls = [];
-
-        let match;
-        while ((match = toolCallRegex.exec(text)) !== null) {
-            try {
-                const toolCallContent = match[1].trim();
-
-                // Parse tool name and parameters
-                const nameMatch = /<name>(.*?)<\/name>/s.exec(toolCallContent);
-                const paramsMatch = /<parameters>([\s\S]*?)<\/parameters>/s.exec(toolCallContent);
-
-                if (nameMatch && paramsMatch) {
-                    const toolName = nameMatch[1].trim();
-                    const paramsContent = paramsMatch[1].trim();
-
-                    // Parse parameters
-                    const params = {};
-                    const paramRegex = /<param\s+name="([^"]+)">([\s\S]*?)<\/param>/g;
-                    let paramMatch;
-
-                    while ((paramMatch = paramRegex.exec(paramsContent)) !== null) {
-                        const paramName = paramMatch[1];
-                        const paramValue = paramMatch[2].trim();
-                        params[paramName] = paramValue;
-                    }
-
-                    toolCalls.push({
-                        name: toolName,
-                        parameters: params,
-                        originalText: match[0]
-                    });
-                }
-            } catch (error) {
-                console.error('Error parsing tool call:', error);
-            }
-        }
-
-        return toolCalls;
+        return parseToolCalls(text);
     }
 
     /**
      * Execute tool calls parsed from AI response
+     * Malformed calls are not run; they get an error result telling the model what was wrong
      * @param {string} text AI response text
+     * @param {Object} [options={}] Execution options, see executeTool
      * @returns {Promise<{text: string, results: Array}>} Processed text and tool execution results
      */
-    async executeToolCalls(text) {
+    async executeToolCalls(text, options = {}) {
         const toolCalls = this.parseToolCalls(text);
-        const results = [];
-        let processedText = text;
+        const executed = await this._executeCalls(toolCalls.filter(call => !call.error), options);
 
-        for (const toolCall of toolCalls) {
-            try {
-                const result = await this.executeTool(toolCall.name, toolCall.parameters);
+        // Put the results of the calls that ran back in order with the malformed ones
+        const results = [];
+        let next = 0;
+        for (const call of toolCalls) {
+            if (call.error) {
+                console.warn(`Malformed tool call: ${call.error}`);
                 results.push({
-                    name: toolCall.name,
-                    parameters: toolCall.parameters,
-                    result
+                    name: call.name || 'unknown',
+                    parameters: {},
+                    error: `Malformed tool call: ${call.error}`
                 });
+            } else if (next < executed.length) {
+                results.push(executed[next++]);
+            } else {
+                // Not started because the request was cancelled
+                break;
+            }
+        }
+
+        let processedText = text;
+
+        // Replace original tool call text with result or error message
+        results.forEach((toolResult, index) => {
+            processedText = processedText.replace(toolCalls[index].originalText, () => this.formatToolResult(toolResult));
+        });
+
+        return {
+            text: processedText,
+            results
+        };
+    }
 
-                // Replace original tool call text with result
-                const resultText = typeof result === 'object'
-                    ? JSON.stringify(result, null, 2)
-                    : String(result);
+    /**
+     * Execute native function calls returned by the model
+     * @param {Array<{name: string, args: Object}>} functionCalls Function calls
+     * @param {Object} [options={}] Execution options, see executeTool
+     * @returns {Promise<Array>} Tool execution results
+     */
+    async executeFunctionCalls(functionCalls, options = {}) {
+        return await this._executeCalls(functionCalls.map(functionCall => ({
+            name: functionCall.name,
+            parameters: functionCall.args || {}
+        })), options);
+    }
+
+    /**
+     * Execute tool calls, running consecutive parallel-safe calls concurrently
+     * Other calls run alone and in order, so a call never overlaps a mutating call before or after it
+     * @param {Array<{name: string, parameters: Object}>} calls Tool calls
+     * @param {Object} [options={}] Execution options, see executeTool
+     * @returns {Promise<Array>} Tool execution results, in the order of the calls; calls not started
+     *   because the request was cancelled are left out
+     * @private
+     */
+    async _executeCalls(calls, options = {}) {
+        const results = new Array(calls.length);
+        let start = 0;
+
+        while (start < calls.length) {
+            // Do not start further tools once the request has been cancelled
+            if (options.signal && options.signal.aborted) {
+                break;
+            }
 
-                const replacementText = `<tool-result name="${toolCall.name}">
+            let end = start + 1;
+            if (this._isParallelSafe(calls[start].name)) {
+                while (end < calls.length && this._isParallelSafe(calls[end].name)) {
+                    end++;
+                }
+            }
+
+            const batchStart = start;
+            const batch = calls.slice(batchStart, end);
+            if (batch.length > 1) {
+                console.log(`Running ${batch.length} tool calls concurrently (limit ${this.maxConcurrency})`);
+            }
+            await this._runWithLimit(batch, this.maxConcurrency, options.signal, async (call, offset) => {
+                results[batchStart + offset] = await this._executeCall(call, options);
+            });
+            start = end;
+        }
+
+        // A cancelled batch may have left holes after its last started call
+        const executed = [];
+        for (const toolResult of results) {
+            if (!toolResult) {
+                break;
+            }
+            executed.push(toolResult);
+        }
+        return executed;
+    }
+
+    /**
+     * Execute one tool call, turning a failure into an error result
+     * @param {{name: string, parameters: Object}} call Tool call
+     * @param {Object} options Execution options, see executeTool
+     * @returns {Promise<Object>} Tool execution result: { name, parameters, result } or { name, parameters, error }
+     * @private
+     */
+    async _executeCall(call, options) {
+        try {
+            const result = await this.executeTool(call.name, call.parameters, options);
+            return {
+                name: call.name,
+                parameters: call.parameters,
+                result
+            };
+        } catch (error) {
+            // executeTool has logged the failure
+            return {
+                name: call.name,
+                parameters: call.parameters,
+                error: error.message,
+                ...this._getValidationDetails(error)
+            };
+        }
+    }
+
+    /**
+     * Run a worker over items with at most limit runs in progress
+     * @param {Array} items Items
+     * @param {number} limit Concurrency limit
+     * @param {AbortSignal} [signal] Cancellation signal; no new item starts once it aborts
+     * @param {Function} worker Called with (item, index); must not reject
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runWithLimit(items, limit, signal, worker) {
+        let next = 0;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (next < items.length && !(signal && signal.aborted)) {
+                const index = next++;
+                await worker(items[index], index);
+            }
+        });
+        await Promise.all(runners);
+    }
+
+    /**
+     * Check whether a tool declares that its calls may run concurrently
+     * @param {string} toolName Tool name
+     * @returns {boolean} True if parallel-safe
+     * @private
+     */
+    _isParallelSafe(toolName) {
+        const tool = this.tools.get(toolName);
+        return !!(tool && tool.metadata.parallel);
+    }
+
+    /**
+     * Convert tool execution results to Gemini functionResponse parts
+     * @param {Array} results Tool execution results
+     * @returns {Array} functionResponse parts
+     */
+    toFunctionResponseParts(results) {
+        return results.map(toolResult => ({
+            functionResponse: {
+                name: toolResult.name,
+                response: toolResult.error
+                    ? { error: toolResult.error, ...(toolResult.validationErrors ? { validationErrors: toolResult.validationErrors } : {}) }
+                    : { result: toolResult.result }
+            }
+        }));
+    }
+
+    /**
+     * Format a tool execution result as a <tool-result> or <tool-error> block
+     * @param {Object} toolResult Entry from the results returned by executeToolCalls
+     * @returns {string} Formatted result text
+     */
+    formatToolResult(toolResult) {
+        if (toolResult.error) {
+            const details = toolResult.validationErrors
+                ? '\n' + toolResult.validationErrors.map(error => `- ${error.parameter}: ${error.message} (expected ${error.expected})`).join('\n')
+                : '';
+            return `<tool-error name="${toolResult.name}">
+Error: ${toolResult.error}${details}
+</tool-error>`;
+        }
+
+        const resultText = toResultText(toolResult.result);
+
+        return `<tool-result name="${toolResult.name}">
 ${resultText}
 </tool-result>`;
+    }
 
-                processedText = processedText.replace(toolCall.originalText, replacementText);
+    /**
+     * Call the execution listeners
+     * @param {Object} execution Execution record, see onDidExecuteTool
+     * @private
+     */
+    _notifyExecution(execution) {
+        for (const listener of this._executionListeners) {
+            try {
+                listener(execution);
             } catch (error) {
-                console.error(`Error executing tool '${toolCall.name}':`, error);
+                console.error('Error in tool execution listener:', error);
+            }
+        }
+    }
 
-                // Replace with error message
-                const errorText = `<tool-error name="${toolCall.name}">
-Error: ${error.message}
-</tool-error>`;
+    /**
+     * Call the tool change listeners
+     * @private
+     */
+    _notifyToolsChanged() {
+        for (const listener of this._toolsListeners) {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Error in tool change listener:', error);
+            }
+        }
+    }
 
-                processedText = processedText.replace(toolCall.originalText, errorText);
+    /**
+     * Get the structured details of a validation error, for the model to correct its call
+     * @param {Error} error Error thrown by executeTool
+     * @returns {Object} { validationErrors } for validation errors, otherwise an empty object
+     * @private
+     */
+    _getValidationDetails(error) {
+        return error instanceof ToolValidationError ? { validationErrors: error.errors } : {};
+    }
 
-                results.push({
-                    name: toolCall.name,
-                    parameters: toolCall.parameters,
-                    error: error.message
-                });
+    /**
+     * Describe the effect of a mutating tool call in a dry run
+     * @param {string} toolName Tool name
+     * @param {Object} tool Registered tool
+     * @param {Object} parameters Validated parameters
+     * @returns {Promise<string>} Simulated result: the intended effect, the parameters and the tool's preview diff
+     * @private
+     */
+    async _simulate(toolName, tool, parameters) {
+        const lines = [
+            `Dry run: '${toolName}' (${tool.metadata.risk}) was not run and nothing was changed. Continue as if it had succeeded.`,
+            `Intended effect: ${tool.metadata.description || toolName}`,
+            `Parameters: ${JSON.stringify(parameters, null, 2)}`
+        ];
+
+        if (tool.preview) {
+            try {
+                const preview = await tool.preview(parameters);
+                if (preview) {
+                    const { title, diff } = formatPreview(preview, toolName);
+                    lines.push(`${title}:\n${diff}`);
+                }
+            } catch (error) {
+                lines.push(`(preview unavailable: ${error.message})`);
             }
         }
 
-        return {
-            text: processedText,
-            results
+        console.log(`Simulated tool '${toolName}' (dry run)`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Run a tool, aborting it when it takes longer than its time limit
+     * The tool gets a signal that aborts on cancellation or timeout, so Git commands are killed either way, and the
+     * change journal to record files in before changing them
+     * @param {string} toolName Tool name
+     * @param {Object} tool Registered tool
+     * @param {Object} parameters Validated parameters
+     * @param {AbortSignal} [signal] Cancellation signal
+     * @param {Object} [journal] Change journal
+     * @returns {Promise<any>} Tool execution result
+     * @private
+     */
+    async _runWithTimeout(toolName, tool, parameters, signal, journal) {
+        const timeout = this._getTimeout(toolName, tool);
+        if (!timeout) {
+            return await this._runCancellable(toolName, tool.function(parameters, { signal, journal }), signal);
+        }
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        try {
+            return await this._runCancellable(toolName, tool.function(parameters, { signal: controller.signal, journal }), controller.signal);
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Tool '${toolName}' timed out after ${timeout / 1000}s`);
+                timeoutError.code = 'TOOL_TIMEOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * Get a tool's time limit: the per-tool setting, then the tool's own limit, then the default
+     * @param {string} toolName Tool name
+     * @param {Object} tool Registered tool
+     * @returns {number} Time limit in ms, 0 for none
+     * @private
+     */
+    _getTimeout(toolName, tool) {
+        if (typeof this.timeouts[toolName] === 'number') {
+            return this.timeouts[toolName];
+        }
+        return typeof tool.metadata.timeout === 'number' ? tool.metadata.timeout : this.timeout;
+    }
+
+    /**
+     * Truncate a result that is larger than the tool's size limit, keeping the full text in the result store
+     * @param {string} toolName Tool name
+     * @param {Object} tool Registered tool
+     * @param {any} result Tool execution result
+     * @param {string} resultText Result as text, see toResultText
+     * @returns {any} The result itself, or the truncated text with a notice on how to read the rest
+     * @private
+     */
+    _limitResultSize(toolName, tool, result, resultText) {
+        const maxResultSize = typeof tool.metadata.maxResultSize === 'number' ? tool.metadata.maxResultSize : this.maxResultSize;
+        if (!this.resultStore || !maxResultSize || result === undefined || result === null) {
+            return result;
+        }
+
+        return resultText.length > maxResultSize
+            ? this.resultStore.truncate(toolName, resultText, maxResultSize)
+            : result;
+    }
+
+    /**
+     * Wait for a tool run, rejecting as soon as the signal aborts
+     * Tools that ignore the signal keep running in the background but their result is discarded
+     * @param {string} toolName Tool name
+     * @param {Promise<any>} promise Tool run
+     * @param {AbortSignal} [signal] Cancellation signal
+     * @returns {Promise<any>} Tool execution result
+     * @private
+     */
+    _runCancellable(toolName, promise, signal) {
+        if (!signal) {
+            return promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new Error(`Tool '${toolName}' cancelled`));
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            Promise.resolve(promise).then(
+                result => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(result);
+                },
+                error => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    /**
+     * Convert a parameter definition to a Gemini schema
+     * @param {Object} parameter Parameter definition from tool metadata
+     * @returns {Object} Schema
+     * @private
+     */
+    _toSchema(parameter) {
+        const schema = {
+            type: parameter.type || 'string',
+            description: parameter.description || ''
         };
+
+        // Function declaration schemas have no default, so tell the model in the description
+        if (parameter.default !== undefined && !/default/i.test(schema.description)) {
+            schema.description = `${schema.description} (default: ${JSON.stringify(parameter.default)})`.trim();
+        }
+
+        if (parameter.enum) {
+            schema.enum = parameter.enum;
+        }
+
+        if (schema.type === 'array') {
+            schema.items = parameter.items ? this._toSchema(parameter.items) : { type: 'string' };
+        }
+
+        if (schema.type === 'object' && parameter.properties && Object.keys(parameter.properties).length > 0) {
+            schema.properties = {};
+            for (const name of Object.keys(parameter.properties)) {
+                schema.properties[name] = this._toSchema(parameter.properties[name]);
+            }
+            if (parameter.required && parameter.required.length > 0) {
+                schema.required = parameter.required;
+            }
+        }
+
+        return schema;
     }
 }
 
+/**
+ * Convert a tool result to the text sent to the model
+ * @param {any} result Tool execution result
+ * @returns {string} Result text; objects as indented JSON
+ */
+function toResultText(result) {
+    return typeof result === 'object' ? JSON.stringify(result, null, 2) : String(result);
+}
+
+/**
+ * Create a unique id for a tool call
+ * @returns {string} Call id
+ */
+function createCallId() {
+    return `call-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
 module.exports = ToolManager;
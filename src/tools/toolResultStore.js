@@ -0,0 +1,183 @@
+// Number of large results kept; the oldest is dropped first
+const MAX_ENTRIES = 20;
+
+// Longest result kept, in characters; anything beyond is dropped
+const MAX_STORED_LENGTH = 5000000;
+
+// Longest page read-tool-result returns, in characters
+const MAX_PAGE_LENGTH = 100000;
+
+// Page length when read-tool-result is called without a limit, until the tool manager sets it
+const DEFAULT_PAGE_LENGTH = 20000;
+
+/**
+ * Tool Result Store
+ * Keeps the full text of tool results that were too large to send to the model,
+ * so it can read the rest page by page with the read-tool-result tool.
+ */
+class ToolResultStore {
+    constructor() {
+        this.entries = new Map();
+        this.pageLength = DEFAULT_PAGE_LENGTH;
+        this._nextId = 1;
+    }
+
+    /**
+     * Set the page length read-tool-result uses when no limit is given
+     * @param {number} length Page length in characters
+     */
+    setPageLength(length) {
+        this.pageLength = Math.min(MAX_PAGE_LENGTH, Math.max(1, length));
+    }
+
+    /**
+     * Store a result
+     * @param {string} toolName Tool that produced the result
+     * @param {string} text Full result text
+     * @returns {string} Result id
+     */
+    save(toolName, text) {
+        const id = `result-${this._nextId++}`;
+        this.entries.set(id, {
+            toolName,
+            text: text.length > MAX_STORED_LENGTH ? text.substring(0, MAX_STORED_LENGTH) : text,
+            timestamp: new Date()
+        });
+
+        while (this.entries.size > MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return id;
+    }
+
+    /**
+     * Read a page of a stored result
+     * The page ends at a line break when there is one, so lines are not split between pages
+     * @param {string} id Result id
+     * @param {number} [offset=0] Character offset to start at
+     * @param {number} [limit] Page length in characters
+     * @returns {{text: string, offset: number, end: number, length: number, toolName: string}} Page
+     */
+    read(id, offset = 0, limit = MAX_PAGE_LENGTH) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            throw new Error(`No stored result '${id}'; results are kept for the ${MAX_ENTRIES} most recent large outputs of this conversation`);
+        }
+
+        const start = Math.min(Math.max(0, offset), entry.text.length);
+        let end = Math.min(entry.text.length, start + Math.min(Math.max(1, limit), MAX_PAGE_LENGTH));
+        if (end < entry.text.length) {
+            const lineEnd = entry.text.lastIndexOf('\n', end - 1);
+            if (lineEnd >= start) {
+                end = lineEnd + 1;
+            }
+        }
+
+        return {
+            text: entry.text.substring(start, end),
+            offset: start,
+            end,
+            length: entry.text.length,
+            toolName: entry.toolName
+        };
+    }
+
+    /**
+     * Shorten a result that is longer than maxLength, storing the full text
+     * @param {string} toolName Tool that produced the result
+     * @param {string} text Result text
+     * @param {number} maxLength Longest result to return, in characters
+     * @returns {string} The text itself, or its first page followed by a summary and how to read on
+     */
+    truncate(toolName, text, maxLength) {
+        if (text.length <= maxLength) {
+            return text;
+        }
+
+        const id = this.save(toolName, text);
+        const page = this.read(id, 0, maxLength);
+        const totalLines = countLines(text);
+        const shownLines = countLines(page.text);
+        const stored = text.length > MAX_STORED_LENGTH ? ` Only the first ${MAX_STORED_LENGTH} characters are kept.` : '';
+        console.log(`Truncated ${toolName} result from ${text.length} to ${page.end} characters (${id})`);
+
+        return `${page.text.replace(/\n$/, '')}
+
+[Output truncated: showing characters 0-${page.end} of ${text.length} (lines 1-${shownLines} of ${totalLines}). ` +
+            `The full output is stored as "${id}".${stored} Call read-tool-result with result_id "${id}" and offset ${page.end} to read more.]`;
+    }
+
+    /**
+     * Forget all stored results, e.g. when the conversation is cleared
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Read a page of a stored result
+     * @param {Object} params Parameters object
+     * @param {string} params.result_id Result id from the truncation notice
+     * @param {number} [params.offset=0] Character offset to start at
+     * @param {number} [params.limit] Page length in characters; the configured result size when omitted
+     * @returns {Promise<string>} Page text, followed by where the next page starts
+     */
+    async readToolResult(params) {
+        try {
+            const { result_id, offset = 0, limit = this.pageLength } = params;
+            const page = this.read(result_id, offset, limit);
+
+            const position = page.end < page.length
+                ? `[Characters ${page.offset}-${page.end} of ${page.length}. Call read-tool-result with result_id "${result_id}" and offset ${page.end} to read more.]`
+                : `[Characters ${page.offset}-${page.end} of ${page.length}. End of output.]`;
+            return `${page.text.replace(/\n$/, '')}\n\n${position}`;
+        } catch (error) {
+            throw new Error(`Failed to read tool result: ${error.message}`);
+        }
+    }
+
+    /**
+     * Register the tool that pages through stored results
+     * @param {ToolManager} toolManager Tool manager
+     */
+    registerTools(toolManager) {
+        toolManager.registerTool('read-tool-result', this.readToolResult.bind(this), {
+            description: 'Read more of a tool result that was truncated because it was too large',
+            parameters: {
+                result_id: {
+                    type: 'string',
+                    description: 'Result id given in the truncation notice, e.g. "result-1"'
+                },
+                offset: {
+                    type: 'integer',
+                    description: 'Character offset to start reading at, as given in the notice',
+                    default: 0
+                },
+                limit: {
+                    type: 'integer',
+                    description: `Number of characters to read (at most ${MAX_PAGE_LENGTH})`
+                }
+            },
+            required: ['result_id'],
+            risk: 'read',
+            parallel: true,
+            // Pages are already limited by the limit parameter
+            maxResultSize: 0
+        });
+    }
+}
+
+/**
+ * Count the lines of a text
+ * @param {string} text Text
+ * @returns {number} Number of lines
+ */
+function countLines(text) {
+    if (!text) {
+        return 0;
+    }
+    const lines = text.split('\n').length;
+    return text.endsWith('\n') ? lines - 1 : lines;
+}
+
+module.exports = ToolResultStore;
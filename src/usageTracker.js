@@ -0,0 +1,192 @@
+const vscode = require('vscode');
+
+// Prices in USD per million tokens; override or extend with the 'pricing' setting
+const DEFAULT_PRICES = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 }
+};
+
+const STORAGE_KEY = 'nyxn-ai-assistant.usageRecords';
+
+// Oldest records are dropped beyond this many, to keep global state small
+const MAX_RECORDS = 10000;
+
+const CSV_COLUMNS = ['timestamp', 'day', 'conversationId', 'kind', 'provider', 'model', 'calls',
+    'promptTokens', 'outputTokens', 'totalTokens', 'contextTokens', 'estimated', 'cost'];
+
+/**
+ * Usage Tracker
+ * Records token usage and cost per message, and totals them per conversation and per day
+ */
+class UsageTracker {
+    /**
+     * Initialize usage tracker
+     * @param {vscode.ExtensionContext} context Extension context, whose global state stores the records
+     */
+    constructor(context) {
+        this.context = context;
+        this.records = context && context.globalState ? context.globalState.get(STORAGE_KEY, []) : [];
+    }
+
+    /**
+     * Get the price of a model
+     * @param {string} modelName Model name
+     * @returns {{input: number, output: number}|null} USD per million input and output tokens, or null if unknown
+     */
+    getPrice(modelName) {
+        const config = vscode.workspace.getConfiguration('nyxn-ai-assistant');
+        const prices = { ...DEFAULT_PRICES, ...(config.get('pricing') || {}) };
+        const price = prices[modelName];
+
+        if (!price || typeof price.input !== 'number' || typeof price.output !== 'number') {
+            return null;
+        }
+        return price;
+    }
+
+    /**
+     * Calculate the cost of a request
+     * @param {string} modelName Model name
+     * @param {number} promptTokens Input tokens
+     * @param {number} outputTokens Output tokens
+     * @returns {number|null} Cost in USD, or null if the model has no price
+     */
+    calculateCost(modelName, promptTokens, outputTokens) {
+        const price = this.getPrice(modelName);
+        if (!price) {
+            return null;
+        }
+        return (promptTokens * price.input + outputTokens * price.output) / 1000000;
+    }
+
+    /**
+     * Record the usage of one message
+     * @param {Object} entry Usage entry
+     * @param {string} entry.conversationId Conversation ID
+     * @param {string} [entry.kind='message'] What the tokens were spent on: 'message', 'compaction' or 'plan'
+     * @param {string} entry.provider Provider name
+     * @param {string} entry.model Model name
+     * @param {Object} entry.usage Usage from GeminiService: { calls, promptTokens, outputTokens, totalTokens, contextTokens, estimated }
+     * @returns {Promise<Object>} Stored record, including its cost
+     */
+    async record(entry) {
+        const usage = entry.usage;
+        const now = new Date();
+        const record = {
+            timestamp: now.toISOString(),
+            day: toDay(now),
+            conversationId: entry.conversationId,
+            kind: entry.kind || 'message',
+            provider: entry.provider,
+            model: entry.model,
+            calls: usage.calls,
+            promptTokens: usage.promptTokens,
+            outputTokens: usage.outputTokens,
+            totalTokens: usage.totalTokens,
+            contextTokens: usage.contextTokens,
+            estimated: usage.estimated,
+            cost: this.calculateCost(entry.model, usage.promptTokens, usage.outputTokens)
+        };
+
+        this.records.push(record);
+        if (this.records.length > MAX_RECORDS) {
+            this.records = this.records.slice(this.records.length - MAX_RECORDS);
+        }
+
+        if (this.context && this.context.globalState) {
+            await this.context.globalState.update(STORAGE_KEY, this.records);
+        }
+        return record;
+    }
+
+    /**
+     * Get totals for a conversation
+     * @param {string} conversationId Conversation ID
+     * @returns {Object} Totals, see _sum
+     */
+    getConversationTotals(conversationId) {
+        return this._sum(this.records.filter(record => record.conversationId === conversationId));
+    }
+
+    /**
+     * Get totals for a day
+     * @param {string} [day] Local date as YYYY-MM-DD, today by default
+     * @returns {Object} Totals, see _sum
+     */
+    getDayTotals(day = toDay(new Date())) {
+        return this._sum(this.records.filter(record => record.day === day));
+    }
+
+    /**
+     * Get totals for every day with usage
+     * @returns {Array<Object>} Totals with their day, oldest first
+     */
+    getDailyTotals() {
+        const days = [...new Set(this.records.map(record => record.day))].sort();
+        return days.map(day => ({ day, ...this.getDayTotals(day) }));
+    }
+
+    /**
+     * Export the usage report as CSV, one row per message
+     * @returns {string} CSV text
+     */
+    toCsv() {
+        const rows = this.records.map(record => CSV_COLUMNS.map(column => {
+            const value = record[column] === null || record[column] === undefined ? '' : String(record[column]);
+            return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        }).join(','));
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    /**
+     * Export the usage report as JSON, with daily totals and every message
+     * @returns {string} JSON text
+     */
+    toJson() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            daily: this.getDailyTotals(),
+            records: this.records
+        }, null, 2);
+    }
+
+    /**
+     * Sum records
+     * @param {Array} records Usage records
+     * @returns {{requests: number, promptTokens: number, outputTokens: number, totalTokens: number, contextTokens: number, cost: number, unpriced: number}}
+     *   Totals; unpriced counts records of models without a price
+     * @private
+     */
+    _sum(records) {
+        return records.reduce((totals, record) => {
+            totals.requests++;
+            totals.promptTokens += record.promptTokens || 0;
+            totals.outputTokens += record.outputTokens || 0;
+            totals.totalTokens += record.totalTokens || 0;
+            totals.contextTokens += record.contextTokens || 0;
+            if (typeof record.cost === 'number') {
+                totals.cost += record.cost;
+            } else {
+                totals.unpriced++;
+            }
+            return totals;
+        }, { requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, contextTokens: 0, cost: 0, unpriced: 0 });
+    }
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD day
+ * @param {Date} date Date
+ * @returns {string} Day
+ */
+function toDay(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+module.exports = UsageTracker;
@@ -1,5 +1,6 @@
 const vscode = require('vscode');
 const path = require('path');
+const os = require('os');
 const GeminiService = require('./geminiService');
 const ToolManager = require('./tools/toolManager');
 const FileTools = require('./tools/fileTools');
@@ -7,7 +8,17 @@ const CodeSearchTools = require('./tools/codeSearchTools');
 const DiagnosticsTools = require('./tools/diagnosticsTools');
 const CodeGenerationTools = require('./tools/codeGenerationTools');
 const GitTools = require('./tools/gitTools');
+const ToolResultStore = require('./tools/toolResultStore');
+const CustomCommandTools = require('./tools/customCommandTools');
 const ContextManager = require('./contextManager');
+const UsageTracker = require('./usageTracker');
+const ProfileManager = require('./profileManager');
+const McpManager = require('./mcp/mcpManager');
+const PlanRunner = require('./planRunner');
+const ApprovalManager = require('./approvalManager');
+const ToolAuditLog = require('./toolAuditLog');
+const ChangeJournal = require('./changeJournal');
+const { MODEL_SETTINGS, SUGGESTED_MODELS } = require('./providers');
 
 /**
  * Nyxn Webview Provider
@@ -41,8 +52,73 @@ class NyxnWebviewProvider {
         console.log('Creating GeminiService...');
         this.geminiService = new GeminiService(this.toolManager, this.contextManager);
 
+        // Agent profiles: system prompt, model and tool allowlist, switchable from the chat view
+        console.log('Creating ProfileManager...');
+        this.profileManager = new ProfileManager(context);
+        this.geminiService.setProfile(this.profileManager.getActiveProfile());
+        this.profileManager.onDidChangeProfiles(profile => this._applyProfile(profile));
+        this.profileManager.initialize().then(() => {
+            this._applyProfile(this.profileManager.getActiveProfile());
+        }).catch(error => {
+            console.error('Error initializing profiles:', error);
+        });
+
+        // Plan-then-execute mode: the plan is shown as a checklist and its steps run one at a time
+        this.planRunner = new PlanRunner(this.geminiService, {
+            executeStep: (prompt, step, index, signal) => this._executePlanStep(prompt, step, index, signal),
+            onUpdate: (plan) => this._postMessage({ command: 'plan', plan })
+        });
+
+        // Mutating tools ask for approval in the chat view, according to their risk level
+        this.approvalManager = new ApprovalManager(context);
+        this.approvalManager.setPrompt(request => this._promptApproval(request));
+        this.toolManager.setApprovalHandler(request => this.approvalManager.requestApproval(request));
+        // Approval prompts shown in the chat view, by id, waiting for the user's answer
+        this._pendingApprovals = new Map();
+        this._nextApprovalId = 1;
+
+        // Token and cost accounting, per message, conversation and day
+        this.usageTracker = new UsageTracker(context);
+        this.conversationId = createConversationId();
+
+        // Every tool call is appended to the audit log, with the conversation it belongs to
+        this.auditLog = new ToolAuditLog(context);
+        this.toolManager.onDidExecuteTool(execution => {
+            this.auditLog.append({ ...execution, conversationId: this.conversationId });
+            if (execution.status === 'dryRun' && this._dryRunCalls) {
+                this._dryRunCalls.push({ toolName: execution.toolName, parameters: execution.parameters });
+            }
+            this._emitConversationEvent('toolCall', { execution });
+        });
+
+        // File contents before tools change them, by chat turn, for the undo buttons in the chat
+        this.changeJournal = new ChangeJournal();
+        this.toolManager.setChangeJournal(this.changeJournal);
+
+        // Dry-run mode simulates mutating tools; it starts from the setting and is toggled from the chat header
+        this._dryRunSetting = vscode.workspace.getConfiguration('nyxn-ai-assistant').get('dryRun') === true;
+        this.toolManager.setDryRun(this._dryRunSetting);
+        // Tool calls simulated during the current dry-run turn, offered for a real run afterwards
+        this._dryRunCalls = null;
+
+        // Tools added or removed by other extensions through the API are offered to the webview
+        this.toolManager.onDidChangeTools(() => this._postProfiles());
+        // Listeners of conversation events, see onConversationEvent
+        this._conversationListeners = new Set();
+
+        // Tools of external MCP servers, started from settings and .nyxn/mcp.json
+        this.mcpManager = new McpManager(this.toolManager, context);
+        context.subscriptions.push(this.mcpManager);
+        this.mcpManager.initialize().catch(error => {
+            console.error('Error initializing MCP servers:', error);
+        });
+
         this._view = null;
         this.chatHistory = [];
+        // Number of earlier turns left out of the model's history, to warn only when it grows
+        this._droppedTurns = 0;
+        // Abort controllers of in-flight requests and tool runs, used by the Stop button
+        this._activeRequests = new Set();
         console.log('NyxnWebviewProvider initialized successfully');
     }
 
@@ -69,6 +145,17 @@ class NyxnWebviewProvider {
         // Git tools
         const gitTools = new GitTools(this.context);
         gitTools.registerTools(this.toolManager);
+
+        // Large results are truncated and kept here for the model to page through
+        this.resultStore = new ToolResultStore();
+        this.resultStore.registerTools(this.toolManager);
+        this.toolManager.setResultStore(this.resultStore);
+
+        // Project commands declared in .nyxn/tools.json or tools.yaml; registered once loaded
+        this.customCommandTools = new CustomCommandTools(this.context, this.toolManager);
+        this.customCommandTools.initialize().catch(error => {
+            console.error('Error initializing command tools:', error);
+        });
     }
 
     resolveWebviewView(webviewView) {
@@ -99,7 +186,7 @@ class NyxnWebviewProvider {
             switch (message.command) {
                 case 'sendMessage':
                     console.log('Processing sendMessage command with text:', message.text);
-                    await this._handleUserMessage(message.text);
+                    await this._handleUserMessage(message.text, message.generationConfig);
                     break;
 
                 case 'getCodeContext':
@@ -126,24 +213,95 @@ class NyxnWebviewProvider {
                     }
                     break;
 
+                case 'cancelRequest':
+                    console.log('Cancelling in-flight requests...');
+                    this.cancelRequests();
+                    break;
+
                 case 'clearHistory':
-                    this.chatHistory = [];
-                    this.geminiService.clearChatHistory();
+                    this.clearChatHistory();
+                    break;
+
+                case 'getUsage':
+                    this._postUsage();
+                    break;
+
+                case 'getProfiles':
+                    this._postProfiles();
+                    break;
+
+                case 'getDryRun':
+                    this._postDryRun();
+                    break;
+
+                case 'setDryRun':
+                    this.setDryRun(message.enabled);
+                    break;
+
+                case 'replayDryRun':
+                    await this.replayDryRun(message.turn);
+                    break;
+
+                case 'switchProfile':
+                    try {
+                        await this.profileManager.setActiveProfile(message.profile);
+                    } catch (error) {
+                        console.error('Error switching profile:', error);
+                        vscode.window.showErrorMessage(`Failed to switch profile: ${error.message}`);
+                        this._postProfiles();
+                    }
+                    break;
+
+                case 'compactConversation':
+                    await this.compactConversation();
+                    break;
+
+                case 'updateSummary':
+                    this.geminiService.setConversationSummary(message.summary);
+                    console.log('Conversation summary updated from webview');
                     this._updateChatInWebview();
                     break;
 
+                case 'createPlan':
+                    await this.createPlan(message.text);
+                    break;
+
+                case 'runPlan':
+                    await this._runPlanOperation('run the plan', async (signal) => {
+                        if (message.plan) {
+                            this.planRunner.updatePlan(message.plan);
+                        }
+                        await this.planRunner.run({ signal });
+                    });
+                    break;
+
+                case 'planAction':
+                    await this.handlePlanAction(message.action, message.plan);
+                    break;
+
+                case 'approvalResponse':
+                    this._resolveApproval(message.id, message.decision);
+                    break;
+
                 case 'insertCode':
                     this._insertCodeToEditor(message.code);
                     break;
 
-                case 'executeTool':
+                case 'undoTurn':
+                case 'undoSince':
+                    await this.undoChanges(message.turn, message.command === 'undoSince');
+                    break;
+
+                case 'executeTool': {
+                    const abortController = new AbortController();
+                    this._activeRequests.add(abortController);
                     try {
                         const { toolName, parameters } = message;
                         if (!this.toolManager) {
                             throw new Error('Tool manager not initialized');
                         }
 
-                        const result = await this.toolManager.executeTool(toolName, parameters);
+                        const result = await this._runToolOutsideTurn(toolName, parameters, abortController.signal);
                         webviewView.webview.postMessage({
                             command: 'toolResult',
                             toolName,
@@ -156,8 +314,11 @@ class NyxnWebviewProvider {
                             command: 'error',
                             message: `Failed to execute tool: ${error.message}`
                         });
+                    } finally {
+                        this._activeRequests.delete(abortController);
                     }
                     break;
+                }
             }
         });
     }
@@ -165,15 +326,20 @@ class NyxnWebviewProvider {
     /**
      * Handle user message
      * @param {string} text User message
+     * @param {Object} [generationConfig=null] Generation parameters set in the chat for this request
      */
-    async _handleUserMessage(text) {
-        if (!text.trim()) return;
+    async _handleUserMessage(text, generationConfig = null) {
+        if (!text.trim()) return null;
 
         console.log(`Received user message: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
 
-        // Add user message to history
-        this.chatHistory.push({ role: 'user', content: text });
+        // Add user message to history; file changes until the reply are recorded under its turn
+        const turn = this.changeJournal.beginTurn();
+        const dryRun = this._beginDryRunTurn();
+        this.chatHistory.push({ role: 'user', content: text, turn, dryRun });
         this._updateChatInWebview();
+        this._emitConversationEvent('userMessage', { text });
+        let reply;
 
         // Show loading state
         console.log('Showing loading state...');
@@ -183,6 +349,9 @@ class NyxnWebviewProvider {
             console.error('Cannot show loading state: webview not available');
         }
 
+        const abortController = new AbortController();
+        this._activeRequests.add(abortController);
+
         try {
             // Get full context
             console.log('Getting context...');
@@ -190,7 +359,11 @@ class NyxnWebviewProvider {
 
             // Call Gemini API
             console.log('Calling Gemini API...');
-            const response = await this.geminiService.generateContent(text, context, true);
+            const response = await this.geminiService.generateContent(text, context, true, {
+                signal: abortController.signal,
+                generationConfig,
+                ...this._createProgressCallbacks()
+            });
             console.log('Received Gemini API response');
 
             // Stop loading state
@@ -199,14 +372,43 @@ class NyxnWebviewProvider {
                 this._view.webview.postMessage({ command: 'stopLoading' });
             }
 
-            if (response.error) {
+            if (response.compaction) {
+                await this._recordUsage(response.compaction.usage, 'compaction');
+            }
+            const usage = await this._recordUsage(response.usage, 'message');
+            reply = {
+                text: response.text,
+                toolResults: response.toolResults || [],
+                cancelled: !!response.cancelled,
+                error: response.error || null
+            };
+
+            if (response.cancelled) {
+                // Keep the partial transcript, marked as cancelled
+                console.log('Request was cancelled by the user');
+                this.chatHistory.push({ role: 'assistant', content: response.text, cancelled: true, usage, turn, ...this._takeDryRunCalls(dryRun) });
+            } else if (response.error) {
                 // Handle error
                 console.error(`Gemini API returned error: ${response.error}`);
-                this.chatHistory.push({ role: 'assistant', content: `Error: ${response.error}` });
+                const explanation = response.userMessage ? `${response.userMessage} ${response.suggestion}\n\n` : '';
+                this.chatHistory.push({ role: 'assistant', content: `${explanation}Error: ${response.error}`, usage, turn, ...this._takeDryRunCalls(dryRun) });
             } else {
+                if (response.compaction) {
+                    this._addCompactionNotice(response.compaction.compactedTurns);
+                }
+
+                // Warn when earlier turns no longer fit the model's token budget
+                if (response.droppedTurns > this._droppedTurns) {
+                    this.chatHistory.push({
+                        role: 'notice',
+                        content: `${response.droppedTurns} earlier turn${response.droppedTurns === 1 ? ' was' : 's were'} left out of the conversation sent to the model to stay within its token budget.`
+                    });
+                }
+                this._droppedTurns = response.droppedTurns || 0;
+
                 // Add AI response to history
                 console.log('Adding AI response to history...');
-                this.chatHistory.push({ role: 'assistant', content: response.text });
+                this.chatHistory.push({ role: 'assistant', content: response.text, usage, turn, ...this._takeDryRunCalls(dryRun) });
 
                 // If there are tool call results, show tool information
                 if (response.toolResults && response.toolResults.length > 0) {
@@ -233,11 +435,343 @@ class NyxnWebviewProvider {
             }
 
             // Add error message
-            this.chatHistory.push({ role: 'assistant', content: `Error: ${error.message}` });
+            this.chatHistory.push({ role: 'assistant', content: `Error: ${error.message}`, turn, ...this._takeDryRunCalls(dryRun) });
             this._updateChatInWebview();
+            reply = { text: '', toolResults: [], cancelled: false, error: error.message };
 
             // Show error message to user
             vscode.window.showErrorMessage(`Error processing message: ${error.message}`);
+        } finally {
+            this._activeRequests.delete(abortController);
+            this.changeJournal.endTurn();
+            this._dryRunCalls = null;
+        }
+
+        this._emitConversationEvent('assistantMessage', reply);
+        return reply;
+    }
+
+    /**
+     * Send a prompt as if the user typed it in the chat, e.g. from another extension
+     * @param {string} text Prompt
+     * @param {Object} [generationConfig=null] Generation parameters for this request
+     * @returns {Promise<Object>} Reply: { text, toolResults, cancelled, error }
+     */
+    async sendPrompt(text, generationConfig = null) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('The prompt is empty');
+        }
+        if (this._activeRequests.size > 0) {
+            throw new Error('Nyxn AI is busy with another request');
+        }
+        return await this._handleUserMessage(text, generationConfig);
+    }
+
+    /**
+     * Get the current conversation
+     * @returns {{id: string, messages: Array<Object>}} Conversation id and chat messages: { role, content }
+     */
+    getConversation() {
+        return {
+            id: this.conversationId,
+            messages: this.chatHistory.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Subscribe to conversation events
+     * @param {Function} listener Called with { type, conversationId, timestamp, ... }; type is 'userMessage' (text),
+     *   'assistantMessage' (text, toolResults, cancelled, error), 'toolCall' (execution) or 'cleared'
+     * @returns {vscode.Disposable} Disposable that unsubscribes
+     */
+    onConversationEvent(listener) {
+        this._conversationListeners.add(listener);
+        return new vscode.Disposable(() => this._conversationListeners.delete(listener));
+    }
+
+    /**
+     * Call the conversation event listeners
+     * @param {string} type Event type
+     * @param {Object} [data={}] Event data
+     * @private
+     */
+    _emitConversationEvent(type, data = {}) {
+        const event = { type, conversationId: this.conversationId, timestamp: new Date().toISOString(), ...data };
+        for (const listener of this._conversationListeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in conversation event listener:', error);
+            }
+        }
+    }
+
+    /**
+     * Create the callbacks that show a request's progress in the webview
+     * @returns {Object} onChunk, onStreamEnd, onStep and onRetry callbacks for generateContent
+     * @private
+     */
+    _createProgressCallbacks() {
+        return {
+            onChunk: (chunk) => {
+                // Stream the reply into the chat as it arrives
+                this._postMessage({
+                    command: 'streamChunk',
+                    iteration: chunk.iteration,
+                    text: chunk.text
+                });
+            },
+            onStreamEnd: (stream) => {
+                this._postMessage({
+                    command: 'streamEnd',
+                    iteration: stream.iteration,
+                    text: stream.text
+                });
+            },
+            onStep: (step) => {
+                // Show each agent step in the chat while the loop is still running
+                this._postMessage({
+                    command: 'agentStep',
+                    step
+                });
+            },
+            onRetry: (retry) => {
+                this._postMessage({
+                    command: 'retrying',
+                    attempt: retry.attempt,
+                    maxRetries: retry.maxRetries,
+                    delayMs: retry.delayMs,
+                    message: retry.error.userMessage
+                });
+            }
+        };
+    }
+
+    /**
+     * Ask the model for a plan for a larger task and show it as an editable checklist
+     * @param {string} task Task described by the user
+     */
+    async createPlan(task) {
+        if (!task || !task.trim()) {
+            return;
+        }
+
+        this.chatHistory.push({ role: 'user', content: `Plan: ${task}` });
+        this._updateChatInWebview();
+
+        await this._runPlanOperation('create a plan', async (signal) => {
+            const context = await this.geminiService.getFullContext();
+            const result = await this.planRunner.createPlan(task, context, { signal });
+            await this._recordUsage(result.usage, 'plan');
+            this.chatHistory.push({
+                role: 'notice',
+                content: `Proposed a plan with ${result.plan.steps.length} step${result.plan.steps.length === 1 ? '' : 's'}. Review and edit it above the chat, then approve it to start.`
+            });
+            this._updateChatInWebview();
+        });
+    }
+
+    /**
+     * Handle a button on the plan checklist
+     * @param {string} action 'approveStep', 'retry', 'skip', 'replan', 'cancel' or 'discard'
+     * @param {Object} [edits] Edited steps to apply first, see PlanRunner.updatePlan
+     */
+    async handlePlanAction(action, edits = null) {
+        switch (action) {
+            case 'approveStep':
+            case 'retry':
+            case 'skip':
+                await this._runPlanOperation(`${action === 'approveStep' ? 'run' : action} the step`, async (signal) => {
+                    if (edits) {
+                        this.planRunner.updatePlan(edits);
+                    }
+                    await this.planRunner[action]({ signal });
+                });
+                break;
+
+            case 'replan':
+                await this._runPlanOperation('revise the plan', async (signal) => {
+                    const context = await this.geminiService.getFullContext();
+                    const result = await this.planRunner.replan(context, { signal });
+                    await this._recordUsage(result.usage, 'plan');
+                });
+                break;
+
+            case 'cancel':
+                this.planRunner.cancel();
+                break;
+
+            case 'discard':
+                this.planRunner.discard();
+                break;
+
+            default:
+                console.warn(`Unknown plan action: ${action}`);
+        }
+    }
+
+    /**
+     * Run one step of the approved plan as a chat turn
+     * @param {string} prompt Step prompt
+     * @param {Object} step Plan step
+     * @param {number} index Step index
+     * @param {AbortSignal} signal Cancellation signal
+     * @returns {Promise<Object>} Result of generateContent
+     * @private
+     */
+    async _executePlanStep(prompt, step, index, signal) {
+        const turn = this.changeJournal.beginTurn();
+        const dryRun = this._beginDryRunTurn();
+        this.chatHistory.push({ role: 'user', content: `Step ${index + 1}: ${step.title}`, turn, dryRun });
+        this._updateChatInWebview();
+
+        let response;
+        try {
+            const context = await this.geminiService.getFullContext();
+            response = await this.geminiService.generateContent(prompt, context, true, {
+                signal,
+                ...this._createProgressCallbacks()
+            });
+        } catch (error) {
+            this._dryRunCalls = null;
+            throw error;
+        } finally {
+            this.changeJournal.endTurn();
+        }
+
+        if (response.compaction) {
+            await this._recordUsage(response.compaction.usage, 'compaction');
+            this._addCompactionNotice(response.compaction.compactedTurns);
+        }
+        const usage = await this._recordUsage(response.usage, 'message');
+        const outcome = this.geminiService.getPlanStepOutcome(response);
+        const content = response.error ? `Error: ${response.error}` : outcome.text;
+        this.chatHistory.push({ role: 'assistant', content, cancelled: !!response.cancelled, usage, turn, ...this._takeDryRunCalls(dryRun) });
+        this._updateChatInWebview();
+
+        if (response.toolResults && response.toolResults.length > 0) {
+            this._postMessage({
+                command: 'toolResults',
+                results: response.toolResults
+            });
+        }
+        return response;
+    }
+
+    /**
+     * Run a plan operation with the loading state and the Stop button
+     * @param {string} description What the operation does, for error messages
+     * @param {Function} operation Async operation, called with an AbortSignal
+     * @private
+     */
+    async _runPlanOperation(description, operation) {
+        if (this._activeRequests.size > 0) {
+            vscode.window.showWarningMessage(`Wait for the current request to finish before you ${description}`);
+            return;
+        }
+
+        const abortController = new AbortController();
+        this._activeRequests.add(abortController);
+        this._postMessage({ command: 'startLoading' });
+
+        try {
+            await operation(abortController.signal);
+        } catch (error) {
+            if (abortController.signal.aborted) {
+                console.log(`Cancelled: ${description}`);
+                return;
+            }
+            console.error(`Failed to ${description}:`, error);
+            vscode.window.showErrorMessage(`Failed to ${description}: ${error.message}`);
+        } finally {
+            this._activeRequests.delete(abortController);
+            this._postMessage({ command: 'stopLoading' });
+            // Refresh the checklist in case the operation failed before changing it
+            this._postMessage({ command: 'plan', plan: this.planRunner.plan });
+        }
+    }
+
+    /**
+     * Cancel the in-flight Gemini request and any tool runs still in progress
+     */
+    cancelRequests() {
+        for (const abortController of this._activeRequests) {
+            abortController.abort();
+        }
+        this._activeRequests.clear();
+    }
+
+    /**
+     * Ask the user to approve a tool call in the chat view
+     * Falls back to a modal dialog when the view is not open; cancelling the request denies the call
+     * @param {Object} request Approval request: { toolName, risk, parameters, preview, signal }
+     * @returns {Promise<string>} 'allow', 'alwaysAllow' or 'deny'
+     */
+    _promptApproval(request) {
+        if (!this._view || !this._view.webview) {
+            return this.approvalManager.promptWithDialog(request);
+        }
+        if (request.signal && request.signal.aborted) {
+            return Promise.resolve('deny');
+        }
+
+        const id = this._nextApprovalId++;
+        return new Promise(resolve => {
+            const onAbort = () => this._resolveApproval(id, 'deny');
+            this._pendingApprovals.set(id, (decision) => {
+                if (request.signal) {
+                    request.signal.removeEventListener('abort', onAbort);
+                }
+                resolve(decision);
+            });
+            if (request.signal) {
+                request.signal.addEventListener('abort', onAbort);
+            }
+
+            this._postMessage({
+                command: 'approvalRequest',
+                id,
+                toolName: request.toolName,
+                risk: request.risk,
+                parameters: request.parameters,
+                preview: request.preview
+            });
+        });
+    }
+
+    /**
+     * Answer a pending approval prompt and remove it from the chat view
+     * @param {number} id Approval id
+     * @param {string} decision 'allow', 'alwaysAllow' or 'deny'
+     */
+    _resolveApproval(id, decision) {
+        const resolve = this._pendingApprovals.get(id);
+        if (!resolve) {
+            return;
+        }
+        this._pendingApprovals.delete(id);
+        this._postMessage({ command: 'approvalClosed', id });
+        resolve(['allow', 'alwaysAllow'].includes(decision) ? decision : 'deny');
+    }
+
+    /**
+     * Forget the tools the user always allowed in this workspace
+     */
+    async resetToolApprovals() {
+        const tools = this.approvalManager.getAlwaysAllowedTools();
+        await this.approvalManager.resetAlwaysAllowed();
+        vscode.window.showInformationMessage(tools.length > 0
+            ? `Tool approvals reset: ${tools.join(', ')} will ask again`
+            : 'No tools were always allowed in this workspace');
+    }
+
+    /**
+     * Post a message to the webview if it is available
+     * @param {Object} message Message
+     */
+    _postMessage(message) {
+        if (this._view && this._view.webview) {
+            this._view.webview.postMessage(message);
         }
     }
 
@@ -247,7 +781,8 @@ class NyxnWebviewProvider {
                 console.log('Sending update chat history command to webview...');
                 this._view.webview.postMessage({
                     command: 'updateChat',
-                    history: this.chatHistory
+                    history: this.chatHistory.map(entry => this._withChangeCounts(entry)),
+                    summary: this.geminiService ? this.geminiService.conversationSummary : ''
                 });
             } else {
                 console.error('Cannot update chat interface: webview not available');
@@ -257,6 +792,192 @@ class NyxnWebviewProvider {
         }
     }
 
+    /**
+     * Turn dry-run mode on or off for the following requests
+     * @param {boolean} enabled Whether mutating tools are simulated
+     */
+    setDryRun(enabled) {
+        this.toolManager.setDryRun(enabled);
+        console.log(`Dry run ${this.toolManager.dryRun ? 'enabled' : 'disabled'}`);
+        this._postDryRun();
+    }
+
+    /**
+     * Toggle dry-run mode, from the command palette
+     */
+    toggleDryRun() {
+        this.setDryRun(!this.toolManager.dryRun);
+        vscode.window.showInformationMessage(this.toolManager.dryRun
+            ? 'Nyxn AI dry run: tools that change files or the repository are simulated'
+            : 'Nyxn AI dry run off: tools run for real');
+    }
+
+    /**
+     * Send the dry-run state to the webview
+     * @private
+     */
+    _postDryRun() {
+        this._postMessage({ command: 'dryRun', enabled: this.toolManager.dryRun });
+    }
+
+    /**
+     * Start collecting the tool calls a turn simulates, if dry-run mode is on
+     * @returns {boolean} Whether the turn is a dry run
+     * @private
+     */
+    _beginDryRunTurn() {
+        this._dryRunCalls = this.toolManager.dryRun ? [] : null;
+        return this.toolManager.dryRun;
+    }
+
+    /**
+     * Get the dry-run fields of a turn's reply and stop collecting simulated calls
+     * @param {boolean} dryRun Whether the turn is a dry run
+     * @returns {Object} { dryRun, dryRunCalls } for a dry-run reply, otherwise {}
+     * @private
+     */
+    _takeDryRunCalls(dryRun) {
+        const calls = this._dryRunCalls || [];
+        this._dryRunCalls = null;
+        return dryRun ? { dryRun: true, dryRunCalls: calls } : {};
+    }
+
+    /**
+     * Run the tool calls a dry-run reply simulated for real, in order
+     * The calls go through the usual profile and approval checks, and their changes can be undone as a turn.
+     * @param {number} turn Turn id of the dry-run reply
+     */
+    async replayDryRun(turn) {
+        const entry = this.chatHistory.find(item => item.role === 'assistant' && item.turn === turn && item.dryRunCalls);
+        if (!entry || entry.dryRunCalls.length === 0) {
+            vscode.window.showWarningMessage('This reply has no simulated tool calls to run');
+            return;
+        }
+        if (entry.dryRunReplayed) {
+            vscode.window.showWarningMessage('The tool calls of this dry run were already run');
+            return;
+        }
+        if (this._activeRequests.size > 0) {
+            vscode.window.showWarningMessage('Wait for the current request to finish or stop it before running the dry run');
+            return;
+        }
+
+        const abortController = new AbortController();
+        this._activeRequests.add(abortController);
+        this._postMessage({ command: 'startLoading' });
+        const replayTurn = this.changeJournal.beginTurn();
+        const results = [];
+
+        try {
+            for (const call of entry.dryRunCalls) {
+                if (abortController.signal.aborted) {
+                    break;
+                }
+                try {
+                    const result = await this.toolManager.executeTool(call.toolName, call.parameters, {
+                        signal: abortController.signal,
+                        dryRun: false
+                    });
+                    results.push({ name: call.toolName, parameters: call.parameters, result });
+                } catch (error) {
+                    results.push({ name: call.toolName, parameters: call.parameters, error: error.message });
+                }
+            }
+
+            entry.dryRunReplayed = true;
+            const skipped = entry.dryRunCalls.length - results.length;
+            const summary = `Ran ${results.length} tool call${results.length === 1 ? '' : 's'} from the dry run for real` +
+                (skipped > 0 ? `; ${skipped} were skipped after Stop.` : '.');
+            this.chatHistory.push({
+                role: 'assistant',
+                content: [summary, ...results.map(result => this.toolManager.formatToolResult(result))].join('\n\n'),
+                turn: replayTurn
+            });
+            this._postMessage({ command: 'toolResults', results });
+        } finally {
+            this._activeRequests.delete(abortController);
+            this.changeJournal.endTurn();
+            this._postMessage({ command: 'stopLoading' });
+            this._updateChatInWebview();
+        }
+    }
+
+    /**
+     * Run a tool outside the agent loop, e.g. from a tool call's Execute button or the tool call log
+     * Its file changes are recorded in a separate turn; if it changed files, a chat entry offers to undo them.
+     * @param {string} toolName Tool name
+     * @param {Object} parameters Parameters
+     * @param {AbortSignal} signal Cancellation signal
+     * @returns {Promise<any>} Tool result
+     * @private
+     */
+    async _runToolOutsideTurn(toolName, parameters, signal) {
+        const journal = this.changeJournal.beginSeparateTurn();
+        try {
+            return await this.toolManager.executeTool(toolName, parameters, { signal, journal });
+        } finally {
+            const changedFiles = this.changeJournal.getFileCount(journal.id);
+            if (changedFiles > 0) {
+                this.chatHistory.push({
+                    role: 'assistant',
+                    content: `Ran \`${toolName}\`, which changed ${changedFiles} file${changedFiles === 1 ? '' : 's'}.`,
+                    turn: journal.id
+                });
+                this._updateChatInWebview();
+            }
+        }
+    }
+
+    /**
+     * Add the number of files a chat entry's turn changed, for the undo buttons
+     * Replies get changedFiles (their turn), user messages changedFilesSince (their turn and every later one).
+     * @param {Object} entry Chat history entry
+     * @returns {Object} Entry to show
+     * @private
+     */
+    _withChangeCounts(entry) {
+        if (!entry.turn) {
+            return entry;
+        }
+        if (entry.role === 'assistant') {
+            return { ...entry, changedFiles: this.changeJournal.getFileCount(entry.turn) };
+        }
+        if (entry.role === 'user') {
+            return { ...entry, changedFilesSince: this.changeJournal.getFileCountSince(entry.turn) };
+        }
+        return entry;
+    }
+
+    /**
+     * Undo the file changes of a chat turn, or of every turn since a message, after confirmation
+     * @param {number} turn Turn id of the chat entry
+     * @param {boolean} [since=false] Whether to undo every later turn too
+     */
+    async undoChanges(turn, since = false) {
+        if (this._activeRequests.size > 0) {
+            vscode.window.showWarningMessage('Wait for the current request to finish or stop it before undoing changes');
+            return;
+        }
+
+        try {
+            const restored = since
+                ? await this.changeJournal.undoSince(turn)
+                : await this.changeJournal.undoTurn(turn);
+            if (restored === 0) {
+                return;
+            }
+
+            this.chatHistory.push({
+                role: 'notice',
+                content: `Restored ${restored} file${restored === 1 ? '' : 's'} changed ${since ? 'since the selected message' : 'in the selected turn'}. The conversation was kept; tell the assistant if it should know about the undo.`
+            });
+            this._updateChatInWebview();
+        } catch (error) {
+            console.error('Error undoing changes:', error);
+            vscode.window.showErrorMessage(`Failed to undo changes: ${error.message}`);
+        }
+    }
+
     /**
      * Insert code to editor
      * @param {string} code Code
@@ -275,10 +996,327 @@ class NyxnWebviewProvider {
      */
     clearChatHistory() {
         this.chatHistory = [];
+        this.planRunner.discard();
+        this.resultStore.clear();
+        this.changeJournal.clear();
+        this._droppedTurns = 0;
+        this._emitConversationEvent('cleared');
+        this.conversationId = createConversationId();
         if (this.geminiService) {
             this.geminiService.clearChatHistory();
         }
         this._updateChatInWebview();
+        this._postUsage();
+    }
+
+    /**
+     * Export the usage report as CSV or JSON
+     */
+    async exportUsage() {
+        const format = await vscode.window.showQuickPick(['CSV', 'JSON'], {
+            placeHolder: 'Export usage report as'
+        });
+        if (!format) {
+            return;
+        }
+
+        const extension = format.toLowerCase();
+        const workspaceFolders = vscode.workspace.workspaceFolders;
+        const defaultDirectory = workspaceFolders && workspaceFolders.length > 0
+            ? workspaceFolders[0].uri.fsPath
+            : os.homedir();
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(path.join(defaultDirectory, `nyxn-usage-${new Date().toISOString().substring(0, 10)}.${extension}`)),
+            filters: { [format]: [extension] }
+        });
+        if (!uri) {
+            return;
+        }
+
+        try {
+            const report = format === 'CSV' ? this.usageTracker.toCsv() : this.usageTracker.toJson();
+            await vscode.workspace.fs.writeFile(uri, Buffer.from(report, 'utf8'));
+            vscode.window.showInformationMessage(`Usage report exported to ${uri.fsPath}`);
+        } catch (error) {
+            console.error('Error exporting usage report:', error);
+            vscode.window.showErrorMessage(`Failed to export usage report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pick a past tool call from the audit log, then show or re-run it
+     */
+    async browseToolAudit() {
+        let entries;
+        try {
+            entries = await this.auditLog.getEntries();
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+            return;
+        }
+        if (entries.length === 0) {
+            vscode.window.showInformationMessage('No tool calls have been logged yet');
+            return;
+        }
+
+        const picked = await vscode.window.showQuickPick(entries.map(entry => ({
+            label: entry.toolName,
+            description: `${entry.status} · ${new Date(entry.timestamp).toLocaleString()}`,
+            detail: JSON.stringify(entry.parameters),
+            entry
+        })), {
+            placeHolder: 'Filter tool calls by tool, status or parameters',
+            matchOnDescription: true,
+            matchOnDetail: true
+        });
+        if (!picked) {
+            return;
+        }
+
+        const action = await vscode.window.showQuickPick(['Show details', 'Re-run'], {
+            placeHolder: `${picked.entry.toolName} (${picked.entry.status})`
+        });
+        if (action === 'Show details') {
+            await this.showToolCall(picked.entry);
+        } else if (action === 'Re-run') {
+            await this.rerunToolCall(picked.entry);
+        }
+    }
+
+    /**
+     * Open a logged tool call as JSON
+     * @param {Object} entry Audit log entry
+     */
+    async showToolCall(entry) {
+        const document = await vscode.workspace.openTextDocument({
+            language: 'json',
+            content: JSON.stringify(entry, null, 2)
+        });
+        await vscode.window.showTextDocument(document, { preview: true });
+    }
+
+    /**
+     * Run a logged tool call again with the same parameters
+     * The call goes through the usual profile and approval checks, and is logged as a new call
+     * @param {Object} [entry] Audit log entry; without one, the user picks a call from the log
+     */
+    async rerunToolCall(entry) {
+        if (!entry || !entry.toolName) {
+            await this.browseToolAudit();
+            return;
+        }
+
+        const abortController = new AbortController();
+        this._activeRequests.add(abortController);
+        try {
+            const result = await this._runToolOutsideTurn(entry.toolName, entry.parameters || {}, abortController.signal);
+            if (this._view && this._view.webview) {
+                this._postMessage({
+                    command: 'toolResult',
+                    toolName: entry.toolName,
+                    parameters: entry.parameters,
+                    result
+                });
+            } else {
+                const document = await vscode.workspace.openTextDocument({
+                    content: typeof result === 'object' ? JSON.stringify(result, null, 2) : String(result)
+                });
+                await vscode.window.showTextDocument(document, { preview: true });
+            }
+        } catch (error) {
+            console.error('Error re-running tool call:', error);
+            vscode.window.showErrorMessage(`Failed to re-run ${entry.toolName}: ${error.message}`);
+        } finally {
+            this._activeRequests.delete(abortController);
+        }
+    }
+
+    /**
+     * Let the user pick another model for the current provider
+     */
+    async switchModel() {
+        const config = vscode.workspace.getConfiguration('nyxn-ai-assistant');
+        const providerName = config.get('provider') || 'gemini';
+        const settingKey = MODEL_SETTINGS[providerName];
+        if (!settingKey) {
+            vscode.window.showErrorMessage(`Unknown provider: ${providerName}`);
+            return;
+        }
+
+        const currentModel = this.geminiService.modelName;
+        const otherLabel = 'Other model...';
+        const items = (SUGGESTED_MODELS[providerName] || [])
+            .filter(model => model !== currentModel)
+            .concat(otherLabel);
+
+        let model = await vscode.window.showQuickPick(items, {
+            placeHolder: `Current model: ${currentModel || 'none'}. Pick a model to switch to`
+        });
+        if (model === otherLabel) {
+            model = await vscode.window.showInputBox({
+                prompt: 'Model name',
+                value: currentModel || ''
+            });
+        }
+        if (!model) {
+            return;
+        }
+
+        // The configuration change listener re-initializes the provider
+        await config.update(settingKey, model, vscode.ConfigurationTarget.Global);
+        vscode.window.showInformationMessage(`Switched model to ${model}`);
+    }
+
+    /**
+     * Show the MCP servers and let the user restart or stop one
+     */
+    async showMcpServers() {
+        await this.mcpManager.showServers();
+    }
+
+    /**
+     * Let the user pick another agent profile
+     */
+    async switchProfile() {
+        const active = this.profileManager.getActiveProfile();
+        const items = this.profileManager.getProfiles().map(profile => ({
+            label: profile.name,
+            description: profile.name === active.name ? '(active)' : (profile.model || ''),
+            detail: profile.description
+        }));
+
+        const picked = await vscode.window.showQuickPick(items, {
+            placeHolder: `Current profile: ${active.name}. Pick a profile to switch to`
+        });
+        if (!picked) {
+            return;
+        }
+
+        try {
+            const profile = await this.profileManager.setActiveProfile(picked.label);
+            vscode.window.showInformationMessage(`Switched profile to ${profile.name}`);
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            vscode.window.showErrorMessage(`Failed to switch profile: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply a profile to the service and tools, and refresh the profile picker
+     * @param {Object} profile Active profile
+     * @private
+     */
+    _applyProfile(profile) {
+        this.geminiService.setProfile(profile);
+        this._postProfiles();
+    }
+
+    /**
+     * Send the profiles, the active one and the tools it allows to the webview
+     * @private
+     */
+    _postProfiles() {
+        const active = this.profileManager.getActiveProfile();
+        this._postMessage({
+            command: 'profiles',
+            profiles: this.profileManager.getProfiles().map(profile => ({
+                name: profile.name,
+                description: profile.description,
+                model: profile.model
+            })),
+            active: active ? active.name : null,
+            model: this.geminiService.modelName,
+            availableTools: this.toolManager.getAvailableTools()
+        });
+    }
+
+    /**
+     * Compact the conversation, replacing older turns with an editable summary
+     */
+    async compactConversation() {
+        if (this._activeRequests.size > 0) {
+            vscode.window.showWarningMessage('Wait for the current request to finish before compacting the conversation');
+            return;
+        }
+
+        const abortController = new AbortController();
+        this._activeRequests.add(abortController);
+        this._postMessage({ command: 'startLoading' });
+
+        try {
+            const result = await this.geminiService.compactHistory({ signal: abortController.signal });
+            await this._recordUsage(result.usage, 'compaction');
+            if (result.compactedTurns === 0) {
+                vscode.window.showInformationMessage('The conversation is too short to compact');
+                return;
+            }
+
+            this._addCompactionNotice(result.compactedTurns);
+            this._updateChatInWebview();
+        } catch (error) {
+            if (abortController.signal.aborted) {
+                console.log('Compaction cancelled by the user');
+                return;
+            }
+            console.error('Error compacting conversation:', error);
+            vscode.window.showErrorMessage(`Failed to compact conversation: ${error.message}`);
+        } finally {
+            this._activeRequests.delete(abortController);
+            this._postMessage({ command: 'stopLoading' });
+        }
+    }
+
+    /**
+     * Add a notice to the chat that older turns were summarised
+     * @param {number} compactedTurns Number of summarised turns
+     * @private
+     */
+    _addCompactionNotice(compactedTurns) {
+        this.chatHistory.push({
+            role: 'notice',
+            content: `${compactedTurns} earlier turn${compactedTurns === 1 ? ' was' : 's were'} replaced by a summary. Review or edit it under "Conversation summary" above.`
+        });
+        this._droppedTurns = 0;
+    }
+
+    /**
+     * Record the token usage of a request and refresh the totals in the webview
+     * @param {Object} [usage] Usage from GeminiService
+     * @param {string} kind 'message', 'compaction' or 'plan'
+     * @returns {Promise<Object|null>} Per-message figures shown in the chat: { totalTokens, cost, estimated }
+     * @private
+     */
+    async _recordUsage(usage, kind) {
+        if (!usage || usage.calls === 0) {
+            return null;
+        }
+
+        try {
+            const record = await this.usageTracker.record({
+                conversationId: this.conversationId,
+                kind,
+                provider: this.geminiService.provider ? this.geminiService.provider.name : 'unknown',
+                model: this.geminiService.modelName,
+                usage
+            });
+            this._postUsage();
+            return { totalTokens: record.totalTokens, cost: record.cost, estimated: record.estimated };
+        } catch (error) {
+            console.error('Error recording usage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Send conversation and daily usage totals to the webview header
+     * @private
+     */
+    _postUsage() {
+        this._postMessage({
+            command: 'usage',
+            conversation: this.usageTracker.getConversationTotals(this.conversationId),
+            today: this.usageTracker.getDayTotals()
+        });
     }
 
     /**
@@ -297,7 +1335,19 @@ class NyxnWebviewProvider {
      */
     updateConfiguration() {
         if (this.geminiService) {
-            this.geminiService.initialize();
+            // Profiles from settings may have changed; re-applying the active one re-initializes the service
+            this.profileManager.reload();
+            this._applyProfile(this.profileManager.getActiveProfile());
+            this.mcpManager.reload().catch(error => {
+                console.error('Error reloading MCP servers:', error);
+            });
+        }
+
+        // Follow the setting when it changes; the header toggle overrides it until then
+        const dryRun = vscode.workspace.getConfiguration('nyxn-ai-assistant').get('dryRun') === true;
+        if (dryRun !== this._dryRunSetting) {
+            this._dryRunSetting = dryRun;
+            this.setDryRun(dryRun);
         }
     }
 
@@ -311,6 +1361,9 @@ class NyxnWebviewProvider {
         const scriptUri = webview.asWebviewUri(
             vscode.Uri.file(path.join(this.context.extensionPath, 'media', 'main.js'))
         );
+        const parserUri = webview.asWebviewUri(
+            vscode.Uri.file(path.join(this.context.extensionPath, 'media', 'toolCallParser.js'))
+        );
         const styleUri = webview.asWebviewUri(
             vscode.Uri.file(path.join(this.context.extensionPath, 'media', 'main.css'))
         );
@@ -335,18 +1388,47 @@ class NyxnWebviewProvider {
             <div class="container">
                 <div class="header">
                     <h2>Nyxn AI Assistant</h2>
+                    <select id="profile-select" class="profile-select" title="Agent profile"></select>
+                    <label class="dry-run-toggle" title="Simulate tools that change files or the repository, showing what they would do"><input type="checkbox" id="dry-run-toggle"> Dry run</label>
+                    <div id="usage-summary" class="usage-summary"></div>
                     <div class="actions">
                         <button id="clear-button" title="Clear chat history">Clear History</button>
+                        <button id="compact-button" title="Summarise older turns to save tokens">Compact</button>
                         <button id="context-button" title="Get current context">Get Context</button>
                     </div>
                 </div>
 
+                <details id="summary-panel" class="summary-panel hidden">
+                    <summary>Conversation summary</summary>
+                    <textarea id="summary-input" placeholder="Summary of earlier turns..."></textarea>
+                    <div class="summary-actions">
+                        <button id="save-summary-button" title="Use the edited summary for the next requests">Save</button>
+                    </div>
+                </details>
+
+                <div id="plan-panel" class="plan-panel hidden"></div>
+
                 <div id="chat-container" class="chat-container"></div>
 
+                <div id="approval-container" class="approval-container"></div>
+
+                <details id="generation-options" class="generation-options">
+                    <summary>Generation options</summary>
+                    <div class="generation-fields">
+                        <label>Temperature <input type="number" id="option-temperature" min="0" max="2" step="0.1" placeholder="default"></label>
+                        <label>Top P <input type="number" id="option-topP" min="0" max="1" step="0.05" placeholder="default"></label>
+                        <label>Top K <input type="number" id="option-topK" min="1" step="1" placeholder="default"></label>
+                        <label>Max output tokens <input type="number" id="option-maxOutputTokens" min="1" step="1" placeholder="default"></label>
+                        <label>Stop sequences <input type="text" id="option-stopSequences" placeholder="comma-separated"></label>
+                    </div>
+                </details>
+
                 <div class="input-container">
                     <textarea id="user-input" placeholder="Enter your question or request..."></textarea>
                     <div class="button-container">
                         <button id="send-button">Send</button>
+                        <button id="plan-button" title="Plan the task first, then approve the steps">Plan</button>
+                        <button id="stop-button" class="hidden" title="Stop the current request">Stop</button>
                     </div>
                 </div>
 
@@ -364,12 +1446,17 @@ class NyxnWebviewProvider {
                 window.availableTools = ${toolsJson};
             </script>
 
+            <script nonce="${nonce}" src="${parserUri}"></script>
             <script nonce="${nonce}" src="${scriptUri}"></script>
         </body>
         </html>`;
     }
 }
 
+function createConversationId() {
+    return `conv-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
 function getNonce() {
     let text = '';
     const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -0,0 +1,166 @@
+// Test project command tools: loading .nyxn/tools.yaml, the allow prompt, building and running commands
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+const ToolManager = require('./src/tools/toolManager');
+
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'nyxn-command-tools-')));
+const prompts = [];
+let answer;
+
+// Stand-in for the vscode module, so the tools can be loaded outside VS Code
+const fakeVscode = {
+    workspace: {
+        isTrusted: false,
+        workspaceFolders: [{ uri: { fsPath: workspaceRoot } }],
+        getConfiguration: () => ({ get: () => undefined, inspect: () => ({}) })
+    },
+    window: {
+        showWarningMessage: async message => {
+            prompts.push(message);
+            return answer;
+        },
+        showErrorMessage: async message => console.log(`Error shown: ${message}`)
+    }
+};
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+    return request === 'vscode' ? 'vscode' : resolveFilename.call(this, request, ...rest);
+};
+require.cache.vscode = { id: 'vscode', filename: 'vscode', loaded: true, exports: fakeVscode };
+
+const CustomCommandTools = require('./src/tools/customCommandTools');
+
+const TOOLS_YAML = `tools:
+  - name: echo-args
+    description: Print the arguments
+    command: [${JSON.stringify(process.execPath)}, -e, "console.log(process.argv.slice(1).join('|'))", "{{words}}", "--tag={{tag}}"]
+    parameters:
+      words: { type: array, items: { type: string }, description: Words }
+      tag: { type: string, default: none, description: Tag }
+    required: [words]
+    risk: read
+  - name: escape
+    command: ls {{dir}}
+    cwd: ../..
+    parameters:
+      dir: { type: string, description: Folder }
+  - name: single-quoted
+    command: grep '{{q}}' src
+    parameters:
+      q: { type: string, description: Pattern }
+  - name: double-quoted
+    command: git log --grep="{{q}}"
+    parameters:
+      q: { type: string, description: Pattern }
+`;
+
+async function testCommandTools() {
+    const state = new Map();
+    const context = { workspaceState: { get: key => state.get(key), update: async (key, value) => state.set(key, value) } };
+    const toolManager = new ToolManager();
+    const commandTools = new CustomCommandTools(context, toolManager);
+
+    try {
+        console.log('Starting command tool tests...');
+        fs.mkdirSync(path.join(workspaceRoot, '.nyxn'));
+        fs.writeFileSync(path.join(workspaceRoot, '.nyxn', 'tools.yaml'), TOOLS_YAML);
+
+        // Test 1: YAML loading
+        const file = await commandTools.loadToolsFile();
+        console.log(`Loaded ${file.relativePath}: ${file.tools.map(tool => tool.name).join(', ')}`);
+        if (file.tools.length !== 4) {
+            throw new Error('The YAML tools file was not loaded');
+        }
+
+        // Test 2: nothing is registered in an untrusted workspace, or when the user does not allow the file
+        await commandTools.reload();
+        if (commandTools.toolNames.length > 0 || prompts.length > 0) {
+            throw new Error('Tools were registered in an untrusted workspace');
+        }
+        fakeVscode.workspace.isTrusted = true;
+        answer = 'Don\'t Allow';
+        await commandTools.reload();
+        console.log(`Prompt: ${prompts[0]}`);
+        if (commandTools.toolNames.length > 0) {
+            throw new Error('Tools were registered without being allowed');
+        }
+
+        // Test 3: allowed tools are registered, a cwd outside the workspace and placeholders inside quotes are refused,
+        // and the answer is remembered
+        answer = 'Allow';
+        await commandTools.reload();
+        console.log(`Registered: ${commandTools.toolNames.join(', ')}`);
+        if (commandTools.toolNames.join(',') !== 'echo-args') {
+            throw new Error('Expected only the tool with a cwd inside the workspace and no quoted placeholders');
+        }
+        await commandTools.reload();
+        if (prompts.length !== 2) {
+            throw new Error('The allowed file was asked about again');
+        }
+
+        // Test 4: building commands, with and without a shell
+        const definition = file.tools[0];
+        const built = commandTools.buildCommand(definition, { words: ['a b', 'c'], tag: 'x' });
+        console.log(`Argument list: ${built.display}`);
+        if (JSON.stringify(built.command.slice(3)) !== JSON.stringify(['a b', 'c', '--tag=x']) || built.cwd !== workspaceRoot) {
+            throw new Error('Unexpected argument list');
+        }
+        const shell = commandTools.buildCommand({ command: 'grep {{pattern}} {{files}}' }, { pattern: 'it\'s here', files: ['src/a.js', 'b c.js'] });
+        console.log(`Shell command: ${shell.command}`);
+        const expected = process.platform === 'win32'
+            ? 'grep "it\'s here" src/a.js "b c.js"'
+            : 'grep \'it\'\\\'\'s here\' src/a.js \'b c.js\'';
+        if (shell.command !== expected) {
+            throw new Error('Unexpected shell quoting');
+        }
+
+        // Test 5: a placeholder inside the template's quotes cannot be used to end them
+        for (const [command, q] of [['grep \'{{q}}\' src', 'x\'; touch /tmp/pwned #'], ['git log --grep="{{q}}"', '$(id)']]) {
+            const quoted = (() => {
+                try {
+                    commandTools.buildCommand({ command }, { q });
+                } catch (error) {
+                    return error;
+                }
+            })();
+            console.log(`Quoted placeholder refused: ${quoted && quoted.message}`);
+            if (!quoted) {
+                throw new Error(`A placeholder inside quotes was accepted: ${command}`);
+            }
+        }
+
+        // Test 6: values that start with '-' are refused unless the tool allows options
+        const option = (() => {
+            try {
+                commandTools.buildCommand({ command: ['rm', '{{files}}'] }, { files: ['ok.txt', '-rf'] });
+            } catch (error) {
+                return error;
+            }
+        })();
+        console.log(`Option refused: ${option && option.message}`);
+        if (!option) {
+            throw new Error('A value starting with - was passed as an option');
+        }
+        const allowed = commandTools.buildCommand({ command: ['git', 'log', '{{flags}}'], allowOptions: true }, { flags: '--oneline' });
+        if (allowed.command[2] !== '--oneline') {
+            throw new Error('allowOptions did not let the option through');
+        }
+
+        // Test 7: running a command
+        const output = await toolManager.executeTool('echo-args', { words: ['hello', 'two words'] });
+        console.log(`Output:\n${output}`);
+        if (!output.includes('hello|two words|--tag=none') || !output.includes('Exit code: 0')) {
+            throw new Error('Unexpected command output');
+        }
+
+        console.log('All command tool tests completed successfully!');
+    } catch (error) {
+        console.error('Error during command tool tests:', error);
+    } finally {
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    }
+}
+
+testCommandTools();
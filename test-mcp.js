@@ -0,0 +1,226 @@
+// Test the MCP client and tool bridge against a stub MCP server (no network needed)
+// Run with --stub-server, this script is the stub server itself
+const McpClient = require('./src/mcp/mcpClient');
+const { registerServerTools } = require('./src/mcp/mcpToolBridge');
+const ToolManager = require('./src/tools/toolManager');
+
+const STUB_TOOLS = [
+    {
+        name: 'echo',
+        description: 'Echo a message',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                message: { type: 'string', description: 'Message' },
+                times: { type: ['integer', 'null'], description: 'Repetitions', default: 1 }
+            },
+            required: ['message']
+        },
+        annotations: { readOnlyHint: true }
+    },
+    {
+        name: 'fail',
+        description: 'Always fails',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'wait.forever',
+        description: 'Never answers until cancelled',
+        inputSchema: { type: 'object', properties: {} },
+        annotations: { destructiveHint: true }
+    }
+];
+
+/**
+ * Stub MCP server speaking newline-delimited JSON-RPC on stdio
+ * tools/list is split into two pages; calling 'fail' reports a tool error
+ */
+function runStubServer() {
+    let buffer = '';
+    const send = message => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const message = JSON.parse(buffer.substring(0, newline));
+            buffer = buffer.substring(newline + 1);
+
+            switch (message.method) {
+                case 'initialize':
+                    process.stderr.write('stub server starting\n');
+                    send({ id: message.id, result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: { listChanged: true } }, serverInfo: { name: 'stub', version: '1.0.0' } } });
+                    break;
+                case 'tools/list':
+                    send({ id: message.id, result: message.params.cursor
+                        ? { tools: STUB_TOOLS.slice(2) }
+                        : { tools: STUB_TOOLS.slice(0, 2), nextCursor: 'page-2' } });
+                    break;
+                case 'tools/call': {
+                    const args = message.params.arguments;
+                    if (message.params.name === 'echo') {
+                        send({ id: message.id, result: { content: [{ type: 'text', text: Array(args.times || 1).fill(args.message).join(' ') }] } });
+                    } else if (message.params.name === 'fail') {
+                        send({ id: message.id, result: { content: [{ type: 'text', text: 'Stub failure' }], isError: true } });
+                    }
+                    break;
+                }
+                case 'notifications/cancelled':
+                    process.stderr.write(`cancelled request ${message.params.requestId}\n`);
+                    break;
+                default:
+                    if (message.id !== undefined) {
+                        send({ id: message.id, error: { code: -32601, message: `Unknown method ${message.method}` } });
+                    }
+            }
+        }
+    });
+}
+
+async function testMcp() {
+    const client = new McpClient('stub', { command: process.execPath, args: [__filename, '--stub-server'] });
+    const log = [];
+    client.onLog(line => log.push(line));
+
+    try {
+        console.log('Starting MCP tests...');
+
+        const serverInfo = await client.start();
+        console.log(`Connected to ${serverInfo.name} ${serverInfo.version}`);
+
+        const tools = await client.listTools();
+        console.log(`Listed tools: ${tools.map(tool => tool.name).join(', ')}`);
+        if (tools.length !== STUB_TOOLS.length) {
+            throw new Error('Tool list pages were not all read');
+        }
+
+        const toolManager = new ToolManager();
+        const { registered } = registerServerTools(toolManager, client, tools, {});
+        console.log(`Registered: ${registered.join(', ')}`);
+        const risks = toolManager.getAvailableTools().map(tool => `${tool.name}=${tool.risk}`);
+        console.log(`Risk levels: ${risks.join(', ')}`);
+        if (!toolManager.hasTool('mcp__stub__wait_forever')) {
+            throw new Error('Tool name was not sanitized');
+        }
+
+        const echo = await toolManager.executeTool('mcp__stub__echo', { message: 'hi', times: '2' });
+        console.log('Echo result:', echo);
+        if (echo !== 'hi hi') {
+            throw new Error('Unexpected echo result');
+        }
+
+        const fail = await toolManager.executeTool('mcp__stub__fail', {}).catch(error => error);
+        console.log('Fail error:', fail.message);
+        if (!/Stub failure/.test(fail.message)) {
+            throw new Error('Tool error was not reported');
+        }
+
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 200);
+        const waited = await toolManager.executeTool('mcp__stub__wait_forever', {}, { signal: controller.signal }).catch(error => error);
+        console.log('Cancelled error:', waited.message);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        if (!log.some(line => /cancelled request/.test(line))) {
+            throw new Error('The server was not told about the cancellation');
+        }
+
+        client.stop();
+        console.log(`Status after stop: ${client.status}`);
+        const stopped = await toolManager.executeTool('mcp__stub__echo', { message: 'hi' }).catch(error => error);
+        console.log('Call after stop:', stopped.message);
+
+        console.log('All MCP tests completed successfully!');
+    } catch (error) {
+        console.error('Error during MCP tests:', error);
+        console.error('Server log:', log.join('\n'));
+    } finally {
+        client.stop();
+    }
+}
+
+/**
+ * Load a stand-in for the vscode module, so modules that need it can be tested outside VS Code
+ * @param {Object} fake Module exports
+ */
+function installFakeVscode(fake) {
+    const Module = require('module');
+    const resolveFilename = Module._resolveFilename;
+    Module._resolveFilename = function (request, ...rest) {
+        return request === 'vscode' ? 'vscode' : resolveFilename.call(this, request, ...rest);
+    };
+    require.cache.vscode = { id: 'vscode', filename: 'vscode', loaded: true, exports: fake };
+}
+
+async function testWorkspaceSettingsServers() {
+    const stubServer = { command: process.execPath, args: [__filename, '--stub-server'] };
+    const log = [];
+    const prompts = [];
+    const state = new Map();
+    let answer;
+    const fakeVscode = {
+        workspace: {
+            isTrusted: false,
+            workspaceFolders: [{ uri: { fsPath: __dirname } }],
+            getConfiguration: () => ({
+                inspect: () => ({ globalValue: { user: stubServer }, workspaceValue: { repo: stubServer } })
+            })
+        },
+        window: {
+            createOutputChannel: () => ({ appendLine: line => log.push(line), show() {}, dispose() {} }),
+            showWarningMessage: async message => {
+                prompts.push(message);
+                return answer;
+            },
+            showErrorMessage: async () => undefined
+        }
+    };
+    installFakeVscode(fakeVscode);
+    const McpManager = require('./src/mcp/mcpManager');
+    const toolManager = new ToolManager();
+    const manager = new McpManager(toolManager, {
+        workspaceState: { get: key => state.get(key), update: async (key, value) => state.set(key, value) }
+    });
+
+    try {
+        console.log('Starting workspace settings server tests...');
+
+        await manager.reload();
+        const states = manager.getServers().map(server => `${server.name}(${server.source})=${server.status}`);
+        console.log(`Untrusted workspace: ${states.join(', ')}`);
+        if (manager.getServers().find(server => server.name === 'user').status !== 'running') {
+            throw new Error('The user settings server did not start');
+        }
+        if (manager.getServers().find(server => server.name === 'repo').status !== 'stopped' || prompts.length > 0) {
+            throw new Error('The workspace settings server started in an untrusted workspace');
+        }
+
+        fakeVscode.workspace.isTrusted = true;
+        answer = 'Don\'t Allow';
+        await manager.startServer('repo');
+        console.log(`Prompt: ${prompts[0]}`);
+        if (toolManager.hasTool('mcp__repo__echo')) {
+            throw new Error('The workspace settings server started without being allowed');
+        }
+
+        answer = 'Allow';
+        await manager.startServer('repo');
+        console.log(`After allowing: ${manager.getServers().find(server => server.name === 'repo').status}`);
+        if (!toolManager.hasTool('mcp__repo__echo') || (state.get('nyxn-ai-assistant.allowedMcpServers') || []).length !== 1) {
+            throw new Error('The allowed workspace settings server did not start');
+        }
+
+        console.log('Workspace settings server tests completed successfully!');
+    } catch (error) {
+        console.error('Error during workspace settings server tests:', error);
+        console.error('Manager log:', log.join('\n'));
+    } finally {
+        manager.dispose();
+    }
+}
+
+if (process.argv.includes('--stub-server')) {
+    runStubServer();
+} else {
+    testMcp().then(testWorkspaceSettingsServers);
+}
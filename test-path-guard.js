@@ -0,0 +1,74 @@
+// Test the path guard: deny-list patterns from the settings and search results from blocked files
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+const workspaceRoot = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'nyxn-path-guard-')));
+let deniedPaths = {};
+
+// Stand-in for the vscode module, so the tools can be loaded outside VS Code
+const fakeVscode = {
+    workspace: {
+        workspaceFolders: [{ uri: { fsPath: workspaceRoot } }],
+        getConfiguration: () => ({ get: () => undefined, inspect: () => deniedPaths }),
+        findTextInFiles: async () => new Map([
+            [{ fsPath: path.join(workspaceRoot, 'src', 'config.js') }, { matches: [{ lineNumber: 3, lineText: 'const key = process.env.API_KEY;', range: { start: 6, end: 9 } }] }],
+            [{ fsPath: path.join(workspaceRoot, 'app', '.env') }, { matches: [{ lineNumber: 1, lineText: 'API_KEY=secret', range: { start: 0, end: 3 } }] }],
+            [{ fsPath: path.join(workspaceRoot, 'vendor', 'lib', '.git', 'config') }, { matches: [{ lineNumber: 7, lineText: 'key = value', range: { start: 0, end: 3 } }] }]
+        ])
+    },
+    window: {
+        showWarningMessage: async () => undefined
+    }
+};
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+    return request === 'vscode' ? 'vscode' : resolveFilename.call(this, request, ...rest);
+};
+require.cache.vscode = { id: 'vscode', filename: 'vscode', loaded: true, exports: fakeVscode };
+
+const { isToolPathAllowed } = require('./src/tools/pathGuard');
+const CodeSearchTools = require('./src/tools/codeSearchTools');
+
+async function testPathGuard() {
+    try {
+        console.log('Starting path guard tests...');
+
+        // Test 1: search matches in deny-listed files are left out
+        const results = await new CodeSearchTools({}).searchCode({ query: 'key' });
+        console.log(`Search results: ${results.map(result => `${result.file}:${result.line}`).join(', ')}`);
+        if (results.length !== 1 || results[0].file !== path.join('src', 'config.js')) {
+            throw new Error('Matches in .env or a nested .git folder were returned');
+        }
+
+        // Test 2: workspace settings add patterns but cannot remove the defaults
+        deniedPaths = { workspaceValue: [] };
+        if (await isToolPathAllowed(path.join(workspaceRoot, 'app', '.env'))) {
+            throw new Error('An empty workspace deny-list removed the default patterns');
+        }
+        deniedPaths = { workspaceValue: ['src/*.js'] };
+        if (await isToolPathAllowed(path.join(workspaceRoot, 'src', 'config.js'))) {
+            throw new Error('A workspace pattern was not added');
+        }
+        console.log('Workspace patterns are added to the defaults');
+
+        // Test 3: the user's own list replaces the defaults
+        deniedPaths = { globalValue: [] };
+        if (!(await isToolPathAllowed(path.join(workspaceRoot, 'app', '.env')))) {
+            throw new Error('The user deny-list did not replace the defaults');
+        }
+        if (await isToolPathAllowed(path.join(os.tmpdir(), 'outside.txt'))) {
+            throw new Error('A path outside the workspace was allowed');
+        }
+        console.log('User patterns replace the defaults');
+
+        console.log('All path guard tests completed successfully!');
+    } catch (error) {
+        console.error('Error during path guard tests:', error);
+    } finally {
+        fs.rmSync(workspaceRoot, { recursive: true, force: true });
+    }
+}
+
+testPathGuard();
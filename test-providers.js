@@ -0,0 +1,121 @@
+// Test LLM providers against local stub HTTP servers (no API key or network needed)
+const http = require('http');
+const { GeminiProvider, OpenAICompatibleProvider, OllamaProvider } = require('./src/providers');
+
+/**
+ * Start a stub server that answers every request with the given handler
+ * @param {Function} handler Receives the parsed request body and the response
+ * @returns {Promise<{server: http.Server, baseUrl: string}>} Server and its base URL
+ */
+function startStubServer(handler) {
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => handler(req, body ? JSON.parse(body) : {}, res));
+        });
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+const readFileTool = {
+    name: 'read-file',
+    description: 'Read file content',
+    parameters: {
+        type: 'object',
+        properties: { file_path: { type: 'string', description: 'File path' } },
+        required: ['file_path']
+    }
+};
+
+async function testOpenAICompatible() {
+    console.log('Testing OpenAI-compatible provider...');
+    const { server, baseUrl } = await startStubServer((req, body, res) => {
+        if (!body.stream) {
+            res.end(JSON.stringify({
+                choices: [{
+                    message: {
+                        content: '',
+                        tool_calls: [{ id: 'a', type: 'function', function: { name: 'read-file', arguments: '{"file_path":"package.json"}' } }]
+                    },
+                    finish_reason: 'tool_calls'
+                }],
+                usage: { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 }
+            }));
+            return;
+        }
+        res.write('data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n');
+        res.write('data: {"choices":[{"delta":{"content":" world"},"finish_reason":"stop"}]}\n\n');
+        res.end('data: [DONE]\n\n');
+    });
+
+    const provider = new OpenAICompatibleProvider({ baseUrl: `${baseUrl}/v1`, model: 'stub' });
+    const response = await provider.chat({ history: [], message: 'Read package.json', tools: [readFileTool] });
+    console.log(`Function calls: ${JSON.stringify(response.functionCalls)}`);
+    console.log(`Usage: ${JSON.stringify(response.usageMetadata)}`);
+
+    const chunks = [];
+    const streamed = await provider.chatStream({ history: [], message: 'Say hello', onChunk: chunk => chunks.push(chunk) });
+    console.log(`Streamed chunks: ${JSON.stringify(chunks)}, text: ${streamed.text}`);
+    server.close();
+}
+
+async function testOllama() {
+    console.log('Testing Ollama provider...');
+    const { server, baseUrl } = await startStubServer((req, body, res) => {
+        if (!body.stream) {
+            res.end(JSON.stringify({
+                message: { role: 'assistant', content: 'Hi from Ollama' },
+                done: true,
+                prompt_eval_count: 8,
+                eval_count: 4
+            }));
+            return;
+        }
+        res.write(JSON.stringify({ message: { content: 'Hi' }, done: false }) + '\n');
+        res.end(JSON.stringify({ message: { content: ' there' }, done: true, prompt_eval_count: 8, eval_count: 2 }) + '\n');
+    });
+
+    const provider = new OllamaProvider({ baseUrl, model: 'stub' });
+    const response = await provider.chat({ history: [], message: 'Hello' });
+    console.log(`Text: ${response.text}, usage: ${JSON.stringify(response.usageMetadata)}`);
+
+    const chunks = [];
+    const streamed = await provider.chatStream({ history: [], message: 'Hello', onChunk: chunk => chunks.push(chunk) });
+    console.log(`Streamed chunks: ${JSON.stringify(chunks)}, text: ${streamed.text}`);
+    console.log(`Estimated tokens: ${await provider.countTokens([{ role: 'user', parts: [{ text: 'Hello there' }] }])}`);
+    server.close();
+}
+
+async function testGemini() {
+    console.log('Testing Gemini provider...');
+    const { server, baseUrl } = await startStubServer((req, body, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            candidates: [{ content: { role: 'model', parts: [{ text: 'Hi from Gemini' }] }, finishReason: 'STOP' }],
+            usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 4, totalTokenCount: 7 }
+        }));
+    });
+
+    const provider = new GeminiProvider({ apiKey: 'stub', baseUrl, model: 'gemini-stub' });
+    const response = await provider.chat({ history: [], message: 'Hello' });
+    console.log(`Text: ${response.text}, usage: ${JSON.stringify(response.usageMetadata)}`);
+    server.close();
+}
+
+async function testProviders() {
+    try {
+        console.log('Starting provider tests...');
+        await testOpenAICompatible();
+        await testOllama();
+        await testGemini();
+        console.log('All provider tests completed successfully!');
+    } catch (error) {
+        console.error('Error during provider tests:', error);
+    }
+}
+
+// Run the tests
+testProviders();
@@ -0,0 +1,134 @@
+// Test recording and replaying provider traffic with cassettes (no API key or network needed)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { GeminiProvider, CassetteProvider } = require('./src/providers');
+const ToolManager = require('./src/tools/toolManager');
+
+/**
+ * Start a stub Gemini server that asks for a tool on the first request and answers on the second
+ * @returns {Promise<{server: http.Server, baseUrl: string}>} Server and its base URL
+ */
+function startStubGemini() {
+    let requestCount = 0;
+
+    return new Promise(resolve => {
+        const server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                requestCount++;
+                const parts = requestCount === 1
+                    ? [{ functionCall: { name: 'read-file', args: { file_path: 'README.md' } } }]
+                    : [{ text: 'The README describes the extension.' }];
+
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({
+                    candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }],
+                    usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 }
+                }));
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+/**
+ * Run a two-step agent flow: the model calls a tool, gets the result and answers
+ * @param {LLMProvider} provider Provider
+ * @returns {Promise<string>} Final answer
+ */
+async function runAgentFlow(provider) {
+    const toolManager = new ToolManager();
+    toolManager.registerTool('read-file', async (params) => `Contents of ${params.file_path}`, {
+        description: 'Read file content',
+        parameters: { file_path: { type: 'string', description: 'File path' } },
+        required: ['file_path']
+    });
+
+    const tools = toolManager.getFunctionDeclarations();
+    const history = [];
+    let message = 'What is in the README?';
+
+    for (let step = 1; step <= 3; step++) {
+        const response = await provider.chat({ history: history.slice(), message, tools });
+        history.push(
+            typeof message === 'string'
+                ? { role: 'user', parts: [{ text: message }] }
+                : { role: 'function', parts: message },
+            response.content
+        );
+
+        if (response.functionCalls.length === 0) {
+            return response.text;
+        }
+
+        console.log(`Step ${step}: model called ${response.functionCalls.map(call => call.name).join(', ')}`);
+        const results = await toolManager.executeFunctionCalls(response.functionCalls);
+        message = toolManager.toFunctionResponseParts(results);
+    }
+
+    throw new Error('Agent flow did not finish');
+}
+
+async function testReplay() {
+    const cassettePath = path.join(os.tmpdir(), `nyxn-cassette-${process.pid}.json`);
+
+    try {
+        console.log('Starting cassette tests...');
+
+        // Record against the stub server
+        console.log('Recording...');
+        const { server, baseUrl } = await startStubGemini();
+        const recorder = new CassetteProvider({
+            mode: 'record',
+            cassettePath,
+            provider: new GeminiProvider({ apiKey: 'stub', baseUrl, model: 'gemini-stub' })
+        });
+        const recordedAnswer = await runAgentFlow(recorder);
+        server.close();
+        console.log(`Recorded answer: ${recordedAnswer}`);
+
+        const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+        console.log(`Cassette has ${cassette.interactions.length} interactions`);
+
+        // Replay with the server gone
+        console.log('Replaying...');
+        const player = new CassetteProvider({ mode: 'replay', cassettePath, model: 'gemini-stub' });
+        const replayedAnswer = await runAgentFlow(player);
+        console.log(`Replayed answer: ${replayedAnswer}`);
+
+        if (replayedAnswer !== recordedAnswer) {
+            throw new Error('Replayed answer differs from the recorded answer');
+        }
+
+        // A request the cassette does not hold fails instead of getting an unrelated answer
+        console.log('Replaying a request that was not recorded...');
+        const strictPlayer = new CassetteProvider({ mode: 'replay', cassettePath, model: 'gemini-stub' });
+        const mismatch = await strictPlayer.chat({ history: [], message: 'Something else' }).catch(error => error);
+        if (!(mismatch instanceof Error) || !mismatch.message.includes('no unused interaction matching')) {
+            throw new Error('Unmatched request was answered from the cassette');
+        }
+        console.log(`Unmatched request failed: ${mismatch.message}`);
+
+        const orderedPlayer = new CassetteProvider({ mode: 'replay', cassettePath, model: 'gemini-stub', replayInOrder: true });
+        const ordered = await orderedPlayer.chat({ history: [], message: 'Something else' });
+        if (!ordered.functionCalls || ordered.functionCalls.length !== 1) {
+            throw new Error('Replaying in order did not return the first recorded interaction');
+        }
+        console.log('Unmatched request replayed in order when enabled');
+
+        console.log('All cassette tests completed successfully!');
+    } catch (error) {
+        console.error('Error during cassette tests:', error);
+    } finally {
+        if (fs.existsSync(cassettePath)) {
+            fs.unlinkSync(cassettePath);
+        }
+    }
+}
+
+// Run the tests
+testReplay();
@@ -62,7 +62,81 @@ async function testToolManager() {
         const toolResponse = await toolManager.executeToolCalls(testText);
         console.log(`Tool response text contains result: ${toolResponse.text.includes('Test tool executed')}`);
         console.log(`Tool results count: ${toolResponse.results.length}`);
+
+        // Test the other tool call formats and malformed calls
+        console.log('Testing tool call formats...');
+        const formatsText = `<tool><name>test-tool</name><parameters><param name="test"><![CDATA[
+if (a < b) {
+    return '</param>';
+}
+]]></param></parameters></tool>
+<tool>{"name": "test-tool", "parameters": {"test": "json"}}</tool>
+\`\`\`tool
+{"name": "test-tool", "arguments": "{\\"test\\": \\"fenced\\"}"}
+\`\`\`
+<tool_call>{"name": "test-tool", "parameters": </tool_call>
+<tool><parameters><param name="test">x</param></parameters></tool>`;
+        const formatCalls = toolManager.parseToolCalls(formatsText);
+        console.log(`Parsed calls: ${formatCalls.map(call => call.error ? `error (${call.error})` : `${call.format} ${JSON.stringify(call.parameters)}`).join('; ')}`);
+        const formatResponse = await toolManager.executeToolCalls(formatsText);
+        console.log(`Malformed calls reported: ${formatResponse.results.filter(result => /^Malformed tool call/.test(result.error || '')).length}`);
         
+        // Test parameter validation and coercion
+        console.log('Testing parameter validation...');
+        toolManager.registerTool('typed-tool',
+            async (params) => params,
+            {
+                description: 'Tool with typed parameters',
+                parameters: {
+                    limit: { type: 'integer', description: 'Limit', default: 10 },
+                    regex: { type: 'boolean', description: 'Use regex' },
+                    files: { type: 'array', items: { type: 'string' }, description: 'Files' },
+                    kind: { type: 'string', description: 'Kind', enum: ['class', 'function'] }
+                },
+                required: ['files']
+            }
+        );
+        const coerced = await toolManager.executeTool('typed-tool', { regex: 'true', files: '["a.js", "b.js"]', kind: 'Class' });
+        console.log(`Coerced parameters: ${JSON.stringify(coerced)}`);
+        
+        try {
+            await toolManager.executeTool('typed-tool', { limit: 'ten', files: 'a.js', color: 'red' });
+            console.error('Invalid parameters were accepted');
+        } catch (error) {
+            console.log(`Validation errors: ${JSON.stringify(error.errors)}`);
+        }
+        
+        // Test concurrent execution of parallel-safe calls
+        console.log('Testing concurrent tool execution...');
+        const events = [];
+        const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        toolManager.registerTool('slow-read', async (params) => {
+            events.push(`start ${params.id}`);
+            await delay(params.ms);
+            events.push(`end ${params.id}`);
+            return params.id;
+        }, {
+            description: 'Parallel-safe test tool',
+            parameters: { id: { type: 'string' }, ms: { type: 'integer', default: 10 } },
+            risk: 'read',
+            parallel: true
+        });
+        toolManager.registerTool('write-step', async (params) => {
+            events.push(`write ${params.id}`);
+            return params.id;
+        }, {
+            description: 'Mutating test tool',
+            parameters: { id: { type: 'string' } }
+        });
+        const concurrentResults = await toolManager.executeFunctionCalls([
+            { name: 'slow-read', args: { id: 'a', ms: 30 } },
+            { name: 'slow-read', args: { id: 'b', ms: 10 } },
+            { name: 'write-step', args: { id: 'w' } },
+            { name: 'slow-read', args: { id: 'c' } }
+        ]);
+        console.log(`Results in call order: ${concurrentResults.map(result => result.result).join(', ')}`);
+        console.log(`Execution order: ${events.join(', ')}`);
+
         console.log('All tool manager tests completed successfully!');
     } catch (error) {
         console.error('Error during tool manager tests:', error);